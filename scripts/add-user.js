@@ -0,0 +1,28 @@
+// Add a user to the file backend (STORAGE_BACKEND=file):
+//   npm run add-user -- <login> "<Full Name>"
+// Asks for the password. Writes to DATA_FILE, or data/expense-split.json by default.
+import { createInterface } from 'node:readline/promises';
+import { createFileBackend } from '../src/lib/server/backends/file.js';
+
+const [login, name] = process.argv.slice(2);
+
+if (!login || !name) {
+	console.error('Usage: npm run add-user -- <login> "<Full Name>"');
+	process.exit(1);
+}
+
+const path = process.env.DATA_FILE || 'data/expense-split.json';
+const prompt = createInterface({ input: process.stdin, output: process.stdout });
+
+try {
+	const password = await prompt.question('Password: ');
+	if (!password) throw new Error('The password cannot be empty');
+
+	const user = await createFileBackend(path).addUser(login, name, password);
+	console.log(`Added ${login} (partner ${user.partnerId}) to ${path}`);
+} catch (err) {
+	console.error(err instanceof Error ? err.message : err);
+	process.exitCode = 1;
+} finally {
+	prompt.close();
+}
@@ -0,0 +1,457 @@
+// Fake Odoo JSON-RPC service for local development and testing of the sync code.
+//
+//   npm run fake-odoo -- [--port 8069] [--latency 300] [--fail-rate 0.2] [--fail-mode html]
+//                        [--fail-methods write,create] [--session-ttl 60] [--quiet]
+//
+// Point the app at it with ODOO_URL=http://localhost:8069 and any ODOO_DB, then sign in as
+// alice/alice, bob/bob or admin/admin. Records live in memory and start from SEED on every start.
+//
+// It answers POST /jsonrpc like Odoo does: common.login, common.authenticate, common.version and
+// object.execute_kw with search_read, search, search_count, read, create, write and unlink on
+// the models in MODELS. Domains are evaluated with src/lib/server/domain.js and values written
+// with src/lib/server/records.js, like the file backend; many2one fields are read as
+// [id, display_name] pairs and many2many fields as id lists.
+//
+// Faults can be injected from the command line or while running through the control endpoints:
+//   GET  /__fake/config            current fault settings
+//   POST /__fake/config            change them, e.g. {"latency": 2000, "failRate": 1, "failMode": "rpc"}
+//   POST /__fake/expire-sessions   every signed-in uid gets AccessDenied until it logs in again
+//   POST /__fake/reset             restore SEED and the startup settings
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+import { matchesDomain, sortRecords } from '../src/lib/server/domain.js';
+import { displayName, toStored } from '../src/lib/server/records.js';
+
+const { values: args } = parseArgs({
+	options: {
+		port: { type: 'string', default: process.env.FAKE_ODOO_PORT || '8069' },
+		latency: { type: 'string', default: '0' },
+		'fail-rate': { type: 'string', default: '0' },
+		'fail-mode': { type: 'string', default: 'rpc' },
+		'fail-methods': { type: 'string', default: '' },
+		'session-ttl': { type: 'string', default: '0' },
+		quiet: { type: 'boolean', default: false }
+	}
+});
+
+const FAIL_MODES = ['rpc', 'html', 'timeout', 'drop'];
+
+/**
+ * @typedef {Object} FaultConfig
+ * @property {number} latency - Milliseconds added to every response
+ * @property {number} failRate - Share of calls that fail, from 0 to 1
+ * @property {'rpc'|'html'|'timeout'|'drop'} failMode - How a call fails: an Odoo server error,
+ *   an HTML 502 page from a proxy, no answer at all, or a closed connection
+ * @property {string[]} failMethods - Only these methods fail (e.g. write, login); all when empty
+ * @property {number} sessionTtl - Seconds a login stays valid; forever when 0
+ */
+
+/** @type {FaultConfig} */
+const STARTUP_CONFIG = {
+	latency: Number(args.latency),
+	failRate: Number(args['fail-rate']),
+	failMode: /** @type {FaultConfig['failMode']} */ (args['fail-mode']),
+	failMethods: args['fail-methods'] ? args['fail-methods'].split(',') : [],
+	sessionTtl: Number(args['session-ttl'])
+};
+
+if (!FAIL_MODES.includes(STARTUP_CONFIG.failMode)) {
+	console.error(`--fail-mode must be one of ${FAIL_MODES.join(', ')}`);
+	process.exit(1);
+}
+
+const EXPENSE_MODEL = process.env.ODOO_EXPENSE_MODEL || 'x_expensesplit';
+const PAYMENT_MODEL = process.env.ODOO_PAYMENT_MODEL || 'x_expensepayment';
+const RECURRING_MODEL = process.env.ODOO_RECURRING_MODEL || 'x_expenserecurring';
+
+// Relational fields of each model and the model they point to
+/** @type {Record<string, import('../src/lib/server/records.js').ModelFields>} */
+const MODELS = {
+	'res.partner': {},
+	'res.users': { many2one: { partner_id: 'res.partner' } },
+	'res.currency': {},
+	'res.currency.rate': { many2one: { currency_id: 'res.currency' } },
+	x_expensegroup: { many2many: { x_studio_members: 'res.partner' } },
+	[EXPENSE_MODEL]: {
+		many2one: { x_studio_who_paid: 'res.partner', x_studio_expensegroup: 'x_expensegroup' },
+		many2many: { x_studio_participants: 'res.partner' }
+	},
+	[PAYMENT_MODEL]: {
+		many2one: { x_studio_from: 'res.partner', x_studio_to: 'res.partner', x_studio_expensegroup: 'x_expensegroup' }
+	},
+	[RECURRING_MODEL]: {
+		many2one: { x_studio_who_paid: 'res.partner', x_studio_expensegroup: 'x_expensegroup' },
+		many2many: { x_studio_participants: 'res.partner' }
+	}
+};
+
+/** @type {Record<string, Array<Record<string, any>>>} */
+const SEED = {
+	'res.partner': [
+		{ id: 1, name: 'Admin', x_studio_is_default: false },
+		{ id: 2, name: 'Alice', x_studio_is_default: true },
+		{ id: 3, name: 'Bob', x_studio_is_default: true },
+		{ id: 4, name: 'Carol', x_studio_is_default: false }
+	],
+	// The password doubles as the API key
+	'res.users': [
+		{ id: 2, name: 'Admin', login: 'admin', password: 'admin', partner_id: 1 },
+		{ id: 6, name: 'Alice', login: 'alice', password: 'alice', partner_id: 2 },
+		{ id: 7, name: 'Bob', login: 'bob', password: 'bob', partner_id: 3 }
+	],
+	'res.currency': [
+		{ id: 1, name: 'SAR', rate: 1, active: true },
+		{ id: 2, name: 'USD', rate: 0.2666, active: true },
+		{ id: 3, name: 'EUR', rate: 0.2451, active: true }
+	],
+	'res.currency.rate': [],
+	x_expensegroup: [
+		{ id: 1, x_name: 'Flat', x_studio_members: [2, 3, 4], x_studio_base_currency: 'SAR' },
+		{ id: 2, x_name: 'Admin only', x_studio_members: [1], x_studio_base_currency: 'SAR' }
+	],
+	[EXPENSE_MODEL]: [
+		{
+			id: 1,
+			x_name: 'Groceries',
+			x_studio_value: 120,
+			x_studio_who_paid: 2,
+			x_studio_participants: [2, 3, 4],
+			x_studio_type: 'grocery',
+			x_studio_date: '2026-01-05',
+			x_studio_is_done: false,
+			x_studio_expensegroup: 1
+		}
+	],
+	[PAYMENT_MODEL]: [],
+	[RECURRING_MODEL]: []
+};
+
+/** @type {FaultConfig} */
+let config = { ...STARTUP_CONFIG };
+/** @type {Record<string, Map<number, Record<string, any>>>} */
+let tables = {};
+/** @type {Map<number, number>} */
+let loginTimes = new Map();
+let sessionsExpiredAt = 0;
+
+function now() {
+	return new Date().toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function reset() {
+	config = { ...STARTUP_CONFIG };
+	loginTimes = new Map();
+	sessionsExpiredAt = 0;
+	tables = {};
+	const timestamp = now();
+	for (const model of Object.keys(MODELS)) {
+		tables[model] = new Map(
+			(SEED[model] || []).map(record => [record.id, { ...record, create_date: timestamp, write_date: timestamp }])
+		);
+	}
+}
+
+/**
+ * Error answered the way Odoo reports exceptions over JSON-RPC
+ */
+class OdooError extends Error {
+	/**
+	 * @param {string} type - Python exception name, e.g. odoo.exceptions.MissingError
+	 * @param {string} message
+	 */
+	constructor(type, message) {
+		super(message);
+		this.type = type;
+	}
+}
+
+/**
+ * @param {string} model
+ */
+function getTable(model) {
+	const table = tables[model];
+	if (!table) throw new OdooError('builtins.KeyError', model);
+	return table;
+}
+
+/**
+ * Values sent by the client in the shape they are stored, refusing links to missing records
+ * @param {string} model
+ * @param {Record<string, any>} values
+ * @param {Record<string, any>} current
+ */
+function toStoredValues(model, values, current) {
+	const fields = MODELS[model];
+	const { many2one = {} } = fields;
+	/** @type {Record<string, any>} */
+	let stored;
+	try {
+		stored = toStored(values, current, fields);
+	} catch (error) {
+		throw new OdooError('builtins.ValueError', error instanceof Error ? error.message : 'Invalid values');
+	}
+	for (const field of Object.keys(stored)) {
+		if (field in many2one && stored[field] && !getTable(many2one[field]).has(stored[field])) {
+			throw new OdooError('odoo.exceptions.ValidationError', `${field}: ${many2one[field]}(${stored[field]}) does not exist`);
+		}
+	}
+	return stored;
+}
+
+/**
+ * A record in the shape search_read returns it
+ * @param {string} model
+ * @param {Record<string, any>} record
+ * @param {string[]} fields - All fields when empty
+ */
+function toRead(model, record, fields) {
+	const { many2one = {}, many2many = {} } = MODELS[model];
+	const names = fields.length > 0 ? fields : ['display_name', ...Object.keys(record).filter(field => field !== 'password')];
+	/** @type {Record<string, any>} */
+	const read = { id: record.id };
+	for (const field of names) {
+		const value = record[field];
+		if (field === 'display_name') read[field] = displayName(record);
+		else if (field in many2one) read[field] = value ? [value, displayName(getTable(many2one[field]).get(value))] : false;
+		else if (field in many2many) read[field] = value || [];
+		else read[field] = value ?? false;
+	}
+	return read;
+}
+
+/**
+ * @param {string} model
+ * @param {any[]} domain
+ * @param {{offset?: number, limit?: number, order?: string}} [options]
+ */
+function find(model, domain, { offset = 0, limit, order } = {}) {
+	const table = getTable(model);
+	let found;
+	try {
+		found = sortRecords([...table.values()].filter(record => matchesDomain(record, domain || [])), order);
+	} catch (error) {
+		throw new OdooError('builtins.ValueError', error instanceof Error ? error.message : 'Invalid domain');
+	}
+	return found.slice(offset, limit ? offset + limit : undefined);
+}
+
+/**
+ * @param {string} model
+ * @param {number[]} ids
+ */
+function getExisting(model, ids) {
+	const table = getTable(model);
+	const missing = ids.filter(id => !table.has(id));
+	if (missing.length > 0) {
+		throw new OdooError(
+			'odoo.exceptions.MissingError',
+			`Record does not exist or has been deleted.\n(Record: ${model}(${missing.join(', ')},), User: fake)`
+		);
+	}
+	return ids.map(id => /** @type {Record<string, any>} */ (table.get(id)));
+}
+
+/**
+ * @param {string} model
+ * @param {Record<string, any>} values
+ */
+function create(model, values) {
+	const table = getTable(model);
+	const id = Math.max(0, ...table.keys()) + 1;
+	const timestamp = now();
+	table.set(id, { ...toStoredValues(model, values, {}), id, create_date: timestamp, write_date: timestamp });
+	return id;
+}
+
+/** @type {Record<string, (model: string, args: any[], kwargs: Record<string, any>) => any>} */
+const METHODS = {
+	search_read: (model, [domain = [], fields = []], kwargs) =>
+		find(model, kwargs.domain || domain, kwargs).map(record => toRead(model, record, kwargs.fields || fields)),
+	search: (model, [domain = []], kwargs) =>
+		kwargs.count ? find(model, domain).length : find(model, domain, kwargs).map(record => record.id),
+	search_count: (model, [domain = []]) => find(model, domain).length,
+	read: (model, [ids, fields = []], kwargs) =>
+		getExisting(model, ids).map(record => toRead(model, record, kwargs.fields || fields)),
+	create: (model, [values]) =>
+		Array.isArray(values) ? values.map(one => create(model, one)) : create(model, values),
+	write: (model, [ids, values]) => {
+		const timestamp = now();
+		for (const record of getExisting(model, ids)) {
+			Object.assign(record, toStoredValues(model, values, record), { write_date: timestamp });
+		}
+		return true;
+	},
+	unlink: (model, [ids]) => {
+		getExisting(model, ids);
+		for (const id of ids) getTable(model).delete(id);
+		return true;
+	}
+};
+
+/**
+ * @param {string} login
+ * @param {string} password
+ * @returns {number|false}
+ */
+function login(login, password) {
+	const user = [...tables['res.users'].values()].find(candidate => candidate.login === login);
+	if (!user || user.password !== password) return false;
+	loginTimes.set(user.id, Date.now());
+	return user.id;
+}
+
+/**
+ * Check the uid and password of an execute_kw call
+ * @param {number} uid
+ * @param {string} password
+ */
+function checkCredentials(uid, password) {
+	const user = tables['res.users'].get(uid);
+	const loggedInAt = loginTimes.get(uid) || 0;
+	const expired =
+		(sessionsExpiredAt && loggedInAt <= sessionsExpiredAt) ||
+		(config.sessionTtl > 0 && Date.now() - loggedInAt > config.sessionTtl * 1000);
+	if (!user || user.password !== password || expired) {
+		throw new OdooError('odoo.exceptions.AccessDenied', 'Access Denied');
+	}
+}
+
+/**
+ * @param {string} service
+ * @param {string} method
+ * @param {any[]} params
+ */
+function dispatch(service, method, params) {
+	if (service === 'common') {
+		if (method === 'version') return { server_version: '17.0', server_serie: '17.0', protocol_version: 1 };
+		if (method === 'login' || method === 'authenticate') return login(params[1], params[2]);
+		throw new OdooError('builtins.AttributeError', `common has no method ${method}`);
+	}
+	if (service === 'object' && method === 'execute_kw') {
+		const [, uid, password, model, modelMethod, methodArgs = [], kwargs = {}] = params;
+		checkCredentials(uid, password);
+		const handler = METHODS[modelMethod];
+		if (!handler) throw new OdooError('builtins.AttributeError', `The method '${modelMethod}' does not exist on the model '${model}'`);
+		return handler(model, methodArgs, kwargs);
+	}
+	throw new OdooError('builtins.AttributeError', `Unknown service ${service}.${method}`);
+}
+
+/**
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ */
+function sendJson(res, status, body) {
+	res.writeHead(status, { 'Content-Type': 'application/json' });
+	res.end(JSON.stringify(body));
+}
+
+/**
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+async function readBody(req) {
+	let text = '';
+	for await (const chunk of req) text += chunk;
+	return text ? JSON.parse(text) : {};
+}
+
+/**
+ * @param {string} method
+ */
+function shouldFail(method) {
+	if (config.failMethods.length > 0 && !config.failMethods.includes(method)) return false;
+	return Math.random() < config.failRate;
+}
+
+/**
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ */
+async function handleControl(req, res) {
+	if (req.url === '/__fake/config' && req.method === 'GET') return sendJson(res, 200, config);
+	if (req.url === '/__fake/config' && req.method === 'POST') {
+		const changes = await readBody(req);
+		if (changes.failMode && !FAIL_MODES.includes(changes.failMode)) {
+			return sendJson(res, 400, { error: `failMode must be one of ${FAIL_MODES.join(', ')}` });
+		}
+		config = { ...config, ...changes };
+		return sendJson(res, 200, config);
+	}
+	if (req.url === '/__fake/expire-sessions' && req.method === 'POST') {
+		sessionsExpiredAt = Date.now();
+		return sendJson(res, 200, { expired: true });
+	}
+	if (req.url === '/__fake/reset' && req.method === 'POST') {
+		reset();
+		return sendJson(res, 200, config);
+	}
+	sendJson(res, 404, { error: 'Not found' });
+}
+
+/**
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ */
+async function handleRpc(req, res) {
+	/** @type {any} */
+	let body;
+	try {
+		body = await readBody(req);
+	} catch {
+		return sendJson(res, 400, { error: 'Invalid JSON' });
+	}
+
+	const { service, method, args: params = [] } = body.params || {};
+	const calledMethod = service === 'object' ? params[4] : method;
+	const label = service === 'object' ? `${params[3]}.${params[4]}` : `${service}.${method}`;
+
+	if (config.latency > 0) await new Promise(resolve => setTimeout(resolve, config.latency));
+
+	if (shouldFail(calledMethod)) {
+		if (!args.quiet) console.log(`${label} -> injected ${config.failMode} failure`);
+		if (config.failMode === 'timeout') return; // never answered
+		if (config.failMode === 'drop') return req.socket.destroy();
+		if (config.failMode === 'html') {
+			res.writeHead(502, { 'Content-Type': 'text/html' });
+			return res.end('<html><head><title>502 Bad Gateway</title></head><body><h1>502 Bad Gateway</h1></body></html>');
+		}
+		return sendJson(res, 200, {
+			jsonrpc: '2.0',
+			id: body.id,
+			error: { code: 200, message: 'Odoo Server Error', data: { name: 'builtins.Exception', message: 'Injected failure', debug: '' } }
+		});
+	}
+
+	try {
+		const result = dispatch(service, method, params);
+		if (!args.quiet) console.log(label);
+		sendJson(res, 200, { jsonrpc: '2.0', id: body.id, result });
+	} catch (error) {
+		const type = error instanceof OdooError ? error.type : 'builtins.Exception';
+		const message = error instanceof Error ? error.message : String(error);
+		if (!args.quiet) console.log(`${label} -> ${type}: ${message}`);
+		sendJson(res, 200, {
+			jsonrpc: '2.0',
+			id: body.id,
+			error: { code: 200, message: 'Odoo Server Error', data: { name: type, message, debug: '' } }
+		});
+	}
+}
+
+reset();
+
+const server = createServer((req, res) => {
+	const handler = req.url?.startsWith('/__fake/') ? handleControl : req.url === '/jsonrpc' && req.method === 'POST' ? handleRpc : null;
+	if (!handler) return sendJson(res, 404, { error: 'Not found' });
+	handler(req, res).catch(error => {
+		console.error(error);
+		if (!res.headersSent) sendJson(res, 500, { error: 'Fake Odoo failed' });
+	});
+});
+
+server.listen(Number(args.port), () => {
+	console.log(`Fake Odoo listening on http://localhost:${args.port}/jsonrpc`);
+	console.log(`Faults: ${JSON.stringify(config)}`);
+});
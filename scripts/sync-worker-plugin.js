@@ -0,0 +1,38 @@
+// Vite plugin that bundles src/sync-sw.js into one classic script, sync-sw.js, next to the app in
+// the client output. The Workbox service worker generated by vite-plugin-pwa loads it with
+// importScripts (workbox.importScripts in vite.config.js), so the worker drains the offline sync
+// queue with the queue rules the app uses (src/lib/syncQueueCore.js).
+import { fileURLToPath } from 'node:url';
+import { build } from 'vite';
+
+const ENTRY = fileURLToPath(new URL('../src/sync-sw.js', import.meta.url));
+export const SYNC_WORKER_FILE = 'sync-sw.js';
+
+/**
+ * @returns {import('vite').Plugin}
+ */
+export function syncWorker() {
+	let ssr = false;
+
+	return {
+		name: 'expense-split:sync-worker',
+		apply: 'build',
+		configResolved(config) {
+			ssr = Boolean(config.build.ssr);
+		},
+		async generateBundle() {
+			if (ssr) return;
+			// A separate build: importScripts only runs classic scripts, not the app's ES module chunks
+			const result = /** @type {import('vite').Rollup.RollupOutput[]} */ (await build({
+				configFile: false,
+				publicDir: false,
+				logLevel: 'warn',
+				build: {
+					write: false,
+					lib: { entry: ENTRY, formats: ['iife'], name: 'syncWorker' }
+				}
+			}));
+			this.emitFile({ type: 'asset', fileName: SYNC_WORKER_FILE, source: result[0].output[0].code });
+		}
+	};
+}
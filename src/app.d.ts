@@ -1,9 +1,13 @@
+/// <reference types="vite-plugin-pwa/client" />
 // See https://svelte.dev/docs/kit/types#app.d.ts
 // for information about these interfaces
 declare global {
 	namespace App {
 		// interface Error {}
-		// interface Locals {}
+		interface Locals {
+			// Signed-in user, read from the session cookie by hooks.server.js
+			user: import('$lib/server/session').Session | null;
+		}
 		// interface PageData {}
 		// interface PageState {}
 		// interface Platform {}
@@ -0,0 +1,16 @@
+// @ts-check
+import { building } from '$app/environment';
+import { SESSION_COOKIE, checkSessionSecret, unsealSession } from '$lib/server/session';
+
+/** @type {import('@sveltejs/kit').ServerInit} */
+export async function init() {
+	// Fail at startup rather than on the first sign in; the build runs without secrets
+	if (!building) checkSessionSecret();
+}
+
+/** @type {import('@sveltejs/kit').Handle} */
+export async function handle({ event, resolve }) {
+	const cookie = event.cookies.get(SESSION_COOKIE);
+	event.locals.user = cookie ? await unsealSession(cookie) : null;
+	return resolve(event);
+}
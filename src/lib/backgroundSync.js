@@ -0,0 +1,84 @@
+// @ts-check
+import { meta } from './db.js';
+import { odooClient } from './odoo.js';
+
+/**
+ * Page side of the service worker queue sync (src/sync-sw.js).
+ * The worker drains the sync queue when a Background Sync or Periodic Sync event fires,
+ * so changes made just before the app was closed still reach Odoo.
+ */
+
+// Tags shared with src/sync-sw.js
+export const SYNC_TAG = 'sync-queue';
+export const PERIODIC_SYNC_TAG = 'sync-queue-periodic';
+
+// Browsers treat this as a lower bound and run periodic sync far less often on unused apps
+const PERIODIC_SYNC_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * @typedef {Object} BackgroundSyncResult
+ * @property {number} processed
+ * @property {number} failed
+ * @property {Array<{model: string, localId: string, remoteId: number}>} remapped - Records created by the worker
+ */
+
+/**
+ * Get the active service worker registration without waiting for one (there is none in dev)
+ * @returns {Promise<any>}
+ */
+async function getRegistration() {
+	if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+	try {
+		return (await navigator.serviceWorker.getRegistration()) || null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Ask the browser to wake the service worker once the device is online.
+ * Called whenever an operation is queued; unsupported browsers simply skip it.
+ */
+export async function requestBackgroundSync() {
+	const registration = await getRegistration();
+	if (!registration?.sync) return;
+	try {
+		await registration.sync.register(SYNC_TAG);
+	} catch (error) {
+		console.warn('Background sync registration failed:', error);
+	}
+}
+
+/**
+ * Register periodic sync (installed PWAs only) and listen for results reported by the worker
+ * @param {(result: BackgroundSyncResult) => void} onComplete
+ * @returns {() => void} Removes the listener
+ */
+export function setupBackgroundSync(onComplete) {
+	if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return () => {};
+
+	/** @param {MessageEvent} event */
+	const listener = (event) => {
+		if (event.data?.type === 'sync-queue-complete') onComplete(event.data);
+	};
+	navigator.serviceWorker.addEventListener('message', listener);
+
+	// The worker cannot read build-time settings, so tell it where the API lives
+	meta('syncApiUrl', new URL(odooClient.apiUrl, location.href).href).catch(() => {});
+
+	registerPeriodicSync();
+
+	return () => navigator.serviceWorker.removeEventListener('message', listener);
+}
+
+async function registerPeriodicSync() {
+	const registration = await getRegistration();
+	if (!registration?.periodicSync) return;
+	try {
+		const status = await navigator.permissions.query(/** @type {any} */ ({ name: 'periodic-background-sync' }));
+		if (status.state !== 'granted') return;
+		await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL_MS });
+	} catch (error) {
+		console.warn('Periodic sync registration failed:', error);
+	}
+}
@@ -0,0 +1,124 @@
+// @ts-check
+import { meta } from './db.js';
+import { odooClient } from './odoo.js';
+
+/**
+ * Currency used when an expense or group does not specify one
+ */
+export const DEFAULT_CURRENCY = 'SAR';
+
+const RATES_META_KEY = 'currencyRates';
+const OVERRIDES_META_KEY = 'currencyRateOverrides';
+
+/**
+ * @typedef {Object} CachedRates
+ * @property {Record<string, number>} rates - currency code -> rate relative to the Odoo company currency
+ * @property {number} fetchedAt - When the rates were fetched
+ */
+
+/**
+ * Format an amount in the given currency
+ * @param {number} amount
+ * @param {string} [currency]
+ * @returns {string}
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+	try {
+		return new Intl.NumberFormat('en-US', {
+			style: 'currency',
+			currency: currency || DEFAULT_CURRENCY
+		}).format(amount);
+	} catch (e) {
+		// Unknown currency code - fall back to a plain number with the code
+		return `${Number(amount).toFixed(2)} ${currency}`;
+	}
+}
+
+/**
+ * Get the base currency of an expense group
+ * @param {any} group
+ * @returns {string}
+ */
+export function getGroupCurrency(group) {
+	return (group && group.x_studio_base_currency) || DEFAULT_CURRENCY;
+}
+
+/**
+ * Load the cached rates from IndexedDB
+ * @returns {Promise<CachedRates>}
+ */
+export async function getCachedRates() {
+	const cached = await meta(RATES_META_KEY);
+	return cached || { rates: {}, fetchedAt: 0 };
+}
+
+/**
+ * Fetch rates from Odoo and cache them in IndexedDB
+ * @returns {Promise<CachedRates>}
+ */
+export async function refreshRates() {
+	if (!navigator.onLine) return getCachedRates();
+
+	try {
+		const rates = await odooClient.fetchCurrencyRates();
+		const cached = { rates, fetchedAt: Date.now() };
+		await meta(RATES_META_KEY, cached);
+		return cached;
+	} catch (err) {
+		console.warn('Failed to fetch currency rates (offline?):', err);
+		return getCachedRates();
+	}
+}
+
+/**
+ * Key used for manual overrides of a currency pair
+ * @param {string} from
+ * @param {string} to
+ */
+function overrideKey(from, to) {
+	return `${from}:${to}`;
+}
+
+/**
+ * Save a manual exchange rate override so it is reused offline
+ * @param {string} from
+ * @param {string} to
+ * @param {number} rate - Units of `to` for one unit of `from`
+ */
+export async function setRateOverride(from, to, rate) {
+	const overrides = (await meta(OVERRIDES_META_KEY)) || {};
+	overrides[overrideKey(from, to)] = rate;
+	await meta(OVERRIDES_META_KEY, overrides);
+}
+
+/**
+ * Get the exchange rate to convert one unit of `from` into `to`.
+ * Manual overrides win over the rates cached from Odoo.
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<number|null>} null when no rate is known
+ */
+export async function getRate(from, to) {
+	if (!from || !to || from === to) return 1;
+
+	const overrides = (await meta(OVERRIDES_META_KEY)) || {};
+	const override = overrides[overrideKey(from, to)];
+	if (override > 0) return override;
+
+	// Odoo rates are expressed as units of currency per unit of company currency
+	const { rates } = await getCachedRates();
+	const fromRate = rates[from];
+	const toRate = rates[to];
+	if (!(fromRate > 0) || !(toRate > 0)) return null;
+
+	return toRate / fromRate;
+}
+
+/**
+ * List the currency codes known from Odoo
+ * @returns {Promise<string[]>}
+ */
+export async function getKnownCurrencies() {
+	const { rates } = await getCachedRates();
+	return Object.keys(rates).sort();
+}
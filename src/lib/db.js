@@ -5,21 +5,27 @@
  * Stores expenses, groups, and sync queue
  */
 
-const DB_NAME = 'expense_split_db';
-const DB_VERSION = 2; // Incremented to add partners store
+import { writable } from 'svelte/store';
+import { MIGRATIONS, STORES } from './dbMigrations.js';
+
+export { STORES };
 
-// Object store names
-export const STORES = {
-	EXPENSES: 'expenses',
-	GROUPS: 'groups',
-	PARTNERS: 'partners',
-	SYNC_QUEUE: 'sync_queue',
-	META: 'meta'
-};
+const DB_NAME = 'expense_split_db';
+// Schema history lives in dbMigrations.js
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
 
 /** @type {IDBDatabase | null} */
 let db = null;
 
+/**
+ * State of the database connection:
+ * - 'open': usable (or not opened yet)
+ * - 'blocked': an upgrade waits for other tabs running an older version to close
+ * - 'outdated': a newer version of the app upgraded the database and this tab must reload
+ * @type {import('svelte/store').Writable<'open'|'blocked'|'outdated'>}
+ */
+export const dbState = writable('open');
+
 /**
  * Initialize the database
  * @returns {Promise<IDBDatabase>}
@@ -31,48 +37,30 @@ export async function initDB() {
 		const request = indexedDB.open(DB_NAME, DB_VERSION);
 
 		request.onerror = () => reject(request.error);
+		// Keeps waiting: the open succeeds once the other tabs close their connection
+		request.onblocked = () => dbState.set('blocked');
 		request.onsuccess = () => {
-			db = request.result;
+			const database = request.result;
+			// Another tab opened a newer schema: let it upgrade instead of blocking it
+			database.onversionchange = () => {
+				database.close();
+				if (db === database) db = null;
+				dbState.set('outdated');
+			};
+			db = database;
+			dbState.set('open');
 			resolve(db);
 		};
 
 		request.onupgradeneeded = (event) => {
-			const database = /** @type {IDBDatabase} */ (event.target?.result);
-
-			// Expenses store
-			if (!database.objectStoreNames.contains(STORES.EXPENSES)) {
-				const expenseStore = database.createObjectStore(STORES.EXPENSES, { keyPath: 'id' });
-				expenseStore.createIndex('x_studio_date', 'x_studio_date', { unique: false });
-				expenseStore.createIndex('x_studio_is_done', 'x_studio_is_done', { unique: false });
-				expenseStore.createIndex('syncStatus', 'syncStatus', { unique: false });
-			}
-
-			// Groups store
-			if (!database.objectStoreNames.contains(STORES.GROUPS)) {
-				const groupStore = database.createObjectStore(STORES.GROUPS, { keyPath: 'id' });
-				groupStore.createIndex('name', 'name', { unique: false });
-				groupStore.createIndex('syncStatus', 'syncStatus', { unique: false });
-			}
-
-			// Partners store
-			if (!database.objectStoreNames.contains(STORES.PARTNERS)) {
-				const partnerStore = database.createObjectStore(STORES.PARTNERS, { keyPath: 'id' });
-				partnerStore.createIndex('display_name', 'display_name', { unique: false });
-			}
-
-			// Sync queue store
-			if (!database.objectStoreNames.contains(STORES.SYNC_QUEUE)) {
-				const syncStore = database.createObjectStore(STORES.SYNC_QUEUE, { 
-					keyPath: 'id',
-					autoIncrement: true 
-				});
-				syncStore.createIndex('timestamp', 'timestamp', { unique: false });
-				syncStore.createIndex('status', 'status', { unique: false });
-			}
+			const database = request.result;
+			const transaction = /** @type {IDBTransaction} */ (request.transaction);
 
-			// Meta store for timestamps and other metadata
-			if (!database.objectStoreNames.contains(STORES.META)) {
-				database.createObjectStore(STORES.META, { keyPath: 'key' });
+			// Run every step the stored database has not seen yet, oldest first
+			for (const migration of MIGRATIONS) {
+				if (migration.version > event.oldVersion) {
+					migration.migrate(database, transaction);
+				}
 			}
 		};
 	});
@@ -131,6 +119,36 @@ export async function put(storeName, record) {
 	});
 }
 
+/**
+ * Read, change and write a record in one transaction, so no other tab or the service worker
+ * can change it in between
+ * @param {string} storeName
+ * @param {number|string} id
+ * @param {(record: any) => any} updater - Returns the new record, or null to leave it unchanged
+ * @returns {Promise<any>} The written record, or null when nothing was written
+ */
+export async function updateIf(storeName, id, updater) {
+	const database = await initDB();
+	return new Promise((resolve, reject) => {
+		const transaction = database.transaction(storeName, 'readwrite');
+		const store = transaction.objectStore(storeName);
+		const request = store.get(id);
+		/** @type {any} */
+		let written = null;
+
+		request.onsuccess = () => {
+			const updated = request.result ? updater(request.result) : null;
+			if (updated) {
+				written = updated;
+				store.put(updated);
+			}
+		};
+		request.onerror = () => reject(request.error);
+		transaction.oncomplete = () => resolve(written);
+		transaction.onerror = () => reject(transaction.error);
+	});
+}
+
 /**
  * Add multiple records
  * @param {string} storeName
@@ -179,6 +197,44 @@ export async function remove(storeName, id) {
 	});
 }
 
+/**
+ * Put one record and delete others in a single transaction, so either both happen or neither
+ * @param {string} putStore
+ * @param {any} record
+ * @param {string} removeStore
+ * @param {Array<number|string>} ids
+ * @returns {Promise<void>}
+ */
+export async function putAndRemove(putStore, record, removeStore, ids) {
+	const database = await initDB();
+	return new Promise((resolve, reject) => {
+		const transaction = database.transaction([putStore, removeStore], 'readwrite');
+		transaction.objectStore(putStore).put(record);
+		const store = transaction.objectStore(removeStore);
+		for (const id of ids) store.delete(id);
+
+		transaction.oncomplete = () => resolve();
+		transaction.onerror = () => reject(transaction.error);
+		transaction.onabort = () => reject(transaction.error);
+	});
+}
+
+/**
+ * Count the records of a store
+ * @param {string} storeName
+ * @returns {Promise<number>}
+ */
+export async function count(storeName) {
+	const database = await initDB();
+	return new Promise((resolve, reject) => {
+		const transaction = database.transaction(storeName, 'readonly');
+		const request = transaction.objectStore(storeName).count();
+
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
 /**
  * Clear all records from a store
  * @param {string} storeName
@@ -0,0 +1,176 @@
+// @ts-check
+
+/**
+ * Schema history of the IndexedDB database, one step per version.
+ * Each step runs inside the versionchange transaction when the database is opened by a client
+ * that is older than the step, so it may create stores and indexes and rewrite existing records.
+ * Steps must only use IndexedDB requests on the given transaction: awaiting anything else
+ * lets the transaction commit early.
+ * Never edit a step that has shipped: add a new one, DB_VERSION follows the last step.
+ */
+
+// Object store names
+export const STORES = {
+	EXPENSES: 'expenses',
+	GROUPS: 'groups',
+	PARTNERS: 'partners',
+	PAYMENTS: 'payments',
+	RECURRING: 'recurring',
+	SYNC_QUEUE: 'sync_queue',
+	META: 'meta',
+	SNAPSHOTS: 'snapshots'
+};
+
+// many2one fields stored on expenses and payments
+const MANY2ONE_FIELDS = ['x_studio_who_paid', 'x_studio_expensegroup', 'x_studio_from', 'x_studio_to'];
+
+/**
+ * Store many2one values as bare ids instead of Odoo's [id, name] tuples, so they can be indexed.
+ * Names are looked up in the partners and groups stores at render time.
+ * @param {Record<string, any>} record
+ * @returns {Record<string, any>} The same record when nothing changed
+ */
+export function normalizeMany2oneFields(record) {
+	/** @type {Record<string, any>|null} */
+	let normalized = null;
+	for (const field of MANY2ONE_FIELDS) {
+		const value = record[field];
+		if (Array.isArray(value)) {
+			normalized = normalized || { ...record };
+			normalized[field] = value.length > 0 ? value[0] : false;
+		}
+	}
+	return normalized || record;
+}
+
+/**
+ * Partner names carried by the many2one tuples of a record, before they are normalized away
+ * @param {Record<string, any>} record
+ * @returns {Array<{id: number, display_name: string}>}
+ */
+export function getTuplePartners(record) {
+	return ['x_studio_who_paid', 'x_studio_from', 'x_studio_to']
+		.map(field => record[field])
+		.filter(value => Array.isArray(value) && typeof value[0] === 'number' && value[1])
+		.map(value => ({ id: value[0], display_name: String(value[1]) }));
+}
+
+/**
+ * Rewrite every record of a store through a transform inside the upgrade transaction
+ * @param {IDBTransaction} transaction
+ * @param {string} storeName
+ * @param {(record: any) => any} transform - Returns the record to store, or the same object to keep it
+ */
+function rewriteRecords(transaction, storeName, transform) {
+	const request = transaction.objectStore(storeName).openCursor();
+	request.onsuccess = () => {
+		const cursor = request.result;
+		if (!cursor) return;
+		const record = cursor.value;
+		const updated = transform(record);
+		if (updated !== record) cursor.update(updated);
+		cursor.continue();
+	};
+}
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version
+ * @property {string} description
+ * @property {(database: IDBDatabase, transaction: IDBTransaction) => void} migrate
+ */
+
+/** @type {Migration[]} */
+export const MIGRATIONS = [
+	{
+		version: 1,
+		description: 'expenses, groups, sync queue and meta stores',
+		migrate(database) {
+			const expenseStore = database.createObjectStore(STORES.EXPENSES, { keyPath: 'id' });
+			expenseStore.createIndex('x_studio_date', 'x_studio_date', { unique: false });
+			expenseStore.createIndex('x_studio_is_done', 'x_studio_is_done', { unique: false });
+			expenseStore.createIndex('syncStatus', 'syncStatus', { unique: false });
+
+			const groupStore = database.createObjectStore(STORES.GROUPS, { keyPath: 'id' });
+			groupStore.createIndex('name', 'name', { unique: false });
+			groupStore.createIndex('syncStatus', 'syncStatus', { unique: false });
+
+			const syncStore = database.createObjectStore(STORES.SYNC_QUEUE, { keyPath: 'id', autoIncrement: true });
+			syncStore.createIndex('timestamp', 'timestamp', { unique: false });
+			syncStore.createIndex('status', 'status', { unique: false });
+
+			// Timestamps and other metadata
+			database.createObjectStore(STORES.META, { keyPath: 'key' });
+		}
+	},
+	{
+		version: 2,
+		description: 'partners store',
+		migrate(database) {
+			const partnerStore = database.createObjectStore(STORES.PARTNERS, { keyPath: 'id' });
+			partnerStore.createIndex('display_name', 'display_name', { unique: false });
+		}
+	},
+	{
+		version: 3,
+		description: 'payments store (settle-up transfers between partners)',
+		migrate(database) {
+			const paymentStore = database.createObjectStore(STORES.PAYMENTS, { keyPath: 'id' });
+			paymentStore.createIndex('x_studio_date', 'x_studio_date', { unique: false });
+			paymentStore.createIndex('syncStatus', 'syncStatus', { unique: false });
+		}
+	},
+	{
+		version: 4,
+		description: 'recurring expense definitions store',
+		migrate(database) {
+			const recurringStore = database.createObjectStore(STORES.RECURRING, { keyPath: 'id' });
+			recurringStore.createIndex('syncStatus', 'syncStatus', { unique: false });
+		}
+	},
+	{
+		version: 5,
+		description: 'bare many2one ids; group, payer and write_date indexes',
+		migrate(_database, transaction) {
+			const partners = transaction.objectStore(STORES.PARTNERS);
+
+			for (const storeName of [STORES.EXPENSES, STORES.PAYMENTS]) {
+				rewriteRecords(transaction, storeName, (record) => {
+					// Keep the names of partners that were only known from the tuples
+					for (const partner of getTuplePartners(record)) {
+						const lookup = partners.get(partner.id);
+						lookup.onsuccess = () => {
+							if (!lookup.result) partners.put(partner);
+						};
+					}
+					return normalizeMany2oneFields(record);
+				});
+			}
+
+			const expenseStore = transaction.objectStore(STORES.EXPENSES);
+			expenseStore.createIndex('x_studio_expensegroup', 'x_studio_expensegroup', { unique: false });
+			expenseStore.createIndex('x_studio_who_paid', 'x_studio_who_paid', { unique: false });
+			expenseStore.createIndex('write_date', 'write_date', { unique: false });
+
+			const paymentStore = transaction.objectStore(STORES.PAYMENTS);
+			paymentStore.createIndex('x_studio_expensegroup', 'x_studio_expensegroup', { unique: false });
+		}
+	},
+	{
+		version: 6,
+		description: 'opening balance snapshots of archived settled expenses, one per group',
+		migrate(database) {
+			database.createObjectStore(STORES.SNAPSHOTS, { keyPath: 'groupId' });
+		}
+	},
+	{
+		version: 7,
+		description: 'snapshots count their archived expenses instead of listing them; the server adds them up',
+		migrate(_database, transaction) {
+			rewriteRecords(transaction, STORES.SNAPSHOTS, ({ archived = {}, ...snapshot }) => ({
+				...snapshot,
+				count: Object.keys(archived).length
+			}));
+		}
+	}
+];
@@ -0,0 +1,157 @@
+import 'fake-indexeddb/auto';
+import { get } from 'svelte/store';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { MIGRATIONS, STORES } from './dbMigrations.js';
+
+const DB_NAME = 'expense_split_db';
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Open the database at an older version, running only the steps up to it
+ * @param {number} version
+ * @returns {Promise<IDBDatabase>}
+ */
+function openAt(version) {
+	return new Promise((resolve, reject) => {
+		const request = indexedDB.open(DB_NAME, version);
+		request.onupgradeneeded = (event) => {
+			for (const migration of MIGRATIONS) {
+				if (migration.version > event.oldVersion && migration.version <= version) {
+					migration.migrate(request.result, /** @type {IDBTransaction} */ (request.transaction));
+				}
+			}
+		};
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * @param {IDBDatabase} database
+ * @param {string} storeName
+ * @param {any[]} records
+ */
+function putAll(database, storeName, records) {
+	return new Promise((resolve, reject) => {
+		const transaction = database.transaction(storeName, 'readwrite');
+		for (const record of records) transaction.objectStore(storeName).put(record);
+		transaction.oncomplete = resolve;
+		transaction.onerror = () => reject(transaction.error);
+	});
+}
+
+/**
+ * A fresh copy of db.js, with no connection cached from an earlier test
+ */
+async function loadDb() {
+	vi.resetModules();
+	return import('./db.js');
+}
+
+beforeEach(async () => {
+	await new Promise((resolve, reject) => {
+		const request = indexedDB.deleteDatabase(DB_NAME);
+		request.onsuccess = resolve;
+		request.onerror = () => reject(request.error);
+	});
+});
+
+describe('MIGRATIONS', () => {
+	it('numbers the steps from 1 without gaps', () => {
+		expect(MIGRATIONS.map(migration => migration.version)).toEqual(MIGRATIONS.map((_, index) => index + 1));
+	});
+
+	it('creates every store in a new database', async () => {
+		const { initDB } = await loadDb();
+		const database = await initDB();
+
+		expect(database.version).toBe(LATEST);
+		expect([...database.objectStoreNames].sort()).toEqual(Object.values(STORES).sort());
+		database.close();
+	});
+
+	it('moves many2one tuples of a version 4 database to bare ids and keeps their names', async () => {
+		const old = await openAt(4);
+		await putAll(old, STORES.PARTNERS, [{ id: 2, display_name: 'Alice (edited)' }]);
+		await putAll(old, STORES.EXPENSES, [
+			{ id: 1, x_name: 'Milk', x_studio_who_paid: [2, 'Alice'], x_studio_expensegroup: [5, 'Flat'] },
+			{ id: 2, x_name: 'Bread', x_studio_who_paid: [3, 'Bob'], x_studio_expensegroup: false }
+		]);
+		await putAll(old, STORES.PAYMENTS, [{ id: 1, x_studio_from: [3, 'Bob'], x_studio_to: [4, 'Carol'] }]);
+		old.close();
+
+		const { getAll, getById, initDB } = await loadDb();
+		const database = await initDB();
+
+		expect(await getById(STORES.EXPENSES, 1)).toMatchObject({ x_studio_who_paid: 2, x_studio_expensegroup: 5 });
+		expect(await getById(STORES.EXPENSES, 2)).toMatchObject({ x_studio_who_paid: 3, x_studio_expensegroup: false });
+		expect(await getById(STORES.PAYMENTS, 1)).toMatchObject({ x_studio_from: 3, x_studio_to: 4 });
+		// Partners already stored keep their name
+		expect((await getAll(STORES.PARTNERS)).sort((a, b) => a.id - b.id)).toEqual([
+			{ id: 2, display_name: 'Alice (edited)' },
+			{ id: 3, display_name: 'Bob' },
+			{ id: 4, display_name: 'Carol' }
+		]);
+
+		const indexes = database.transaction(STORES.EXPENSES).objectStore(STORES.EXPENSES).indexNames;
+		expect([...indexes]).toEqual(expect.arrayContaining(['x_studio_expensegroup', 'x_studio_who_paid', 'write_date']));
+		database.close();
+	});
+
+	it('keeps existing data when adding the snapshots store', async () => {
+		const old = await openAt(5);
+		await putAll(old, STORES.GROUPS, [{ id: 5, name: 'Flat' }]);
+		old.close();
+
+		const { getById, initDB } = await loadDb();
+		const database = await initDB();
+
+		expect(await getById(STORES.GROUPS, 5)).toEqual({ id: 5, name: 'Flat' });
+		expect(database.objectStoreNames.contains(STORES.SNAPSHOTS)).toBe(true);
+		database.close();
+	});
+
+	it('replaces the archived ids of a snapshot with their count', async () => {
+		const old = await openAt(6);
+		const snapshot = { groupId: 5, balances: { 2: 10, 3: -10 }, archived: { 11: 'a', 12: 'b' }, archivedThrough: '2024-01-01', updatedAt: 1 };
+		await putAll(old, STORES.SNAPSHOTS, [snapshot]);
+		old.close();
+
+		const { getById, initDB } = await loadDb();
+		const database = await initDB();
+
+		expect(await getById(STORES.SNAPSHOTS, 5)).toEqual({ groupId: 5, balances: { 2: 10, 3: -10 }, count: 2, archivedThrough: '2024-01-01', updatedAt: 1 });
+		database.close();
+	});
+});
+
+describe('initDB', () => {
+	it('reports an upgrade blocked by a tab on the old version, then opens once it closes', async () => {
+		const old = await openAt(LATEST - 1);
+		const { dbState, initDB } = await loadDb();
+
+		const opening = initDB();
+		await vi.waitFor(() => expect(get(dbState)).toBe('blocked'));
+
+		old.close();
+		const database = await opening;
+
+		expect(database.version).toBe(LATEST);
+		expect(get(dbState)).toBe('open');
+		database.close();
+	});
+
+	it('closes its connection when a newer version needs to upgrade', async () => {
+		const { dbState, initDB } = await loadDb();
+		await initDB();
+
+		const newer = await new Promise((resolve, reject) => {
+			const request = indexedDB.open(DB_NAME, LATEST + 1);
+			request.onblocked = () => reject(new Error('blocked by the older connection'));
+			request.onsuccess = () => resolve(request.result);
+		});
+
+		expect(get(dbState)).toBe('outdated');
+		newer.close();
+	});
+});
@@ -1,35 +1,52 @@
 // @ts-check
+import { simplifyDebts, SettlementConstraintError } from './settlement.js';
 
 /**
  * Normalize a person field which may be a string, number, or [id, name] tuple or object.
- * Returns a display string to be used as the key in balances map.
+ * Returns a stable key to be used in the balances map: the res.partner id as a string.
+ * Display names are never used as keys, so partners sharing a name stay separate and
+ * renaming a partner keeps their history. Legacy name strings are returned as-is.
  * @param {any} person
  * @returns {string}
  */
-function normalizePerson(person) {
-	if (person == null) return '';
+export function normalizePerson(person) {
+	if (person == null || person === false) return '';
 	// If person is an array/tuple like [id, name]
-	if (Array.isArray(person) && person.length >= 2) return String(person[1]);
-	// If person is an object with display_name
+	if (Array.isArray(person) && person.length >= 1) return String(person[0]);
+	// If person is an object like {id, display_name}
 	if (typeof person === 'object') {
+		if (person.id != null) return String(person.id);
 		if (person.display_name) return String(person.display_name);
 		if (person.name) return String(person.name);
+		return '';
 	}
-	// Primitive fallback
+	// Primitive id or legacy name
 	return String(person);
 }
 
 /**
- * Normalize participants field into an array of display strings.
+ * Id of a many2one reference as stored on records: a number, or the `local_…` id of a
+ * record (e.g. an expense group) created offline and not yet synced
+ * @param {any} value
+ * @returns {number|string|null}
+ */
+export function toRecordId(value) {
+	const key = normalizePerson(value);
+	if (!key) return null;
+	return /^\d+$/.test(key) ? Number(key) : key;
+}
+
+/**
+ * Normalize participants field into an array of partner id keys.
  * Accepts:
- * - comma separated string 'Alice, Bob'
  * - array of ids [1,2,3]
  * - array of tuples [[1,'Alice'], [2,'Bob']]
  * - array of objects [{id:1, display_name:'Alice'}]
+ * - legacy comma separated names 'Alice, Bob'
  * @param {any} raw
  * @returns {string[]}
  */
-function normalizeParticipants(raw) {
+export function normalizeParticipants(raw) {
 	if (!raw) return [];
 	// comma-separated string
 	if (typeof raw === 'string') {
@@ -37,133 +54,326 @@ function normalizeParticipants(raw) {
 	}
 
 	if (Array.isArray(raw)) {
-		// array of tuples or objects or ids
-		const results = [];
-		for (const item of raw) {
-			if (Array.isArray(item) && item.length >= 2) {
-				results.push(String(item[1]));
-			} else if (item && typeof item === 'object') {
-				if (item.display_name) results.push(String(item.display_name));
-				else if (item.name) results.push(String(item.name));
-				else if (item.id) results.push(String(item.id));
-			} else if (item != null) {
-				// primitive id or string
-				results.push(String(item));
+		return raw.map(normalizePerson).filter(Boolean);
+	}
+
+	// fallback
+	return [normalizePerson(raw)].filter(Boolean);
+}
+
+/**
+ * Supported split modes for an expense.
+ * - equal: amount divided evenly between participants
+ * - shares: amount divided proportionally to each participant's share count
+ * - percent: each participant pays a percentage of the amount
+ * - exact: each participant pays a fixed amount
+ * - itemized: each line item is split between its own participants (see getItemBreakdown)
+ */
+export const SPLIT_MODES = ['equal', 'shares', 'percent', 'exact', 'itemized'];
+
+/**
+ * Kinds of receipt lines.
+ * - item: split equally between the item's participants (all expense participants when empty)
+ * - tax / discount: shared lines spread in proportion to each person's item subtotal
+ */
+export const ITEM_TYPES = ['item', 'tax', 'discount'];
+
+/**
+ * @typedef {Object} ReceiptItem
+ * @property {string} name
+ * @property {number} amount - Always positive; discounts are subtracted
+ * @property {string} type - 'item' | 'tax' | 'discount'
+ * @property {string[]} participants - Partner id keys; ignored for tax and discount lines
+ */
+
+/**
+ * Parse the split weights field into a plain object.
+ * Odoo stores weights as a JSON string in `x_studio_split_weights`, keyed by partner id,
+ * which matches the participant keys returned by normalizeParticipants.
+ * @param {any} raw
+ * @returns {Record<string, number>}
+ */
+export function parseSplitWeights(raw) {
+	if (!raw) return {};
+	let parsed = raw;
+	if (typeof raw === 'string') {
+		try {
+			parsed = JSON.parse(raw);
+		} catch (e) {
+			return {};
+		}
+	}
+	if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+
+	/** @type {Record<string, number>} */
+	const weights = {};
+	for (const [key, value] of Object.entries(parsed)) {
+		const n = parseFloat(String(value));
+		if (Number.isFinite(n) && n >= 0) weights[key] = n;
+	}
+	return weights;
+}
+
+/**
+ * Parse the line items field into a clean list.
+ * Odoo stores items as a JSON array in `x_studio_items`.
+ * @param {any} raw
+ * @returns {ReceiptItem[]}
+ */
+export function parseItems(raw) {
+	if (!raw) return [];
+	let parsed = raw;
+	if (typeof raw === 'string') {
+		try {
+			parsed = JSON.parse(raw);
+		} catch (e) {
+			return [];
+		}
+	}
+	if (!Array.isArray(parsed)) return [];
+
+	return parsed
+		.filter((item) => item && typeof item === 'object')
+		.map((item) => ({
+			name: String(item.name || ''),
+			amount: Math.abs(parseFloat(String(item.amount || 0))) || 0,
+			type: ITEM_TYPES.includes(item.type) ? item.type : 'item',
+			participants: normalizeParticipants(item.participants)
+		}));
+}
+
+/**
+ * Total of a receipt: items plus tax lines minus discount lines
+ * @param {ReceiptItem[]} items
+ * @returns {number}
+ */
+export function getItemsTotal(items) {
+	return items.reduce((sum, item) => sum + (item.type === 'discount' ? -item.amount : item.amount), 0);
+}
+
+/**
+ * Split every line of an itemized expense between its participants.
+ * Tax and discount lines follow each person's share of the items, so someone who only
+ * bought cheap items also gets a small part of the tax. When nothing was assigned yet
+ * they are split evenly between the expense participants.
+ * @param {{x_studio_items?: any, x_studio_participants: any}} expense
+ * @returns {Array<ReceiptItem & {shares: Record<string, number>}>} amounts in the expense currency; discounts are negative shares
+ */
+export function getItemBreakdown(expense) {
+	const items = parseItems(expense.x_studio_items);
+	const everyone = normalizeParticipants(expense.x_studio_participants);
+
+	/** @type {Record<string, number>} */
+	const subtotals = {};
+	const lines = items.map((item) => {
+		/** @type {Record<string, number>} */
+		const shares = {};
+		if (item.type === 'item') {
+			const people = item.participants.length > 0 ? item.participants : everyone;
+			for (const p of people) {
+				shares[p] = item.amount / people.length;
+				subtotals[p] = (subtotals[p] || 0) + shares[p];
 			}
 		}
-		return results.filter(Boolean);
+		return { ...item, shares };
+	});
+
+	const subtotal = Object.values(subtotals).reduce((sum, v) => sum + v, 0);
+	for (const line of lines) {
+		if (line.type === 'item') continue;
+		const sign = line.type === 'discount' ? -1 : 1;
+		if (subtotal > 0) {
+			for (const p of Object.keys(subtotals)) line.shares[p] = (sign * line.amount * subtotals[p]) / subtotal;
+		} else {
+			for (const p of everyone) line.shares[p] = (sign * line.amount) / everyone.length;
+		}
 	}
 
-	// fallback
-	return [String(raw)];
+	return lines;
 }
 
 /**
- * Calculate balances from expenses
- * @param {Array<{x_studio_who_paid: any, x_studio_value: number, x_studio_participants: any, x_studio_is_done?: boolean}>} expenses
+ * Calculate how much of an expense each participant owes, respecting its split mode.
+ * Falls back to an equal split when the weights are missing or unusable.
+ * @param {{x_studio_value: number, x_studio_participants: any, x_studio_split_mode?: string, x_studio_split_weights?: any, x_studio_items?: any}} expense
  * @returns {Record<string, number>}
  */
-export function calculateBalances(expenses) {
+export function getExpenseShares(expense) {
+	const amount = parseFloat(String(expense.x_studio_value || 0));
+	const participants = normalizeParticipants(expense.x_studio_participants);
+
 	/** @type {Record<string, number>} */
-	const balances = {};
+	const shares = {};
+	if (participants.length === 0 || !(amount > 0)) return shares;
 
-	// First, calculate opening balances from settled expenses
-	const settledExpenses = expenses.filter(e => e.x_studio_is_done === true);
-	const unsettledExpenses = expenses.filter(e => e.x_studio_is_done !== true);
+	const mode = expense.x_studio_split_mode || 'equal';
+	const weights = parseSplitWeights(expense.x_studio_split_weights);
 
-	// Process settled expenses to get opening balances
-	for (const expense of settledExpenses) {
-		const rawPayer = expense.x_studio_who_paid;
-		const amount = parseFloat(String(expense.x_studio_value || 0));
-		const payer = normalizePerson(rawPayer);
-		const participants = normalizeParticipants(expense.x_studio_participants);
-
-		if (!payer || participants.length === 0 || amount <= 0) continue;
-
-		// Initialize balances
-		if (!balances[payer]) balances[payer] = 0;
-		participants.forEach((p) => {
-			if (!balances[p]) balances[p] = 0;
-		});
-
-		// Payer gets credited
-		balances[payer] += amount;
-
-		// Split amount among participants
-		const sharePerPerson = amount / participants.length;
-		participants.forEach((p) => {
-			balances[p] -= sharePerPerson;
-		});
+	if (mode === 'itemized') {
+		const lines = getItemBreakdown(expense);
+		if (lines.length > 0) {
+			for (const line of lines) {
+				for (const [p, value] of Object.entries(line.shares)) shares[p] = (shares[p] || 0) + value;
+			}
+			// Keep the shares reconciled with the stored total if the two ever drift apart
+			const people = Object.keys(shares);
+			const remainder = (amount - Object.values(shares).reduce((sum, v) => sum + v, 0)) / (people.length || 1);
+			for (const p of people) shares[p] += remainder;
+			return shares;
+		}
 	}
 
-	// Now process unsettled expenses on top of opening balances
-	for (const expense of unsettledExpenses) {
-		const rawPayer = expense.x_studio_who_paid;
-		const amount = parseFloat(String(expense.x_studio_value || 0));
-		const payer = normalizePerson(rawPayer);
-		const participants = normalizeParticipants(expense.x_studio_participants);
-
-		if (!payer || participants.length === 0 || amount <= 0) continue;
-
-		// Initialize balances
-		if (!balances[payer]) balances[payer] = 0;
-		participants.forEach((p) => {
-			if (!balances[p]) balances[p] = 0;
-		});
-
-		// Payer gets credited
-		balances[payer] += amount;
-
-		// Split amount among participants
-		const sharePerPerson = amount / participants.length;
-		participants.forEach((p) => {
-			balances[p] -= sharePerPerson;
-		});
+	if (mode === 'exact') {
+		// Any difference between the exact amounts and the total is split evenly
+		let assigned = 0;
+		for (const p of participants) {
+			shares[p] = weights[p] || 0;
+			assigned += shares[p];
+		}
+		const remainder = (amount - assigned) / participants.length;
+		for (const p of participants) shares[p] += remainder;
+		return shares;
 	}
 
-	return balances;
+	if (mode === 'shares' || mode === 'percent') {
+		// Percentages that don't add up to 100 are normalized like shares
+		const defaultWeight = mode === 'shares' ? 1 : 0;
+		const weightFor = (/** @type {string} */ p) => (p in weights ? weights[p] : defaultWeight);
+		const total = participants.reduce((sum, p) => sum + weightFor(p), 0);
+		if (total > 0) {
+			for (const p of participants) shares[p] = (amount * weightFor(p)) / total;
+			return shares;
+		}
+	}
+
+	for (const p of participants) shares[p] = amount / participants.length;
+	return shares;
 }
 
 /**
- * Calculate settlements (who owes whom)
+ * Get the rate converting an expense's own currency into the group base currency.
+ * Expenses without a rate are assumed to be in the base currency.
+ * @param {{x_studio_exchange_rate?: any}} expense
+ * @returns {number}
+ */
+export function getExpenseRate(expense) {
+	const rate = parseFloat(String(expense.x_studio_exchange_rate || 0));
+	return rate > 0 ? rate : 1;
+}
+
+/**
+ * Get an expense's amount in the group base currency
+ * @param {{x_studio_value: number, x_studio_exchange_rate?: any}} expense
+ * @returns {number}
+ */
+export function toBaseAmount(expense) {
+	return parseFloat(String(expense.x_studio_value || 0)) * getExpenseRate(expense);
+}
+
+/**
+ * Get a single participant's share of an expense, in the group base currency
+ * @param {any} expense
+ * @param {string} person
+ * @returns {number}
+ */
+export function getParticipantShare(expense, person) {
+	return (getExpenseShares(expense)[person] || 0) * getExpenseRate(expense);
+}
+
+/**
+ * Apply a single expense to a balances map
  * @param {Record<string, number>} balances
- * @returns {Array<{from: string, to: string, amount: number}>}
+ * @param {any} expense
  */
-export function calculateSettlements(balances) {
-	const creditors = [];
-	const debtors = [];
+function applyExpense(balances, expense) {
+	const amount = toBaseAmount(expense);
+	const rate = getExpenseRate(expense);
+	const payer = normalizePerson(expense.x_studio_who_paid);
+	const shares = getExpenseShares(expense);
+	const participants = Object.keys(shares);
 
-	for (const [person, balance] of Object.entries(balances)) {
-		if (balance > 0.01) {
-			creditors.push({ person, amount: balance });
-		} else if (balance < -0.01) {
-			debtors.push({ person, amount: -balance });
-		}
-	}
+	if (!payer || participants.length === 0 || amount <= 0) return;
+
+	// Initialize balances
+	if (!balances[payer]) balances[payer] = 0;
+	participants.forEach((p) => {
+		if (!balances[p]) balances[p] = 0;
+	});
+
+	// Payer gets credited
+	balances[payer] += amount;
 
-	const settlements = [];
+	// Each participant is debited their share, converted to the base currency
+	participants.forEach((p) => {
+		balances[p] -= shares[p] * rate;
+	});
+}
 
-	let i = 0;
-	let j = 0;
+/**
+ * Apply a settle-up payment to a balances map.
+ * The sender's debt shrinks and the receiver is owed that much less.
+ * @param {Record<string, number>} balances
+ * @param {any} payment
+ */
+function applyPayment(balances, payment) {
+	const amount = parseFloat(String(payment.x_studio_value || 0));
+	const from = normalizePerson(payment.x_studio_from);
+	const to = normalizePerson(payment.x_studio_to);
 
-	while (i < creditors.length && j < debtors.length) {
-		const creditor = creditors[i];
-		const debtor = debtors[j];
+	if (!from || !to || from === to || amount <= 0) return;
 
-		const amount = Math.min(creditor.amount, debtor.amount);
+	if (!balances[from]) balances[from] = 0;
+	if (!balances[to]) balances[to] = 0;
 
-		settlements.push({
-			from: debtor.person,
-			to: creditor.person,
-			amount: parseFloat(amount.toFixed(2))
-		});
+	balances[from] += amount;
+	balances[to] -= amount;
+}
+
+/**
+ * Calculate balances from expenses and settle-up payments, in the group base currency
+ * @param {Array<{x_studio_who_paid: any, x_studio_value: number, x_studio_participants: any, x_studio_is_done?: boolean, x_studio_split_mode?: string, x_studio_split_weights?: any, x_studio_exchange_rate?: number}>} expenses
+ * @param {Array<{x_studio_from: any, x_studio_to: any, x_studio_value: number}>} [payments]
+ * @param {Record<string, number>} [opening] - Balances of archived expenses to start from
+ * @returns {Record<string, number>}
+ */
+export function calculateBalances(expenses, payments = [], opening = {}) {
+	/** @type {Record<string, number>} */
+	const balances = { ...opening };
 
-		creditor.amount -= amount;
-		debtor.amount -= amount;
+	// First, calculate opening balances from settled expenses
+	const settledExpenses = expenses.filter(e => e.x_studio_is_done === true);
+	const unsettledExpenses = expenses.filter(e => e.x_studio_is_done !== true);
 
-		if (creditor.amount < 0.01) i++;
-		if (debtor.amount < 0.01) j++;
+	// Process settled expenses to get opening balances
+	for (const expense of settledExpenses) {
+		applyExpense(balances, expense);
+	}
+
+	// Now process unsettled expenses on top of opening balances
+	for (const expense of unsettledExpenses) {
+		applyExpense(balances, expense);
+	}
+
+	// Payments settle part of the outstanding balances
+	for (const payment of payments) {
+		applyPayment(balances, payment);
 	}
 
-	return settlements;
+	return balances;
+}
+
+/**
+ * Calculate settlements (who owes whom) using as few transfers as possible
+ * @param {Record<string, number>} balances - Balances in the group base currency
+ * @param {import('./settlement.js').SettlementOptions} [options] - Currency decimals and forbidden direct transfers
+ * @returns {{transfers: Array<{from: string, to: string, amount: number}>, error: string|null}}
+ *   error is set, with no transfers, when the forbidden transfers leave no way to settle
+ */
+export function calculateSettlements(balances, options = {}) {
+	try {
+		return { transfers: simplifyDebts(balances, options), error: null };
+	} catch (error) {
+		if (!(error instanceof SettlementConstraintError)) throw error;
+		return { transfers: [], error: error.message };
+	}
 }
@@ -1,17 +1,76 @@
 // @ts-check
 import { base } from '$app/paths';
+import { isLocalId } from './syncQueueCore.js';
 
 // Read PUBLIC_API_URL from Vite environment at build time (optional)
 const PUBLIC_API_URL = typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.PUBLIC_API_URL
 	? String(import.meta.env.PUBLIC_API_URL)
 	: '';
 
+/**
+ * Error returned by the server API, carrying its machine readable code
+ * (e.g. 'conflict' when a write was based on an outdated copy of the record)
+ */
+export class OdooApiError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {{status?: number, code?: string, data?: any}} [details]
+	 */
+	constructor(message, { status = 0, code = '', data = null } = {}) {
+		super(message);
+		this.name = 'OdooApiError';
+		this.status = status;
+		this.code = code;
+		this.data = data;
+	}
+}
+
+// Shared with the service worker, which cannot import this module
+export { isLocalId };
+
+// Update action of each model that can be written through updateIfUnchanged()
+/** @type {Record<string, string>} */
+const UPDATE_ACTIONS = {
+	expense: 'update',
+	payment: 'update_payment',
+	recurring: 'update_recurring',
+	group: 'update_group'
+};
+
+/**
+ * @typedef {Object} SessionUser
+ * @property {number} uid
+ * @property {string} login
+ * @property {string} name
+ * @property {number} partnerId - Partner of the user in group members
+ */
+
+/**
+ * @typedef {Object} PageOptions
+ * @property {number} [limit] - Up to 500 records
+ * @property {number} [offset] - Records to skip
+ * @property {string} [order] - e.g. 'x_studio_date desc, id desc'; by id when empty
+ */
+
 /**
  * @typedef {Object} OdooClient
  * @property {(fields: Record<string, any>) => Promise<number>} createExpense
- * @property {(domain?: any[], fields?: string[]) => Promise<any[]>} searchExpenses
+ * @property {(domain?: any[], fields?: string[], options?: PageOptions) => Promise<any[]>} searchExpenses
+ * @property {(domain: any[], fields: string[], options: PageOptions) => Promise<{records: any[], count: number}>} searchExpensePage
+ * @property {(domain?: any[]) => Promise<number>} countExpenses
+ * @property {(group: number, before: string, exclude?: number[]) => Promise<{balances: Record<string, number>, count: number}>} summarizeSettledExpenses
  * @property {(id: number, values: Record<string, any>) => Promise<boolean>} updateExpense
  * @property {(id: number) => Promise<boolean>} deleteExpense
+ * @property {(fields: Record<string, any>) => Promise<number>} createPayment
+ * @property {(domain?: any[], fields?: string[]) => Promise<any[]>} searchPayments
+ * @property {(domain: any[], fields: string[], options: PageOptions) => Promise<{records: any[], count: number}>} searchPaymentPage
+ * @property {(id: number) => Promise<boolean>} deletePayment
+ * @property {(fields: Record<string, any>) => Promise<number>} createRecurring
+ * @property {(domain?: any[], fields?: string[]) => Promise<any[]>} searchRecurring
+ * @property {(id: number, values: Record<string, any>) => Promise<boolean>} updateRecurring
+ * @property {(id: number) => Promise<boolean>} deleteRecurring
+ * @property {(model: string, id: number, values: Record<string, any>, baseWriteDate: string) => Promise<string|null>} updateIfUnchanged
+ * @property {(ids: number[], values: Record<string, any>, baseWriteDates?: Record<number, string>) => Promise<Record<number, string>>} batchUpdateExpenses
  */
 
 class OdooAPI {
@@ -21,35 +80,109 @@ class OdooAPI {
 		// and the server proxy runs on a separate host (e.g. Vercel/Render).
 		if (PUBLIC_API_URL && PUBLIC_API_URL.trim() !== '') {
 			this.apiUrl = `${PUBLIC_API_URL.replace(/\/$/, '')}/api/odoo`;
+			this.authUrl = `${PUBLIC_API_URL.replace(/\/$/, '')}/api/auth`;
 		} else {
 			this.apiUrl = `${base}/api/odoo`;
+			this.authUrl = `${base}/api/auth`;
 		}
+
+		/** @type {Set<() => void>} */
+		this.unauthenticatedListeners = new Set();
 	}
 
 	/**
-	 * Call the server-side API
+	 * Listen for API calls refused because the session is missing or expired
+	 * @param {() => void} listener
+	 * @returns {() => void} Removes the listener
+	 */
+	onUnauthenticated(listener) {
+		this.unauthenticatedListeners.add(listener);
+		return () => this.unauthenticatedListeners.delete(listener);
+	}
+
+	/**
+	 * POST to an API endpoint with the session cookie
+	 * @param {string} url
 	 * @param {string} action
 	 * @param {any} data
 	 * @returns {Promise<any>}
 	 */
-	async callApi(action, data) {
-		const response = await fetch(this.apiUrl, {
+	async post(url, action, data) {
+		const response = await fetch(url, {
 			method: 'POST',
 			headers: {
 				'Content-Type': 'application/json'
 			},
+			// The proxy may be on another origin (PUBLIC_API_URL)
+			credentials: 'include',
 			body: JSON.stringify({ action, data })
 		});
 
-		const result = await response.json();
+		/** @type {any} */
+		let result;
+		try {
+			result = await response.json();
+		} catch {
+			// e.g. an HTML error page from a proxy or host in front of the server
+			throw new OdooApiError(`Server answered with HTTP ${response.status}`, { status: response.status });
+		}
 
 		if (!result.success) {
-			throw new Error(result.error || 'API Error');
+			if (response.status === 401 && result.code === 'unauthenticated') {
+				for (const listener of this.unauthenticatedListeners) listener();
+			}
+			throw new OdooApiError(result.error || 'API Error', {
+				status: response.status,
+				code: result.code,
+				data: result
+			});
 		}
 
 		return result;
 	}
 
+	/**
+	 * Call the server-side API
+	 * @param {string} action
+	 * @param {any} data
+	 * @returns {Promise<any>}
+	 */
+	async callApi(action, data) {
+		return this.post(this.apiUrl, action, data);
+	}
+
+	/**
+	 * Sign in with an Odoo login and password or API key
+	 * @param {string} login
+	 * @param {string} password
+	 * @returns {Promise<SessionUser>}
+	 */
+	async login(login, password) {
+		const result = await this.post(this.authUrl, 'login', { login, password });
+		return result.user;
+	}
+
+	/**
+	 * End the session
+	 */
+	async logout() {
+		await this.post(this.authUrl, 'logout', {});
+	}
+
+	/**
+	 * The signed-in user
+	 * @returns {Promise<SessionUser|null>} null when not signed in
+	 */
+	async getSession() {
+		const response = await fetch(this.authUrl, { credentials: 'include' });
+		if (response.status === 401) return null;
+		const result = await response.json();
+		if (!result.success) {
+			throw new OdooApiError(result.error || 'API Error', { status: response.status, code: result.code, data: result });
+		}
+		return result.user;
+	}
+
 	/**
 	 * Create a new expense record
 	 * @param {Record<string, any>} fields
@@ -64,13 +197,48 @@ class OdooAPI {
 	 * Search and read expense records
 	 * @param {any[]} domain
 	 * @param {string[]} fields
+	 * @param {PageOptions} [options] - Every match, by id, when not given
 	 * @returns {Promise<any[]>}
 	 */
-	async searchExpenses(domain = [], fields = []) {
-		const result = await this.callApi('search', { domain, fields });
+	async searchExpenses(domain = [], fields = [], options = {}) {
+		const result = await this.callApi('search', { domain, fields, ...options });
 		return result.results;
 	}
 
+	/**
+	 * Read one page of expense records, with the number of records matching the domain
+	 * @param {any[]} domain
+	 * @param {string[]} fields
+	 * @param {PageOptions} options
+	 * @returns {Promise<{records: any[], count: number}>}
+	 */
+	async searchExpensePage(domain, fields, options) {
+		const result = await this.callApi('search', { domain, fields, ...options, count: true });
+		return { records: result.results, count: result.count };
+	}
+
+	/**
+	 * Count expense records without reading them
+	 * @param {any[]} domain
+	 * @returns {Promise<number>}
+	 */
+	async countExpenses(domain = []) {
+		const { count } = await this.searchExpensePage(domain, ['id'], { limit: 1 });
+		return count;
+	}
+
+	/**
+	 * Net balances of a group's settled expenses dated before a day, added up on the server
+	 * @param {number} group
+	 * @param {string} before - YYYY-MM-DD
+	 * @param {number[]} [exclude] - Expenses the caller counts itself
+	 * @returns {Promise<{balances: Record<string, number>, count: number}>}
+	 */
+	async summarizeSettledExpenses(group, before, exclude = []) {
+		const result = await this.callApi('balance_summary', { group, before, exclude });
+		return { balances: result.balances, count: result.count };
+	}
+
 	/**
 	 * Generic search_read for any model
 	 * @param {string} model
@@ -92,6 +260,45 @@ class OdooAPI {
 		return await this.searchModel('res.partner', [], ['id', 'display_name']);
 	}
 
+	/**
+	 * Fetch the latest exchange rates of active currencies.
+	 * Uses the newest res.currency.rate per currency, falling back to res.currency's computed rate.
+	 * @returns {Promise<Record<string, number>>} currency code -> rate relative to the company currency
+	 */
+	async fetchCurrencyRates() {
+		const currencies = await this.searchModel('res.currency', [['active', '=', true]], ['id', 'name', 'rate']);
+		if (!Array.isArray(currencies) || currencies.length === 0) return {};
+
+		/** @type {Record<string, number>} */
+		const rates = {};
+		/** @type {Map<number, string>} */
+		const codeById = new Map();
+		for (const currency of currencies) {
+			codeById.set(Number(currency.id), currency.name);
+			if (currency.rate > 0) rates[currency.name] = Number(currency.rate);
+		}
+
+		const rateRecords = await this.searchModel(
+			'res.currency.rate',
+			[['currency_id', 'in', Array.from(codeById.keys())]],
+			['currency_id', 'rate', 'name']
+		);
+
+		/** @type {Record<string, string>} */
+		const latestDate = {};
+		for (const record of rateRecords || []) {
+			const currencyId = Array.isArray(record.currency_id) ? record.currency_id[0] : record.currency_id;
+			const code = codeById.get(Number(currencyId));
+			if (!code || !(record.rate > 0)) continue;
+			if (!latestDate[code] || record.name > latestDate[code]) {
+				latestDate[code] = record.name;
+				rates[code] = Number(record.rate);
+			}
+		}
+
+		return rates;
+	}
+
 	/**
 	 * Fetch default participants configured in x_expense_participants model.
 	 * Expects a single record with field `x_studio_default_participants` containing partner ids.
@@ -165,9 +372,11 @@ class OdooAPI {
 	/**
 	 * Format a many2one field value
 	 * @param {number|string|null|undefined} id
-	 * @returns {number|false}
+	 * @returns {number|string|false}
 	 */
 	formatMany2one(id) {
+		// Records created offline keep their local id until the sync queue remaps it
+		if (isLocalId(id)) return id;
 		// many2one expects an integer id
 		return id ? Number(id) : false;
 	}
@@ -185,6 +394,38 @@ class OdooAPI {
 		return [[6, 0, ids.map((i) => Number(i))]];
 	}
 
+	/**
+	 * Format split weights for the `x_studio_split_weights` text field
+	 * @param {Record<string|number, number>} weights - partner id -> share, percent or amount
+	 * @returns {string|false}
+	 */
+	formatSplitWeights(weights) {
+		if (!weights || Object.keys(weights).length === 0) return false;
+		/** @type {Record<string, number>} */
+		const cleaned = {};
+		for (const [id, value] of Object.entries(weights)) {
+			cleaned[String(Number(id))] = Number(value) || 0;
+		}
+		return JSON.stringify(cleaned);
+	}
+
+	/**
+	 * Format receipt lines for the `x_studio_items` text field
+	 * @param {Array<{name: string, amount: number|string, type?: string, participants?: Array<number|string>}>} items
+	 * @returns {string|false}
+	 */
+	formatItems(items) {
+		if (!Array.isArray(items) || items.length === 0) return false;
+		return JSON.stringify(
+			items.map((item) => ({
+				name: String(item.name || '').trim(),
+				amount: Math.abs(Number(item.amount)) || 0,
+				type: item.type || 'item',
+				participants: (item.participants || []).map((i) => Number(i))
+			}))
+		);
+	}
+
 	/**
 	 * Update an expense record
 	 * @param {number} id
@@ -196,6 +437,22 @@ class OdooAPI {
 		return result.result;
 	}
 
+	/**
+	 * Update a record only if nobody changed it on the server since it was read
+	 * @param {string} model - 'expense' | 'payment' | 'recurring'
+	 * @param {number} id
+	 * @param {Record<string, any>} values
+	 * @param {string} baseWriteDate - write_date of the copy the edit was made on
+	 * @returns {Promise<string|null>} The record's new write_date
+	 * @throws {OdooApiError} code 'conflict' with the server copy in `data.remote`
+	 */
+	async updateIfUnchanged(model, id, values, baseWriteDate) {
+		const action = UPDATE_ACTIONS[model];
+		if (!action) throw new Error(`Unknown model: ${model}`);
+		const result = await this.callApi(action, { id, values, baseWriteDate });
+		return result.write_date;
+	}
+
 	/**
 	 * Delete an expense record
 	 * @param {number} id
@@ -206,6 +463,102 @@ class OdooAPI {
 		return result.result;
 	}
 
+	/**
+	 * Create a settle-up payment record
+	 * @param {Record<string, any>} fields
+	 * @returns {Promise<number>}
+	 */
+	async createPayment(fields) {
+		const result = await this.callApi('create_payment', fields);
+		return result.id;
+	}
+
+	/**
+	 * Search and read payment records
+	 * @param {any[]} domain
+	 * @param {string[]} fields
+	 * @returns {Promise<any[]>}
+	 */
+	async searchPayments(domain = [], fields = []) {
+		const result = await this.callApi('search_payments', { domain, fields });
+		return result.results;
+	}
+
+	/**
+	 * Read one page of payment records, with the number of records matching the domain
+	 * @param {any[]} domain
+	 * @param {string[]} fields
+	 * @param {PageOptions} options
+	 * @returns {Promise<{records: any[], count: number}>}
+	 */
+	async searchPaymentPage(domain, fields, options) {
+		const result = await this.callApi('search_payments', { domain, fields, ...options, count: true });
+		return { records: result.results, count: result.count };
+	}
+
+	/**
+	 * Update a payment record
+	 * @param {number} id
+	 * @param {Record<string, any>} values
+	 * @returns {Promise<boolean>}
+	 */
+	async updatePayment(id, values) {
+		const result = await this.callApi('update_payment', { id, values });
+		return result.result;
+	}
+
+	/**
+	 * Delete a payment record
+	 * @param {number} id
+	 * @returns {Promise<boolean>}
+	 */
+	async deletePayment(id) {
+		const result = await this.callApi('delete_payment', { id });
+		return result.result;
+	}
+
+	/**
+	 * Create a recurring expense definition
+	 * @param {Record<string, any>} fields
+	 * @returns {Promise<number>}
+	 */
+	async createRecurring(fields) {
+		const result = await this.callApi('create_recurring', fields);
+		return result.id;
+	}
+
+	/**
+	 * Search and read recurring expense definitions
+	 * @param {any[]} domain
+	 * @param {string[]} fields
+	 * @returns {Promise<any[]>}
+	 */
+	async searchRecurring(domain = [], fields = []) {
+		const result = await this.callApi('search_recurring', { domain, fields });
+		return result.results;
+	}
+
+	/**
+	 * Update a recurring expense definition
+	 * @param {number} id
+	 * @param {Record<string, any>} values
+	 * @returns {Promise<boolean>}
+	 */
+	async updateRecurring(id, values) {
+		const result = await this.callApi('update_recurring', { id, values });
+		return result.result;
+	}
+
+	/**
+	 * Delete a recurring expense definition
+	 * @param {number} id
+	 * @returns {Promise<boolean>}
+	 */
+	async deleteRecurring(id) {
+		const result = await this.callApi('delete_recurring', { id });
+		return result.result;
+	}
+
 	/**
 	 * Create an expense group
 	 * @param {Record<string, any>} fields
@@ -227,6 +580,18 @@ class OdooAPI {
 		return result.result;
 	}
 
+	/**
+	 * Add the user who signs in with `login` to an expense group, whether or not they share a
+	 * group with the current user yet
+	 * @param {number} id
+	 * @param {string} login
+	 * @returns {Promise<number>} Partner id of the new member
+	 */
+	async addGroupMember(id, login) {
+		const result = await this.callApi('add_member', { id, login });
+		return result.partner_id;
+	}
+
 	/**
 	 * Delete an expense group
 	 * @param {number} id
@@ -237,6 +602,19 @@ class OdooAPI {
 		return result.result;
 	}
 
+	/**
+	 * Write the same values to many expenses in a single request; either all of them change or none
+	 * @param {number[]} ids
+	 * @param {Record<string, any>} values
+	 * @param {Record<number, string>} [baseWriteDates] - write_date of the copy of each expense that
+	 *   was edited; the server refuses the whole write with a conflict if any of them changed since
+	 * @returns {Promise<Record<number, string>>} New write_date of each expense
+	 */
+	async batchUpdateExpenses(ids, values, baseWriteDates) {
+		const result = await this.callApi('batch_update', { ids, values, baseWriteDates });
+		return result.write_dates || {};
+	}
+
 	/**
 	 * Mark multiple expenses as done/settled
 	 * @param {number[]} ids - Array of expense IDs to mark as done
@@ -247,15 +625,9 @@ class OdooAPI {
 			return false;
 		}
 
-		// Update all expenses in parallel
-		const updatePromises = ids.map(id => 
-			this.updateExpense(id, { x_studio_is_done: true })
-		);
-
 		try {
-			const results = await Promise.all(updatePromises);
-			// Return true if all updates succeeded
-			return results.every(result => result === true);
+			await this.batchUpdateExpenses(ids, { x_studio_is_done: true });
+			return true;
 		} catch (error) {
 			console.error('Failed to mark expenses as done:', error);
 			return false;
@@ -272,15 +644,9 @@ class OdooAPI {
 			return false;
 		}
 
-		// Update all expenses in parallel
-		const updatePromises = ids.map(id => 
-			this.updateExpense(id, { x_studio_is_done: false })
-		);
-
 		try {
-			const results = await Promise.all(updatePromises);
-			// Return true if all updates succeeded
-			return results.every(result => result === true);
+			await this.batchUpdateExpenses(ids, { x_studio_is_done: false });
+			return true;
 		} catch (error) {
 			console.error('Failed to mark expenses as undone:', error);
 			return false;
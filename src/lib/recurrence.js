@@ -0,0 +1,151 @@
+// @ts-check
+
+/**
+ * Schedule helpers for recurring expenses.
+ * Dates are ISO 'YYYY-MM-DD' strings and all arithmetic is done in UTC so that
+ * the same definition yields the same occurrence dates on every device.
+ */
+
+export const FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+/** Safety cap so a broken definition can never generate an unbounded backlog */
+const MAX_OCCURRENCES = 500;
+
+/**
+ * @typedef {Object} RecurringSchedule
+ * @property {string} x_studio_frequency - 'weekly' | 'monthly' | 'yearly'
+ * @property {number} [x_studio_interval] - Every N weeks/months/years (default 1)
+ * @property {string} x_studio_start_date - First occurrence
+ * @property {string|false} [x_studio_end_date] - Last possible occurrence (inclusive)
+ * @property {string|false} [x_studio_skipped_dates] - JSON array of skipped occurrence dates
+ */
+
+/**
+ * Parse an ISO date into a UTC Date
+ * @param {string} iso
+ * @returns {Date}
+ */
+function parseDate(iso) {
+	const [year, month, day] = String(iso).slice(0, 10).split('-').map(Number);
+	return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Format a UTC Date as an ISO date
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+	return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Today's date in the device's local time zone
+ * @returns {string}
+ */
+export function today() {
+	const now = new Date();
+	return formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+}
+
+/**
+ * Shift an ISO date by a number of days
+ * @param {string} iso
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(iso, days) {
+	return formatDate(new Date(parseDate(iso).getTime() + days * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Compute the nth occurrence of a schedule.
+ * Monthly and yearly schedules keep the start day and clamp it to short months,
+ * so a rent due on the 31st falls on the 28th/29th in February and back on the 31st in March.
+ * @param {RecurringSchedule} schedule
+ * @param {number} n - 0 for the start date
+ * @returns {string}
+ */
+function nthOccurrence(schedule, n) {
+	const start = parseDate(schedule.x_studio_start_date);
+	const interval = Math.max(1, Number(schedule.x_studio_interval) || 1);
+
+	if (schedule.x_studio_frequency === 'weekly') {
+		return formatDate(new Date(start.getTime() + n * interval * 7 * 24 * 60 * 60 * 1000));
+	}
+
+	const months = schedule.x_studio_frequency === 'yearly' ? 12 * interval : interval;
+	const totalMonths = start.getUTCMonth() + n * months;
+	const year = start.getUTCFullYear() + Math.floor(totalMonths / 12);
+	const month = totalMonths % 12;
+	const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+	return formatDate(new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay))));
+}
+
+/**
+ * Read the skipped dates of a definition
+ * @param {RecurringSchedule} schedule
+ * @returns {string[]}
+ */
+export function getSkippedDates(schedule) {
+	const raw = schedule.x_studio_skipped_dates;
+	if (!raw) return [];
+	try {
+		const parsed = JSON.parse(String(raw));
+		return Array.isArray(parsed) ? parsed.map(String) : [];
+	} catch {
+		return [];
+	}
+}
+
+/**
+ * List the occurrence dates in (after, until], skipping skipped dates and respecting the end date
+ * @param {RecurringSchedule} schedule
+ * @param {string|null|false} after - Exclusive lower bound, e.g. the last generated date
+ * @param {string} until - Inclusive upper bound, usually today
+ * @returns {string[]}
+ */
+export function getOccurrences(schedule, after, until) {
+	if (!schedule.x_studio_start_date || !FREQUENCIES.includes(schedule.x_studio_frequency)) return [];
+
+	const end = schedule.x_studio_end_date && schedule.x_studio_end_date < until ? schedule.x_studio_end_date : until;
+	const skipped = new Set(getSkippedDates(schedule));
+	/** @type {string[]} */
+	const dates = [];
+
+	for (let n = 0; dates.length < MAX_OCCURRENCES; n++) {
+		const date = nthOccurrence(schedule, n);
+		if (date > end) break;
+		if ((!after || date > after) && !skipped.has(date)) dates.push(date);
+	}
+
+	return dates;
+}
+
+/**
+ * Find the next occurrence strictly after a date that has not been skipped
+ * @param {RecurringSchedule} schedule
+ * @param {string|null|false} after
+ * @returns {string|null} null when the schedule has ended
+ */
+export function getNextOccurrence(schedule, after) {
+	if (!schedule.x_studio_start_date || !FREQUENCIES.includes(schedule.x_studio_frequency)) return null;
+
+	const skipped = new Set(getSkippedDates(schedule));
+	for (let n = 0; n < MAX_OCCURRENCES * 10; n++) {
+		const date = nthOccurrence(schedule, n);
+		if (schedule.x_studio_end_date && date > schedule.x_studio_end_date) return null;
+		if ((!after || date > after) && !skipped.has(date)) return date;
+	}
+	return null;
+}
+
+/**
+ * Key identifying one occurrence of a definition, shared by every device
+ * @param {number|string} recurringId
+ * @param {string} date
+ * @returns {string}
+ */
+export function getOccurrenceKey(recurringId, date) {
+	return `${recurringId}:${date}`;
+}
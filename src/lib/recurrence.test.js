@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { addDays, getNextOccurrence, getOccurrenceKey, getOccurrences, getSkippedDates } from './recurrence.js';
+
+/**
+ * @param {Partial<import('./recurrence.js').RecurringSchedule>} values
+ * @returns {import('./recurrence.js').RecurringSchedule}
+ */
+function schedule(values) {
+	return { x_studio_frequency: 'monthly', x_studio_start_date: '2024-01-15', ...values };
+}
+
+describe('getOccurrences', () => {
+	it('lists weekly occurrences including the start date', () => {
+		expect(getOccurrences(schedule({ x_studio_frequency: 'weekly', x_studio_start_date: '2024-03-01' }), null, '2024-03-22'))
+			.toEqual(['2024-03-01', '2024-03-08', '2024-03-15', '2024-03-22']);
+	});
+
+	it('applies the interval', () => {
+		expect(getOccurrences(schedule({ x_studio_interval: 2 }), null, '2024-06-30'))
+			.toEqual(['2024-01-15', '2024-03-15', '2024-05-15']);
+	});
+
+	it('clamps monthly occurrences to short months and returns to the start day', () => {
+		expect(getOccurrences(schedule({ x_studio_start_date: '2024-01-31' }), null, '2024-04-30'))
+			.toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+	});
+
+	it('clamps yearly occurrences on 29 February', () => {
+		expect(getOccurrences(schedule({ x_studio_frequency: 'yearly', x_studio_start_date: '2024-02-29' }), null, '2028-12-31'))
+			.toEqual(['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+	});
+
+	it('only lists occurrences after the last generated date', () => {
+		expect(getOccurrences(schedule({}), '2024-02-15', '2024-04-20')).toEqual(['2024-03-15', '2024-04-15']);
+	});
+
+	it('stops at the end date', () => {
+		expect(getOccurrences(schedule({ x_studio_end_date: '2024-03-15' }), null, '2024-12-31'))
+			.toEqual(['2024-01-15', '2024-02-15', '2024-03-15']);
+	});
+
+	it('leaves out skipped dates', () => {
+		expect(getOccurrences(schedule({ x_studio_skipped_dates: '["2024-02-15"]' }), null, '2024-03-31'))
+			.toEqual(['2024-01-15', '2024-03-15']);
+	});
+
+	it('returns nothing before the start date or for unknown frequencies', () => {
+		expect(getOccurrences(schedule({}), null, '2024-01-14')).toEqual([]);
+		expect(getOccurrences(schedule({ x_studio_frequency: 'daily' }), null, '2024-12-31')).toEqual([]);
+	});
+
+	it('caps the number of occurrences of a broken definition', () => {
+		const dates = getOccurrences(schedule({ x_studio_frequency: 'weekly', x_studio_start_date: '1900-01-01' }), null, '2024-01-01');
+		expect(dates).toHaveLength(500);
+	});
+});
+
+describe('getNextOccurrence', () => {
+	it('finds the next occurrence that is not skipped', () => {
+		expect(getNextOccurrence(schedule({ x_studio_skipped_dates: '["2024-02-15"]' }), '2024-01-15')).toBe('2024-03-15');
+	});
+
+	it('returns null once the schedule has ended', () => {
+		expect(getNextOccurrence(schedule({ x_studio_end_date: '2024-02-01' }), '2024-01-15')).toBeNull();
+	});
+});
+
+describe('getSkippedDates', () => {
+	it('ignores missing or malformed values', () => {
+		expect(getSkippedDates(schedule({ x_studio_skipped_dates: false }))).toEqual([]);
+		expect(getSkippedDates(schedule({ x_studio_skipped_dates: 'not json' }))).toEqual([]);
+		expect(getSkippedDates(schedule({ x_studio_skipped_dates: '{"a": 1}' }))).toEqual([]);
+	});
+});
+
+describe('helpers', () => {
+	it('shifts dates across month and year boundaries', () => {
+		expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+		expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+	});
+
+	it('builds the occurrence key shared by every device', () => {
+		expect(getOccurrenceKey(7, '2024-01-15')).toBe('7:2024-01-15');
+	});
+});
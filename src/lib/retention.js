@@ -0,0 +1,228 @@
+// @ts-check
+import { STORES, getAll, getById, getByIndex, putMany, putAndRemove, remove, meta } from './db.js';
+import { normalizeMany2oneFields } from './dbMigrations.js';
+import { toRecordId } from './expenseUtils.js';
+
+/**
+ * Local retention of settled expenses.
+ * Each group keeps its settled expenses on this device for a number of months, three unless set
+ * otherwise. Older ones are not stored at all: the server adds them up (the balance_summary
+ * action) into the group's snapshot, the opening balances calculateBalances() starts from.
+ * Unsettled expenses are always kept. The server keeps the full history, so archived expenses
+ * can still be fetched a page at a time when the user asks for them.
+ */
+
+// Months to keep settled expenses, keyed by group id
+const RETENTION_META_KEY = 'retentionMonths';
+
+export const RETENTION_OPTIONS = [0, 3, 6, 12, 24];
+// Months kept by groups without a setting of their own; 0 keeps everything
+export const DEFAULT_RETENTION_MONTHS = 3;
+
+/**
+ * @typedef {Object} GroupSnapshot
+ * @property {number} groupId
+ * @property {Record<string, number>} balances - Net balance per partner id of the archived expenses
+ * @property {number} count - Number of archived expenses
+ * @property {string} archivedThrough - Settled expenses dated before this day are archived
+ * @property {number} updatedAt
+ */
+
+/**
+ * @typedef {(domain: any[]) => Promise<any[]>} ExpenseSearch
+ */
+
+/**
+ * @typedef {(domain: any[], options: import('./odoo.js').PageOptions) => Promise<{records: any[], count: number}>} ExpensePageSearch
+ */
+
+/**
+ * Server-side sum of a group's settled expenses dated before a day, without the excluded ones
+ * @typedef {(groupId: number, before: string, exclude: number[]) => Promise<{balances: Record<string, number>, count: number}>} ExpenseSummary
+ */
+
+// Archived expenses fetched per request when the user browses them
+export const ARCHIVE_PAGE_SIZE = 50;
+
+/**
+ * @returns {Promise<Record<string, number>>}
+ */
+export async function getRetentionSettings() {
+	return (await meta(RETENTION_META_KEY)) || {};
+}
+
+/**
+ * Months a group keeps its settled expenses on this device
+ * @param {Record<string, number>} settings
+ * @param {number} groupId
+ * @returns {number} 0 keeps everything
+ */
+export function getRetentionMonths(settings, groupId) {
+	return settings[groupId] ?? DEFAULT_RETENTION_MONTHS;
+}
+
+/**
+ * Set how long a group keeps settled expenses on this device
+ * @param {number} groupId
+ * @param {number} months - 0 keeps everything
+ */
+export async function setRetention(groupId, months) {
+	await meta(RETENTION_META_KEY, { ...(await getRetentionSettings()), [groupId]: months });
+}
+
+/**
+ * First day that is still kept when keeping `months` months
+ * @param {number} months
+ * @param {Date} [now]
+ * @returns {string} YYYY-MM-DD
+ */
+export function getCutoffDate(months, now = new Date()) {
+	const cutoff = new Date(now.getFullYear(), now.getMonth() - months, now.getDate());
+	const pad = (/** @type {number} */ n) => String(n).padStart(2, '0');
+	return `${cutoff.getFullYear()}-${pad(cutoff.getMonth() + 1)}-${pad(cutoff.getDate())}`;
+}
+
+/**
+ * Day before which each group's settled expenses are archived, '' for groups keeping everything
+ * @param {number[]} groupIds
+ * @returns {Promise<Record<number, string>>}
+ */
+export async function getCutoffs(groupIds) {
+	const settings = await getRetentionSettings();
+	/** @type {Record<number, string>} */
+	const cutoffs = {};
+	for (const groupId of groupIds) {
+		const months = getRetentionMonths(settings, groupId);
+		cutoffs[groupId] = months > 0 ? getCutoffDate(months) : '';
+	}
+	return cutoffs;
+}
+
+/**
+ * Whether an expense belongs in its group's snapshot rather than in the expenses store
+ * @param {any} expense
+ * @param {Record<number, string>} cutoffs - Groups without a cutoff keep everything
+ * @returns {boolean}
+ */
+export function isArchived(expense, cutoffs) {
+	const groupId = toRecordId(expense.x_studio_expensegroup);
+	const cutoff = typeof groupId === 'number' ? cutoffs[groupId] : '';
+	return Boolean(cutoff) && expense.x_studio_is_done === true && Boolean(expense.x_studio_date) && expense.x_studio_date < cutoff;
+}
+
+/**
+ * Domain of the expenses this device stores: every unsettled expense, the settled ones within the
+ * longest retention period, and everything of groups without a cutoff. It can match a few
+ * archived expenses of groups with a shorter period; isArchived() sorts those out.
+ * @param {Record<number, string>} cutoffs
+ * @returns {any[]}
+ */
+export function getWindowDomain(cutoffs) {
+	const days = Object.values(cutoffs);
+	if (days.length === 0 || days.includes('')) return [];
+	const earliest = days.reduce((min, day) => (day < min ? day : min));
+	return [
+		'|', ['x_studio_expensegroup', 'not in', Object.keys(cutoffs).map(Number)],
+		'|', ['x_studio_is_done', '!=', true], ['x_studio_date', '>=', earliest]
+	];
+}
+
+/**
+ * @returns {Promise<GroupSnapshot[]>}
+ */
+export async function getSnapshots() {
+	return getAll(STORES.SNAPSHOTS);
+}
+
+/**
+ * Bring each group's snapshot in line with the server and its retention period.
+ * Synced settled expenses older than the cutoff leave the store; the server adds them up
+ * together with every other archived expense, except the ones this device still holds with
+ * local changes, which are counted from the local copy. A group that now keeps more than before
+ * gets the expenses it had archived back. Needs the server: while offline nothing changes.
+ * @param {number[]} groupIds - The user's groups
+ * @param {ExpenseSummary} summarize
+ * @param {ExpenseSearch} search
+ * @returns {Promise<number>} Number of expenses archived
+ */
+export async function applyRetention(groupIds, summarize, search) {
+	const cutoffs = await getCutoffs(groupIds);
+	let archivedCount = 0;
+
+	for (const snapshot of await getSnapshots()) {
+		if (!groupIds.includes(snapshot.groupId)) await remove(STORES.SNAPSHOTS, snapshot.groupId);
+	}
+
+	for (const groupId of groupIds) {
+		const cutoff = cutoffs[groupId];
+		/** @type {GroupSnapshot|undefined} */
+		const snapshot = await getById(STORES.SNAPSHOTS, groupId);
+
+		if (snapshot && (!cutoff || cutoff < snapshot.archivedThrough)) {
+			await restoreArchived(groupId, snapshot.archivedThrough, cutoff, search);
+		}
+		if (!cutoff) {
+			if (snapshot) await remove(STORES.SNAPSHOTS, groupId);
+			continue;
+		}
+
+		const expenses = await getByIndex(STORES.EXPENSES, 'x_studio_expensegroup', groupId);
+		const expired = expenses.filter(e => typeof e.id === 'number' && e.syncStatus === 'synced' && isArchived(e, cutoffs));
+		const changedLocally = expenses.filter(e => typeof e.id === 'number' && e.syncStatus !== 'synced').map(e => e.id);
+		const summary = await summarize(groupId, cutoff, changedLocally);
+
+		/** @type {GroupSnapshot} */
+		const updated = { groupId, balances: summary.balances, count: summary.count, archivedThrough: cutoff, updatedAt: Date.now() };
+		// One transaction, so an expense is never both counted in the snapshot and stored
+		await putAndRemove(STORES.SNAPSHOTS, updated, STORES.EXPENSES, expired.map(e => e.id));
+		archivedCount += expired.length;
+	}
+
+	return archivedCount;
+}
+
+/**
+ * Fetch back the settled expenses a group archived between its new and its old cutoff.
+ * Copies this device already holds are left alone.
+ * @param {number} groupId
+ * @param {string} archivedThrough - Old cutoff
+ * @param {string} cutoff - New cutoff, '' when the group now keeps everything
+ * @param {ExpenseSearch} search
+ */
+async function restoreArchived(groupId, archivedThrough, cutoff, search) {
+	const stored = new Set((await getByIndex(STORES.EXPENSES, 'x_studio_expensegroup', groupId)).map(e => e.id));
+	const fetched = await search([
+		['x_studio_expensegroup', '=', groupId],
+		['x_studio_is_done', '=', true],
+		['x_studio_date', '<', archivedThrough],
+		...(cutoff ? [['x_studio_date', '>=', cutoff]] : [])
+	]);
+	await putMany(
+		STORES.EXPENSES,
+		fetched.filter(e => !stored.has(e.id)).map(e => ({ ...normalizeMany2oneFields(e), syncStatus: 'synced' }))
+	);
+}
+
+/**
+ * Fetch one page of a group's archived expenses from the server, newest first, without storing them
+ * @param {number} groupId
+ * @param {ExpensePageSearch} searchPage
+ * @param {number} [offset] - Archived expenses already fetched
+ * @returns {Promise<{expenses: any[], total: number}>}
+ */
+export async function fetchArchivedExpenses(groupId, searchPage, offset = 0) {
+	/** @type {GroupSnapshot|undefined} */
+	const snapshot = await getById(STORES.SNAPSHOTS, groupId);
+	if (!snapshot?.count) return { expenses: [], total: 0 };
+
+	const { records, count } = await searchPage([
+		['x_studio_expensegroup', '=', groupId],
+		['x_studio_is_done', '=', true],
+		['x_studio_date', '<', snapshot.archivedThrough]
+	], {
+		limit: ARCHIVE_PAGE_SIZE,
+		offset,
+		order: 'x_studio_date desc, id desc'
+	});
+	return { expenses: records.map(normalizeMany2oneFields), total: count };
+}
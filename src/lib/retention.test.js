@@ -0,0 +1,88 @@
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { STORES, clear, getAll, getById, put } from './db.js';
+import { applyRetention, getCutoffDate, getWindowDomain, isArchived, setRetention } from './retention.js';
+
+const CUTOFF = getCutoffDate(3);
+
+/**
+ * @param {number|string} id
+ * @param {Record<string, any>} values
+ */
+function expense(id, values) {
+	return { id, x_studio_expensegroup: 1, x_studio_is_done: true, x_studio_date: '2000-01-01', syncStatus: 'synced', ...values };
+}
+
+beforeEach(async () => {
+	for (const store of [STORES.EXPENSES, STORES.SNAPSHOTS, STORES.META]) await clear(store);
+});
+
+describe('isArchived', () => {
+	it('archives settled expenses dated before their group cutoff', () => {
+		const cutoffs = { 1: '2024-01-01', 2: '' };
+
+		expect(isArchived(expense(1, {}), cutoffs)).toBe(true);
+		expect(isArchived(expense(2, { x_studio_is_done: false }), cutoffs)).toBe(false);
+		expect(isArchived(expense(3, { x_studio_date: '2024-01-01' }), cutoffs)).toBe(false);
+		expect(isArchived(expense(4, { x_studio_expensegroup: 2 }), cutoffs)).toBe(false);
+		expect(isArchived(expense(5, { x_studio_expensegroup: 3 }), cutoffs)).toBe(false);
+	});
+});
+
+describe('getWindowDomain', () => {
+	it('keeps unsettled expenses, recent ones and groups without a cutoff', () => {
+		expect(getWindowDomain({ 1: '2024-03-01', 2: '2024-01-01' })).toEqual([
+			'|', ['x_studio_expensegroup', 'not in', [1, 2]],
+			'|', ['x_studio_is_done', '!=', true], ['x_studio_date', '>=', '2024-01-01']
+		]);
+	});
+
+	it('fetches everything when a group keeps everything', () => {
+		expect(getWindowDomain({ 1: '2024-03-01', 2: '' })).toEqual([]);
+		expect(getWindowDomain({})).toEqual([]);
+	});
+});
+
+describe('applyRetention', () => {
+	it('moves old settled expenses into a snapshot the server adds up', async () => {
+		await put(STORES.EXPENSES, expense(10, {}));
+		await put(STORES.EXPENSES, expense(11, { syncStatus: 'pending' }));
+		await put(STORES.EXPENSES, expense(12, { x_studio_is_done: false }));
+		const summarize = vi.fn(async () => ({ balances: { 2: 5, 3: -5 }, count: 4 }));
+		const search = vi.fn(async () => []);
+
+		expect(await applyRetention([1], summarize, search)).toBe(1);
+
+		// The expense with local changes is counted from the local copy, not by the server
+		expect(summarize).toHaveBeenCalledWith(1, CUTOFF, [11]);
+		expect(search).not.toHaveBeenCalled();
+		expect((await getAll(STORES.EXPENSES)).map(e => e.id)).toEqual([11, 12]);
+		expect(await getById(STORES.SNAPSHOTS, 1)).toMatchObject({ balances: { 2: 5, 3: -5 }, count: 4, archivedThrough: CUTOFF });
+	});
+
+	it('fetches archived expenses back when a group keeps everything again', async () => {
+		await put(STORES.SNAPSHOTS, { groupId: 1, balances: { 2: 5 }, count: 1, archivedThrough: CUTOFF, updatedAt: 0 });
+		await setRetention(1, 0);
+		const summarize = vi.fn();
+		const search = vi.fn(async () => [expense(10, { x_studio_who_paid: [2, 'Alice'], syncStatus: undefined })]);
+
+		await applyRetention([1], summarize, search);
+
+		expect(search).toHaveBeenCalledWith([
+			['x_studio_expensegroup', '=', 1],
+			['x_studio_is_done', '=', true],
+			['x_studio_date', '<', CUTOFF]
+		]);
+		expect(await getById(STORES.EXPENSES, 10)).toMatchObject({ x_studio_who_paid: 2, syncStatus: 'synced' });
+		expect(await getById(STORES.SNAPSHOTS, 1)).toBeUndefined();
+		expect(summarize).not.toHaveBeenCalled();
+	});
+
+	it('drops the snapshots of groups the user left', async () => {
+		await put(STORES.SNAPSHOTS, { groupId: 2, balances: { 2: 5 }, count: 1, archivedThrough: CUTOFF, updatedAt: 0 });
+
+		await applyRetention([1], async () => ({ balances: {}, count: 0 }), async () => []);
+
+		expect((await getAll(STORES.SNAPSHOTS)).map(snapshot => snapshot.groupId)).toEqual([1]);
+	});
+});
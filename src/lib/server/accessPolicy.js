@@ -0,0 +1,298 @@
+// @ts-check
+import { applyMany2many } from './records.js';
+
+/**
+ * What a signed-in user may reach through the /api/odoo route.
+ * Records of the expense, payment and recurring models belong to a group, and a user only sees
+ * the groups their partner is a member of. Other models can only be read through search_model,
+ * and only as SEARCH_MODEL_POLICY allows: the model must be listed, the requested and filtered
+ * fields must be among its fields, and its restriction is added to every search.
+ */
+
+// Groups are also read through search_model by name, so this one is not configurable
+export const ODOO_GROUP_MODEL = 'x_expensegroup';
+
+// Partner fields of expenses, payments and recurring expenses; reading a record back names the
+// partner, so they are held to the members of the record's group
+const MANY2ONE_PARTNER_FIELDS = ['x_studio_who_paid', 'x_studio_from', 'x_studio_to'];
+const MANY2MANY_PARTNER_FIELDS = ['x_studio_participants'];
+
+/**
+ * Request refused by the access policy; `code` tells the client why
+ */
+export class ForbiddenError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {'forbidden'|'model_not_allowed'|'field_not_allowed'|'domain_not_allowed'} [code]
+	 */
+	constructor(message, code = 'forbidden') {
+		super(message);
+		this.name = 'ForbiddenError';
+		this.code = code;
+	}
+}
+
+/**
+ * Id of a many2one value sent by the client, either an id or an [id, name] pair
+ * @param {any} value
+ * @returns {any}
+ */
+function toId(value) {
+	return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Partners a write puts on a record: those it adds, or all of them when it moves the record to
+ * another group
+ * @param {Record<string, any>} stored - The record as read from the backend, empty for a new one
+ * @param {Record<string, any>} values
+ * @param {boolean} moves
+ * @returns {number[]}
+ */
+function addedPartners(stored, values, moves) {
+	/** @type {number[]} */
+	const added = [];
+	for (const field of [...MANY2ONE_PARTNER_FIELDS, ...MANY2MANY_PARTNER_FIELDS]) {
+		if (!(field in values) && !moves) continue;
+		const isMany2many = MANY2MANY_PARTNER_FIELDS.includes(field);
+		/** @param {any} value @returns {number[]} */
+		const idsOf = (value) => (isMany2many ? value || [] : value ? [toId(value)] : []);
+		const current = idsOf(stored[field]);
+		let result = current;
+		if (field in values) {
+			try {
+				result = isMany2many ? applyMany2many(current, values[field]) : idsOf(values[field]);
+			} catch (error) {
+				throw new ForbiddenError(error instanceof Error ? error.message : `Invalid ${field}`);
+			}
+		}
+		added.push(...(moves ? result : result.filter(id => !current.includes(id))));
+	}
+	return [...new Set(added)];
+}
+
+/**
+ * @typedef {ReturnType<typeof createGroupScope>} GroupScope
+ */
+
+/**
+ * Limits a user to the expense groups their partner is a member of, and to the expenses,
+ * payments and recurring expenses of those groups.
+ * The user's groups are looked up once per request.
+ * @param {import('./backends/index.js').BackendConnection} connection
+ * @param {number} partnerId
+ */
+export function createGroupScope(connection, partnerId) {
+	/** @type {Promise<Array<{id: number, x_studio_members: number[]}>>|null} */
+	let groups = null;
+	/** @returns {Promise<Array<{id: number, x_studio_members: number[]}>>} */
+	const getGroups = () => (groups ||= connection.search(
+		ODOO_GROUP_MODEL,
+		[['x_studio_members', 'in', [partnerId]]],
+		{ fields: ['x_studio_members'] }
+	));
+	const getGroupIds = async () => (await getGroups()).map(group => group.id);
+
+	/**
+	 * Partners the user shares a group with, the user's own partner included
+	 * @returns {Promise<number[]>}
+	 */
+	async function getMemberIds() {
+		const members = (await getGroups()).flatMap(group => group.x_studio_members || []);
+		return [...new Set([partnerId, ...members])];
+	}
+
+	/**
+	 * @param {string} model
+	 * @returns {Promise<any[]>} Domain term selecting the records of `model` the user may see
+	 */
+	async function scopeTerm(model) {
+		if (model === ODOO_GROUP_MODEL) return ['x_studio_members', 'in', [partnerId]];
+		return ['x_studio_expensegroup', 'in', await getGroupIds()];
+	}
+
+	return {
+		partnerId,
+
+		getMemberIds,
+
+		/**
+		 * Restrict a search domain to the user's records
+		 * @param {string} model
+		 * @param {any[]} domain
+		 */
+		async restrict(model, domain) {
+			return [await scopeTerm(model), ...domain];
+		},
+
+		/**
+		 * Refuse a record that would be created in or moved to another group, or that would name
+		 * a payer, participant or payment party who is not a member of its group. Partners a record
+		 * already had are left alone, unless the record moves to another group.
+		 * @param {string} model
+		 * @param {Record<string, any>} values
+		 * @param {number[]|null} [ids] - Records being written, null for a new record, which must
+		 *   name its group
+		 */
+		async checkValues(model, values, ids = null) {
+			const moves = Boolean(values) && 'x_studio_expensegroup' in values;
+			if (!moves && ids === null) {
+				throw new ForbiddenError('Pick a group you are a member of');
+			}
+			const groupId = moves ? toId(values.x_studio_expensegroup) : null;
+			if (moves && !(await getGroupIds()).includes(groupId)) {
+				throw new ForbiddenError('You are not a member of this group');
+			}
+
+			const partnerFields = [...MANY2ONE_PARTNER_FIELDS, ...MANY2MANY_PARTNER_FIELDS].filter(field => values && field in values);
+			if (partnerFields.length === 0 && !moves) return;
+			// A moved record takes all of its partners along, whichever fields its model has
+			const records = ids === null ? [{}] : await connection.search(model, [['id', 'in', ids]], {
+				fields: moves ? [] : ['x_studio_expensegroup', ...partnerFields]
+			});
+			const groups = await getGroups();
+			for (const record of records) {
+				const recordGroupId = groupId ?? toId(record.x_studio_expensegroup);
+				const members = groups.find(group => group.id === recordGroupId)?.x_studio_members || [];
+				const outside = addedPartners(record, values, moves).filter(id => !members.includes(id));
+				if (outside.length > 0) {
+					throw new ForbiddenError(`Partners ${outside.join(', ')} are not members of this group`);
+				}
+			}
+		},
+
+		/**
+		 * Turn the x_studio_members commands of a group write into add and remove commands.
+		 * The user stays a member (a new group always gets them) and may only add partners they
+		 * already share a group with; otherwise a throwaway group would reveal any partner.
+		 * Anyone else is added by login with the add_member action.
+		 * @param {any} commands - many2many commands sent by the client: (6, 0, ids), (4, id), (3, id)
+		 * @param {number|null} groupId - Group being written, null for a new group
+		 * @returns {Promise<any[]>}
+		 */
+		async checkMembers(commands, groupId) {
+			const group = groupId === null ? null : (await getGroups()).find(other => other.id === groupId);
+			const current = group?.x_studio_members || [];
+			const members = new Set(groupId === null ? [partnerId] : current);
+
+			if (commands != null && !Array.isArray(commands)) {
+				throw new ForbiddenError('x_studio_members must be a list of many2many commands');
+			}
+			for (const command of commands || []) {
+				const [code, id, ids] = Array.isArray(command) ? command : [];
+				if (code === 6 && Array.isArray(ids) && ids.every(Number.isInteger)) {
+					members.clear();
+					for (const member of ids) members.add(member);
+				} else if ((code === 4 || code === 3) && Number.isInteger(id)) {
+					if (code === 4) members.add(id);
+					else members.delete(id);
+				} else {
+					throw new ForbiddenError(`Member command ${JSON.stringify(command)} is not allowed`);
+				}
+			}
+			// A new group always has its creator, who may also be listed or not
+			if (groupId === null) members.add(partnerId);
+
+			if (!members.has(partnerId)) {
+				throw new ForbiddenError('You cannot remove yourself from a group');
+			}
+			const visible = await getMemberIds();
+			const added = [...members].filter(id => !current.includes(id));
+			const unknown = added.filter(id => !visible.includes(id));
+			if (unknown.length > 0) {
+				throw new ForbiddenError(`Partners ${unknown.join(', ')} cannot be added: you do not share a group with them`);
+			}
+			const removed = current.filter(id => !members.has(id));
+			return [...added.map(id => [4, id]), ...removed.map(id => [3, id])];
+		},
+
+		/**
+		 * Refuse ids of existing records outside the user's groups.
+		 * Ids that do not exist are left for the backend to report.
+		 * @param {string} model
+		 * @param {number[]} ids
+		 */
+		async checkRecords(model, ids) {
+			const [field, , value] = await scopeTerm(model);
+			const outside = await connection.searchIds(model, [['id', 'in', ids], [field, 'not in', value]], { limit: 1 });
+			if (outside.length > 0) {
+				throw new ForbiddenError('You are not a member of the group of this record');
+			}
+		}
+	};
+}
+
+/**
+ * @typedef {Object} ModelPolicy
+ * @property {string[]} fields - Fields that may be read and used in domains; also what an
+ *   empty field list reads
+ * @property {(scope: GroupScope) => Promise<any[]>} [restrict] - Domain terms added to every search
+ */
+
+/**
+ * Models readable through search_model
+ * @type {Record<string, ModelPolicy>}
+ */
+export const SEARCH_MODEL_POLICY = {
+	// Group members, payers and participants; only partners the user shares a group with
+	'res.partner': {
+		fields: ['id', 'display_name', 'x_studio_is_default'],
+		restrict: async (scope) => [['id', 'in', await scope.getMemberIds()]]
+	},
+	[ODOO_GROUP_MODEL]: {
+		fields: ['id', 'display_name', 'x_name', 'x_studio_members', 'x_studio_base_currency', 'write_date'],
+		restrict: async (scope) => scope.restrict(ODOO_GROUP_MODEL, [])
+	},
+	// Exchange rates, the same for everyone
+	'res.currency': {
+		fields: ['id', 'name', 'rate', 'active']
+	},
+	'res.currency.rate': {
+		fields: ['id', 'currency_id', 'rate', 'name']
+	}
+};
+
+const DOMAIN_OPERATORS = new Set(['&', '|', '!']);
+
+/**
+ * Check a search_model request against SEARCH_MODEL_POLICY
+ * @param {GroupScope} scope
+ * @param {string} model
+ * @param {any} domain
+ * @param {any} fields
+ * @returns {Promise<{domain: any[], fields: string[]}>} The domain with the model's restriction
+ *   and the fields to read
+ * @throws {ForbiddenError} When the model, a field or the domain is not allowed
+ */
+export async function applySearchPolicy(scope, model, domain, fields) {
+	const policy = Object.hasOwn(SEARCH_MODEL_POLICY, model) ? SEARCH_MODEL_POLICY[model] : null;
+	if (!policy) {
+		throw new ForbiddenError(`Model ${model} cannot be read`, 'model_not_allowed');
+	}
+
+	if (!Array.isArray(fields)) {
+		throw new ForbiddenError('fields must be a list of field names', 'field_not_allowed');
+	}
+	const refused = fields.filter(field => !policy.fields.includes(field));
+	if (refused.length > 0) {
+		throw new ForbiddenError(`Fields of ${model} cannot be read: ${refused.join(', ')}`, 'field_not_allowed');
+	}
+
+	// Filtering on a field reveals its value, so domains are held to the same fields.
+	// Dotted paths would reach other models and are not allowed.
+	if (!Array.isArray(domain)) {
+		throw new ForbiddenError('domain must be a list', 'domain_not_allowed');
+	}
+	for (const term of domain) {
+		if (typeof term === 'string' && DOMAIN_OPERATORS.has(term)) continue;
+		if (!Array.isArray(term) || term.length !== 3 || !policy.fields.includes(term[0])) {
+			throw new ForbiddenError(`Domain term ${JSON.stringify(term)} is not allowed on ${model}`, 'domain_not_allowed');
+		}
+	}
+
+	const restriction = policy.restrict ? await policy.restrict(scope) : [];
+	return {
+		domain: [...restriction, ...domain],
+		fields: fields.length > 0 ? fields : policy.fields
+	};
+}
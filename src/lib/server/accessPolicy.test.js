@@ -0,0 +1,252 @@
+import { describe, expect, it } from 'vitest';
+import { ODOO_GROUP_MODEL, SEARCH_MODEL_POLICY, ForbiddenError, applySearchPolicy, createGroupScope } from './accessPolicy.js';
+import { matchesDomain } from './domain.js';
+
+// Partner 2 shares "Flat" with 3 and 4 and "Trip" with 5; partner 6 is in no group with them
+/** @type {Record<string, Array<Record<string, any>>>} */
+const RECORDS = {
+	[ODOO_GROUP_MODEL]: [
+		{ id: 1, x_name: 'Flat', x_studio_members: [2, 3, 4] },
+		{ id: 2, x_name: 'Admin only', x_studio_members: [1] },
+		{ id: 3, x_name: 'Trip', x_studio_members: [2, 5] },
+		{ id: 4, x_name: 'Strangers', x_studio_members: [6, 7] }
+	],
+	x_expensesplit: [
+		{ id: 10, x_studio_expensegroup: 1, x_studio_who_paid: 2, x_studio_participants: [2, 3] },
+		{ id: 11, x_studio_expensegroup: 2 },
+		// Partner 9 has since left "Flat"
+		{ id: 12, x_studio_expensegroup: 1, x_studio_who_paid: 9, x_studio_participants: [2, 9] }
+	]
+};
+
+/**
+ * Read-only connection over RECORDS
+ * @returns {import('./backends/index.js').BackendConnection}
+ */
+function createConnection() {
+	/** @param {string} model @param {any[]} domain */
+	const find = (model, domain) => (RECORDS[model] || []).filter(record => matchesDomain(record, domain));
+	return {
+		search: async (model, domain) => find(model, domain),
+		searchIds: async (model, domain, { limit } = {}) => find(model, domain).map(record => record.id).slice(0, limit),
+		count: async (model, domain) => find(model, domain).length,
+		create: async () => 1,
+		update: async () => true,
+		delete: async () => true,
+		findPartnerByLogin: async () => null
+	};
+}
+
+/**
+ * @param {number} partnerId
+ */
+function scopeOf(partnerId) {
+	return createGroupScope(createConnection(), partnerId);
+}
+
+describe('checkValues', () => {
+	it('accepts records of the user\'s groups, as an id or a pair', async () => {
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_expensegroup: 1 })).resolves.toBeUndefined();
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_expensegroup: [3, 'Trip'] })).resolves.toBeUndefined();
+	});
+
+	it('refuses records of other groups', async () => {
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_expensegroup: 2 }, [10])).rejects.toThrow(ForbiddenError);
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_expensegroup: false }, [10])).rejects.toThrow(ForbiddenError);
+	});
+
+	it('requires new records to name a group', async () => {
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_name: 'Milk' })).rejects.toThrow('Pick a group you are a member of');
+		await expect(scopeOf(2).checkValues('x_expensesplit', /** @type {any} */ (undefined))).rejects.toThrow(ForbiddenError);
+	});
+
+	it('lets updates leave the group alone', async () => {
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_name: 'Milk' }, [10])).resolves.toBeUndefined();
+		await expect(scopeOf(2).checkValues('x_expensesplit', /** @type {any} */ (undefined), [10])).resolves.toBeUndefined();
+	});
+
+	it('accepts payers, participants and payment parties from the record\'s group', async () => {
+		await expect(scopeOf(2).checkValues('x_expensesplit', {
+			x_studio_expensegroup: 1, x_studio_who_paid: [3, 'Bob'], x_studio_participants: [[6, 0, [2, 3, 4]]]
+		})).resolves.toBeUndefined();
+		await expect(scopeOf(2).checkValues('x_expensepayment', { x_studio_expensegroup: 3, x_studio_from: 5, x_studio_to: 2 })).resolves.toBeUndefined();
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_who_paid: false }, [10])).resolves.toBeUndefined();
+	});
+
+	it('refuses partners outside the record\'s group on create', async () => {
+		// Partner 5 shares "Trip" with the user but is not in "Flat"; 6 shares nothing
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_expensegroup: 1, x_studio_who_paid: 5 }))
+			.rejects.toThrow('Partners 5 are not members of this group');
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_expensegroup: 1, x_studio_participants: [[6, 0, [2, 6]]] }))
+			.rejects.toThrow('Partners 6 are not members of this group');
+		await expect(scopeOf(2).checkValues('x_expensepayment', { x_studio_expensegroup: 1, x_studio_from: 2, x_studio_to: [7, 'Stranger'] }))
+			.rejects.toThrow(ForbiddenError);
+	});
+
+	it('checks partners against the group of the records being updated', async () => {
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_participants: [[4, 4]] }, [10])).resolves.toBeUndefined();
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_participants: [[4, 5]] }, [10]))
+			.rejects.toThrow('Partners 5 are not members of this group');
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_who_paid: 6 }, [10, 12])).rejects.toThrow(ForbiddenError);
+	});
+
+	it('leaves partners a record already had alone', async () => {
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_participants: [[4, 3]], x_studio_who_paid: 9 }, [12]))
+			.resolves.toBeUndefined();
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_participants: [[3, 9]] }, [12])).resolves.toBeUndefined();
+	});
+
+	it('holds all partners of a moved record to its new group', async () => {
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_expensegroup: 3 }, [10]))
+			.rejects.toThrow('Partners 3 are not members of this group');
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_expensegroup: 3, x_studio_participants: [[3, 3]], x_studio_who_paid: 5 }, [10]))
+			.resolves.toBeUndefined();
+	});
+
+	it('refuses many2many commands that create partners', async () => {
+		await expect(scopeOf(2).checkValues('x_expensesplit', { x_studio_expensegroup: 1, x_studio_participants: [[0, 0, { name: 'New' }]] }))
+			.rejects.toThrow(ForbiddenError);
+	});
+});
+
+describe('checkMembers', () => {
+	describe('new groups', () => {
+		it('adds the creator and partners they share a group with', async () => {
+			expect(await scopeOf(2).checkMembers([[6, 0, [3, 5]]], null)).toEqual([[4, 3], [4, 5], [4, 2]]);
+		});
+
+		it('makes the creator the only member when no members are given', async () => {
+			expect(await scopeOf(2).checkMembers(undefined, null)).toEqual([[4, 2]]);
+			expect(await scopeOf(2).checkMembers([], null)).toEqual([[4, 2]]);
+		});
+
+		it('refuses partners the creator does not share a group with', async () => {
+			await expect(scopeOf(2).checkMembers([[6, 0, [3, 6]]], null)).rejects.toThrow('Partners 6 cannot be added');
+			await expect(scopeOf(2).checkMembers([[4, 1]], null)).rejects.toThrow(ForbiddenError);
+		});
+	});
+
+	describe('existing groups', () => {
+		it('turns a replace into adds and removes', async () => {
+			expect(await scopeOf(2).checkMembers([[6, 0, [2, 3, 5]]], 1)).toEqual([[4, 5], [3, 4]]);
+		});
+
+		it('accepts add and remove commands', async () => {
+			expect(await scopeOf(2).checkMembers([[4, 5], [3, 3]], 1)).toEqual([[4, 5], [3, 3]]);
+		});
+
+		it('returns no commands when the members do not change', async () => {
+			expect(await scopeOf(2).checkMembers([[6, 0, [4, 3, 2]]], 1)).toEqual([]);
+		});
+
+		it('keeps the user in the group', async () => {
+			await expect(scopeOf(2).checkMembers([[6, 0, [3, 4]]], 1)).rejects.toThrow('You cannot remove yourself from a group');
+			await expect(scopeOf(2).checkMembers([[3, 2]], 1)).rejects.toThrow(ForbiddenError);
+		});
+
+		it('refuses a replace that hands the group to a partner the user cannot see', async () => {
+			await expect(scopeOf(2).checkMembers([[6, 0, [1]]], 1)).rejects.toThrow(ForbiddenError);
+			await expect(scopeOf(2).checkMembers([[6, 0, [2, 1]]], 1)).rejects.toThrow('Partners 1 cannot be added');
+		});
+
+		it('lets members that are already in the group stay even when the user cannot see them elsewhere', async () => {
+			expect(await scopeOf(3).checkMembers([[6, 0, [2, 3, 4]]], 1)).toEqual([]);
+		});
+	});
+
+	it('refuses other many2many commands and malformed values', async () => {
+		for (const commands of [[[5]], [[0, 0, { name: 'New' }]], [[2, 3]], [[4, '3']], [[6, 0, ['3']]], [3, 4], { 6: [3] }]) {
+			await expect(scopeOf(2).checkMembers(commands, 1)).rejects.toThrow(ForbiddenError);
+		}
+	});
+});
+
+describe('group scope', () => {
+	it('restricts group searches to the user\'s groups and other models to records of those groups', async () => {
+		const scope = scopeOf(2);
+		expect(await scope.restrict(ODOO_GROUP_MODEL, [['x_name', '=', 'Flat']]))
+			.toEqual([['x_studio_members', 'in', [2]], ['x_name', '=', 'Flat']]);
+		expect(await scope.restrict('x_expensesplit', [])).toEqual([['x_studio_expensegroup', 'in', [1, 3]]]);
+	});
+
+	it('lists the partners the user shares a group with', async () => {
+		expect((await scopeOf(2).getMemberIds()).sort()).toEqual([2, 3, 4, 5]);
+		// A user in no group only sees their own partner
+		expect(await scopeOf(9).getMemberIds()).toEqual([9]);
+	});
+
+	it('refuses records outside the user\'s groups and leaves unknown ids to the backend', async () => {
+		const scope = scopeOf(2);
+		await expect(scope.checkRecords('x_expensesplit', [10, 404])).resolves.toBeUndefined();
+		await expect(scope.checkRecords('x_expensesplit', [10, 11])).rejects.toThrow(ForbiddenError);
+		await expect(scope.checkRecords(ODOO_GROUP_MODEL, [3])).resolves.toBeUndefined();
+		await expect(scope.checkRecords(ODOO_GROUP_MODEL, [2])).rejects.toThrow(ForbiddenError);
+	});
+});
+
+describe('applySearchPolicy', () => {
+	it('adds the model restriction and reads the listed fields by default', async () => {
+		const allowed = await applySearchPolicy(scopeOf(2), 'res.partner', [['display_name', 'ilike', 'a']], []);
+		expect(allowed.domain[0][0]).toBe('id');
+		expect(allowed.domain[0][2].sort()).toEqual([2, 3, 4, 5]);
+		expect(allowed.domain.slice(1)).toEqual([['display_name', 'ilike', 'a']]);
+		expect(allowed.fields).toEqual(SEARCH_MODEL_POLICY['res.partner'].fields);
+	});
+
+	it('reads currencies without a restriction', async () => {
+		expect(await applySearchPolicy(scopeOf(2), 'res.currency', [['active', '=', true]], ['name']))
+			.toEqual({ domain: [['active', '=', true]], fields: ['name'] });
+	});
+
+	it('refuses models that are not listed, inherited properties included', async () => {
+		for (const model of ['res.users', 'x_expensesplit', 'constructor', '__proto__']) {
+			await expect(applySearchPolicy(scopeOf(2), model, [], [])).rejects.toMatchObject({ code: 'model_not_allowed' });
+		}
+	});
+
+	it('refuses fields that are not listed', async () => {
+		await expect(applySearchPolicy(scopeOf(2), 'res.partner', [], ['email']))
+			.rejects.toMatchObject({ code: 'field_not_allowed' });
+		await expect(applySearchPolicy(scopeOf(2), 'res.partner', [], 'email'))
+			.rejects.toMatchObject({ code: 'field_not_allowed' });
+	});
+
+	it('holds domains to the listed fields and plain terms', async () => {
+		for (const domain of [
+			[['email', '=', 'alice@example.com']],
+			[['user_ids.login', '=', 'admin']],
+			[['id', '=']],
+			['&', 'display_name'],
+			'[]'
+		]) {
+			await expect(applySearchPolicy(scopeOf(2), 'res.partner', domain, [])).rejects.toMatchObject({ code: 'domain_not_allowed' });
+		}
+		await expect(applySearchPolicy(scopeOf(2), 'res.partner', ['|', ['id', '=', 3], ['id', '=', 4]], []))
+			.resolves.toBeDefined();
+	});
+
+	it('cannot be widened by an OR in the requested domain', async () => {
+		const allowed = await applySearchPolicy(scopeOf(2), 'res.partner', ['|', ['id', '=', 6], ['id', '!=', 0]], []);
+		const partners = [1, 2, 3, 4, 5, 6, 7].map(id => ({ id }));
+		expect(partners.filter(partner => matchesDomain(partner, allowed.domain)).map(partner => partner.id)).toEqual([2, 3, 4, 5]);
+	});
+});
+
+describe('partner scope bypass', () => {
+	// Partners are visible through shared groups, so a throwaway group with any partner in it
+	// used to reveal that partner to its creator
+	it('refuses a throwaway group with a partner the user does not share a group with', async () => {
+		await expect(scopeOf(2).checkMembers([[6, 0, [2, 6]]], null)).rejects.toThrow(ForbiddenError);
+		await expect(scopeOf(2).checkMembers([[4, 6]], null)).rejects.toThrow(ForbiddenError);
+	});
+
+	it('refuses adding such a partner to an existing group', async () => {
+		await expect(scopeOf(2).checkMembers([[4, 6]], 3)).rejects.toThrow(ForbiddenError);
+		await expect(scopeOf(2).checkMembers([[6, 0, [2, 5, 6, 7]]], 3)).rejects.toThrow('Partners 6, 7 cannot be added');
+	});
+
+	it('keeps the partners of other groups out of partner searches', async () => {
+		const allowed = await applySearchPolicy(scopeOf(2), 'res.partner', [['id', 'in', [6, 7]]], ['id', 'display_name']);
+		expect([{ id: 6 }, { id: 7 }].filter(partner => matchesDomain(partner, allowed.domain))).toEqual([]);
+	});
+});
@@ -0,0 +1,75 @@
+// @ts-check
+
+/**
+ * Errors of the storage backends. Each carries the HTTP status and machine readable code the
+ * API routes answer with, which the client's sync queue uses to decide whether to retry.
+ */
+
+export class BackendError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {number} status
+	 * @param {string} code
+	 */
+	constructor(message, status, code) {
+		super(message);
+		this.name = 'BackendError';
+		this.status = status;
+		this.code = code;
+	}
+}
+
+/**
+ * Request refused by the backend because of the request itself (invalid values, a record that
+ * does not exist); sending it again cannot succeed
+ */
+export class RejectedError extends BackendError {
+	/**
+	 * @param {string} message
+	 */
+	constructor(message) {
+		super(message, 422, 'rejected');
+		this.name = 'RejectedError';
+	}
+}
+
+/**
+ * The signed-in user lacks the backend's rights for the operation
+ */
+export class AccessDeniedError extends BackendError {
+	/**
+	 * @param {string} message
+	 */
+	constructor(message) {
+		super(message, 403, 'access_denied');
+		this.name = 'AccessDeniedError';
+	}
+}
+
+/**
+ * The backend no longer accepts the signed-in user's credentials, e.g. after the API key was
+ * rotated; the user has to sign in again
+ */
+export class AuthenticationError extends BackendError {
+	/**
+	 * @param {string} message
+	 */
+	constructor(message) {
+		super(message, 401, 'unauthenticated');
+		this.name = 'AuthenticationError';
+	}
+}
+
+/**
+ * The backend could not be reached, did not answer in time or answered with an error page;
+ * the same request may succeed later
+ */
+export class UnavailableError extends BackendError {
+	/**
+	 * @param {string} message
+	 */
+	constructor(message) {
+		super(message, 503, 'upstream_unavailable');
+		this.name = 'UnavailableError';
+	}
+}
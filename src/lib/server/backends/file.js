@@ -0,0 +1,341 @@
+// @ts-check
+import { mkdir, readFile, rename, stat, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { matchesDomain, sortRecords } from '../domain.js';
+import { displayName, toStored } from '../records.js';
+import { RejectedError } from './errors.js';
+
+/**
+ * Backend keeping every record in one JSON file, for running the app without Odoo.
+ * The whole file is held in memory and rewritten after each change, which is plenty for the
+ * expenses of a few groups of friends. Users live in the same file; add them with
+ * `npm run add-user`. Each user gets a res.partner record, which is what groups list as members.
+ * The file is read again whenever it changed on disk, so users added while the server runs are
+ * picked up rather than overwritten by its next write.
+ */
+
+// many2one fields and the model they point to; read as [id, display_name] pairs like Odoo does
+/** @type {Record<string, string>} */
+const MANY2ONE_FIELDS = {
+	x_studio_who_paid: 'res.partner',
+	x_studio_from: 'res.partner',
+	x_studio_to: 'res.partner',
+	x_studio_expensegroup: 'x_expensegroup'
+};
+/** @type {Record<string, string>} */
+const MANY2MANY_FIELDS = { x_studio_participants: 'res.partner', x_studio_members: 'res.partner' };
+
+const PBKDF2_ITERATIONS = 210000;
+
+/**
+ * @typedef {Object} StoredUser
+ * @property {number} uid
+ * @property {string} login
+ * @property {number} partnerId
+ * @property {string} salt
+ * @property {string} passwordHash
+ */
+
+/**
+ * @typedef {Object} FileData
+ * @property {Record<string, number>} sequences - Last id given out per model
+ * @property {Record<string, Record<string, Record<string, any>>>} records - Records per model, keyed by id
+ * @property {StoredUser[]} users
+ */
+
+/**
+ * Current time in Odoo's datetime format (UTC)
+ * @returns {string}
+ */
+function now() {
+	return new Date().toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+	return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {string} password
+ * @param {string} salt
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password, salt) {
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+	const bits = await crypto.subtle.deriveBits(
+		{ name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PBKDF2_ITERATIONS },
+		key,
+		256
+	);
+	return toHex(new Uint8Array(bits));
+}
+
+/**
+ * Values sent by the client in the shape they are stored
+ * @param {Record<string, any>} values
+ * @param {Record<string, any>} current
+ * @returns {Record<string, any>}
+ */
+function toStoredValues(values, current) {
+	try {
+		return toStored(values, current, { many2one: MANY2ONE_FIELDS, many2many: MANY2MANY_FIELDS });
+	} catch (error) {
+		throw new RejectedError(error instanceof Error ? error.message : 'Invalid values');
+	}
+}
+
+/**
+ * Read and write records of a data file
+ * @param {string} path
+ */
+export function createFileBackend(path) {
+	/** @type {Promise<FileData>|null} */
+	let loading = null;
+	// Version of the file the data in memory was read from or written to
+	let loadedVersion = '';
+	/** @type {Promise<unknown>} */
+	let writing = Promise.resolve();
+
+	/** @returns {Promise<FileData>} */
+	async function readData() {
+		try {
+			return JSON.parse(await readFile(path, 'utf8'));
+		} catch (error) {
+			if (/** @type {any} */ (error).code !== 'ENOENT') throw error;
+			return { sequences: {}, records: {}, users: [] };
+		}
+	}
+
+	/**
+	 * Changes whenever the file is replaced or written, '' while there is no file
+	 * @returns {Promise<string>}
+	 */
+	async function fileVersion() {
+		try {
+			const { ino, mtimeMs, size } = await stat(path);
+			return `${ino}:${mtimeMs}:${size}`;
+		} catch (error) {
+			if (/** @type {any} */ (error).code !== 'ENOENT') throw error;
+			return '';
+		}
+	}
+
+	/**
+	 * The data, read again when another process (npm run add-user) changed the file.
+	 * A failed read is not kept, so the next call tries again.
+	 * @returns {Promise<FileData>}
+	 */
+	async function load() {
+		const version = await fileVersion();
+		if (!loading || version !== loadedVersion) {
+			loadedVersion = version;
+			loading = readData().catch(error => {
+				loading = null;
+				throw error;
+			});
+		}
+		return loading;
+	}
+
+	/**
+	 * Write the data to a temporary file and move it over the old one
+	 * @param {FileData} data
+	 */
+	async function save(data) {
+		await mkdir(dirname(path), { recursive: true });
+		await writeFile(`${path}.tmp`, JSON.stringify(data, null, '\t'));
+		await rename(`${path}.tmp`, path);
+	}
+
+	/**
+	 * Make a change on a copy of the data and keep it once the file is written, one change at a
+	 * time. A change that throws or a write that fails leaves the data as it was.
+	 * @template T
+	 * @param {(data: FileData) => T|Promise<T>} change
+	 * @returns {Promise<T>}
+	 */
+	function transact(change) {
+		const run = writing.then(async () => {
+			const draft = structuredClone(await load());
+			const result = await change(draft);
+			await save(draft);
+			loading = Promise.resolve(draft);
+			loadedVersion = await fileVersion();
+			return result;
+		});
+		writing = run.catch(() => {});
+		return run;
+	}
+
+	/**
+	 * @param {FileData} data
+	 * @param {string} model
+	 */
+	function table(data, model) {
+		data.records[model] ||= {};
+		return data.records[model];
+	}
+
+	/**
+	 * A stored record as Odoo's search_read returns it
+	 * @param {FileData} data
+	 * @param {Record<string, any>} record
+	 * @param {string[]} fields - All fields when empty
+	 */
+	function toRead(data, record, fields) {
+		const names = fields.length > 0 ? fields : ['display_name', ...Object.keys(record)];
+		/** @type {Record<string, any>} */
+		const read = { id: record.id };
+		for (const field of names) {
+			const value = record[field];
+			if (field === 'display_name') {
+				read[field] = displayName(record);
+			} else if (field in MANY2ONE_FIELDS) {
+				read[field] = value ? [value, displayName(data.records[MANY2ONE_FIELDS[field]]?.[value])] : false;
+			} else if (field in MANY2MANY_FIELDS) {
+				read[field] = value || [];
+			} else {
+				read[field] = value ?? false;
+			}
+		}
+		return read;
+	}
+
+	/**
+	 * Records of a model matching a domain, in the requested order (oldest first by default)
+	 * @param {FileData} data
+	 * @param {string} model
+	 * @param {any[]} domain
+	 * @param {{limit?: number, offset?: number, order?: string}} [options]
+	 */
+	function find(data, model, domain, { limit, offset = 0, order } = {}) {
+		try {
+			const found = sortRecords(Object.values(table(data, model)).filter(record => matchesDomain(record, domain)), order);
+			return found.slice(offset, limit ? offset + limit : undefined);
+		} catch (error) {
+			throw new RejectedError(error instanceof Error ? error.message : 'Invalid domain');
+		}
+	}
+
+	/**
+	 * @param {FileData} data
+	 * @param {string} model
+	 * @param {number[]} ids
+	 */
+	function getExisting(data, model, ids) {
+		const records = ids.map(id => table(data, model)[id]);
+		if (records.some(record => !record)) {
+			throw new RejectedError('Record does not exist or has been deleted.');
+		}
+		return records;
+	}
+
+	/**
+	 * @param {FileData} data
+	 * @param {string} model
+	 * @param {Record<string, any>} values
+	 * @returns {number}
+	 */
+	function insert(data, model, values) {
+		const id = (data.sequences[model] || 0) + 1;
+		data.sequences[model] = id;
+		const timestamp = now();
+		table(data, model)[id] = { ...toStoredValues(values, {}), id, create_date: timestamp, write_date: timestamp };
+		return id;
+	}
+
+	return {
+		name: 'file',
+
+		/**
+		 * @param {string} login
+		 * @param {string} password
+		 */
+		async authenticate(login, password) {
+			const data = await load();
+			const user = data.users.find(candidate => candidate.login === login);
+			if (!user || (await hashPassword(password, user.salt)) !== user.passwordHash) return null;
+			return { uid: user.uid, name: displayName(data.records['res.partner']?.[user.partnerId]) || login, partnerId: user.partnerId };
+		},
+
+		/** @returns {import('./index.js').BackendConnection} */
+		connect() {
+			return {
+				async create(model, values) {
+					return transact(data => insert(data, model, values));
+				},
+
+				async search(model, domain, { fields = [], ...options } = {}) {
+					const data = await load();
+					return find(data, model, domain, options).map(record => toRead(data, record, fields));
+				},
+
+				async searchIds(model, domain, { limit } = {}) {
+					const data = await load();
+					return find(data, model, domain, { limit }).map(record => record.id);
+				},
+
+				async count(model, domain) {
+					const data = await load();
+					return find(data, model, domain).length;
+				},
+
+				async update(model, ids, values) {
+					return transact((data) => {
+						const timestamp = now();
+						for (const record of getExisting(data, model, ids)) {
+							Object.assign(record, toStoredValues(values, record), { write_date: timestamp });
+						}
+						return true;
+					});
+				},
+
+				async delete(model, ids) {
+					return transact((data) => {
+						getExisting(data, model, ids);
+						for (const id of ids) delete table(data, model)[id];
+						return true;
+					});
+				},
+
+				async findPartnerByLogin(login) {
+					const data = await load();
+					return data.users.find(user => user.login === login)?.partnerId ?? null;
+				}
+			};
+		},
+
+		/**
+		 * Add a user who signs in with a login and password, with a partner of the given name
+		 * @param {string} login
+		 * @param {string} name
+		 * @param {string} password
+		 * @returns {Promise<StoredUser>}
+		 */
+		async addUser(login, name, password) {
+			const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+			const passwordHash = await hashPassword(password, salt);
+
+			return transact((data) => {
+				if (data.users.some(user => user.login === login)) {
+					throw new Error(`A user with login ${login} already exists`);
+				}
+				/** @type {StoredUser} */
+				const user = {
+					uid: data.users.reduce((max, other) => Math.max(max, other.uid), 0) + 1,
+					login,
+					partnerId: insert(data, 'res.partner', { name }),
+					salt,
+					passwordHash
+				};
+				data.users.push(user);
+				return user;
+			});
+		}
+	};
+}
@@ -0,0 +1,129 @@
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFileBackend } from './file.js';
+
+// Makes the next write of the data file fail, as a full disk would
+let failNextWrite = false;
+// Makes the next read of the data file fail, as running out of file handles would
+let failNextRead = false;
+vi.mock('node:fs/promises', async (importOriginal) => {
+	const fs = /** @type {typeof import('node:fs/promises')} */ (await importOriginal());
+	return {
+		...fs,
+		/** @type {typeof fs.writeFile} */
+		writeFile: async (...args) => {
+			if (failNextWrite) {
+				failNextWrite = false;
+				throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+			}
+			return fs.writeFile(...args);
+		},
+		readFile: /** @type {typeof fs.readFile} */ (async (/** @type {any} */ file, /** @type {any} */ options) => {
+			if (failNextRead) {
+				failNextRead = false;
+				throw Object.assign(new Error('EMFILE: too many open files'), { code: 'EMFILE' });
+			}
+			return fs.readFile(file, options);
+		})
+	};
+});
+
+/** @type {string} */
+let directory;
+/** @type {string} */
+let path;
+
+beforeEach(async () => {
+	directory = await mkdtemp(join(tmpdir(), 'expense-split-'));
+	path = join(directory, 'data.json');
+	failNextWrite = false;
+	failNextRead = false;
+});
+
+afterEach(async () => {
+	await rm(directory, { recursive: true, force: true });
+});
+
+/**
+ * @param {import('../backends/index.js').BackendConnection} store
+ */
+async function readExpenses(store) {
+	return store.search('x_expensesplit', [], { fields: ['x_name', 'x_studio_participants'] });
+}
+
+describe('file backend', () => {
+	it('stores records in the data file', async () => {
+		const store = createFileBackend(path).connect();
+		const id = await store.create('x_expensesplit', { x_name: 'Milk', x_studio_participants: [[6, 0, [2, 3]]] });
+
+		expect(await readExpenses(store)).toEqual([{ id, x_name: 'Milk', x_studio_participants: [2, 3] }]);
+		const saved = JSON.parse(await readFile(path, 'utf8'));
+		expect(saved.records.x_expensesplit[id]).toMatchObject({ x_name: 'Milk', x_studio_participants: [2, 3] });
+	});
+
+	it('keeps the data as it was when the file cannot be written', async () => {
+		const store = createFileBackend(path).connect();
+		const id = await store.create('x_expensesplit', { x_name: 'Milk' });
+
+		failNextWrite = true;
+		await expect(store.update('x_expensesplit', [id], { x_name: 'Oat milk' })).rejects.toThrow('ENOSPC');
+		failNextWrite = true;
+		await expect(store.create('x_expensesplit', { x_name: 'Bread' })).rejects.toThrow('ENOSPC');
+		failNextWrite = true;
+		await expect(store.delete('x_expensesplit', [id])).rejects.toThrow('ENOSPC');
+
+		expect(await readExpenses(store)).toEqual([{ id, x_name: 'Milk', x_studio_participants: [] }]);
+		// The next change does not write the failed ones either, and reuses the failed create's id
+		const next = await store.create('x_expensesplit', { x_name: 'Rice' });
+		expect(next).toBe(id + 1);
+		const saved = JSON.parse(await readFile(path, 'utf8'));
+		expect(Object.values(saved.records.x_expensesplit).map(record => record.x_name)).toEqual(['Milk', 'Rice']);
+	});
+
+	it('applies a write to all of its records or to none', async () => {
+		const store = createFileBackend(path).connect();
+		const first = await store.create('x_expensesplit', { x_name: 'Milk' });
+
+		await expect(store.update('x_expensesplit', [first, 404], { x_name: 'Changed' })).rejects.toThrow('Record does not exist');
+		await expect(store.update('x_expensesplit', [first], { x_name: 'Changed', x_studio_participants: [[2, 3]] }))
+			.rejects.toThrow('Unsupported many2many command');
+
+		expect(await readExpenses(store)).toEqual([{ id: first, x_name: 'Milk', x_studio_participants: [] }]);
+	});
+
+	it('does not lose changes made at the same time', async () => {
+		const store = createFileBackend(path).connect();
+
+		const ids = await Promise.all(['A', 'B', 'C'].map(x_name => store.create('x_expensesplit', { x_name })));
+
+		expect(new Set(ids).size).toBe(3);
+		const reopened = createFileBackend(path).connect();
+		expect((await readExpenses(reopened)).map(record => record.x_name).sort()).toEqual(['A', 'B', 'C']);
+	});
+
+	it('keeps users added by another process while it runs', async () => {
+		const backend = createFileBackend(path);
+		await backend.connect().create('x_expensesplit', { x_name: 'Milk' });
+
+		// npm run add-user writes the file with a backend of its own
+		await createFileBackend(path).addUser('carol', 'Carol', 'carol-password');
+		await backend.connect().create('x_expensesplit', { x_name: 'Bread' });
+
+		expect(await backend.authenticate('carol', 'carol-password')).toMatchObject({ name: 'Carol' });
+		const saved = JSON.parse(await readFile(path, 'utf8'));
+		expect(saved.users.map((/** @type {any} */ user) => user.login)).toEqual(['carol']);
+		expect(Object.values(saved.records.x_expensesplit).map(record => record.x_name)).toEqual(['Milk', 'Bread']);
+	});
+
+	it('reads the file again after a failed read', async () => {
+		const id = await createFileBackend(path).connect().create('x_expensesplit', { x_name: 'Milk' });
+		const store = createFileBackend(path).connect();
+
+		failNextRead = true;
+		await expect(readExpenses(store)).rejects.toThrow('EMFILE');
+
+		expect(await readExpenses(store)).toEqual([{ id, x_name: 'Milk', x_studio_participants: [] }]);
+	});
+});
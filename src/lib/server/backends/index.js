@@ -0,0 +1,80 @@
+// @ts-check
+import { env } from '$env/dynamic/private';
+
+/**
+ * Storage behind the /api routes, chosen with STORAGE_BACKEND:
+ * - `odoo` (default): the Odoo instance in ODOO_URL, see odoo.js
+ * - `file`: a JSON file on the server (DATA_FILE), for self-hosting without Odoo, see file.js
+ *
+ * Backends store records of the Odoo models the app uses under the same model and field names,
+ * search them with Odoo domains and read many2one fields as [id, name] pairs, so the routes,
+ * the access policy and the client work the same on both.
+ */
+
+/**
+ * @typedef {Object} BackendUser
+ * @property {number} uid
+ * @property {string} name
+ * @property {number} partnerId - Partner of the user, as listed in group members
+ */
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {string[]} [fields] - Fields to read; all of them when empty
+ * @property {number} [limit]
+ * @property {number} [offset] - Matching records to skip, for paging
+ * @property {string} [order] - Odoo order clause, e.g. 'x_studio_date desc, id desc'; by id when empty
+ */
+
+/**
+ * Record access as one signed-in user
+ * @typedef {Object} BackendConnection
+ * @property {(model: string, values: Record<string, any>) => Promise<number>} create
+ * @property {(model: string, domain: any[], options?: SearchOptions) => Promise<any[]>} search
+ * @property {(model: string, domain: any[], options?: {limit?: number}) => Promise<number[]>} searchIds
+ * @property {(model: string, domain: any[]) => Promise<number>} count - Number of matching records
+ * @property {(model: string, ids: number[], values: Record<string, any>) => Promise<boolean>} update
+ * @property {(model: string, ids: number[]) => Promise<boolean>} delete
+ * @property {(login: string) => Promise<number|null>} findPartnerByLogin - Partner of the user who
+ *   signs in with `login`, null when there is none
+ */
+
+/**
+ * @typedef {Object} Backend
+ * @property {string} name
+ * @property {(login: string, password: string) => Promise<BackendUser|null>} authenticate - null when
+ *   the login or password is wrong
+ * @property {(session: import('../session.js').Session) => BackendConnection} connect
+ */
+
+/** @type {Promise<Backend>|null} */
+let backend = null;
+
+/**
+ * The configured backend, created on first use
+ * @returns {Promise<Backend>}
+ */
+export function getBackend() {
+	backend ||= createBackend(env.STORAGE_BACKEND || 'odoo');
+	return backend;
+}
+
+/**
+ * @param {string} name
+ * @returns {Promise<Backend>}
+ */
+async function createBackend(name) {
+	switch (name) {
+		case 'odoo': {
+			const { createOdooBackend } = await import('./odoo.js');
+			return createOdooBackend();
+		}
+		case 'file': {
+			// Loaded only when used, so Odoo deployments never touch the file system
+			const { createFileBackend } = await import('./file.js');
+			return createFileBackend(env.DATA_FILE || 'data/expense-split.json');
+		}
+		default:
+			throw new Error(`Unknown STORAGE_BACKEND: ${name}`);
+	}
+}
@@ -0,0 +1,45 @@
+// @ts-check
+import { authenticateUser, createExecutor } from '../odooRpc.js';
+
+/**
+ * Backend that keeps everything in Odoo, reached over JSON-RPC as the signed-in user.
+ * odooRpc.js turns Odoo's errors into the errors of ./errors.js.
+ * @returns {import('./index.js').Backend}
+ */
+export function createOdooBackend() {
+	return {
+		name: 'odoo',
+
+		async authenticate(login, password) {
+			const uid = await authenticateUser(login, password);
+			if (!uid) return null;
+
+			const execute = createExecutor({ uid, login, password });
+			const [user] = await execute('res.users', 'read', [[uid]], { fields: ['name', 'partner_id'] });
+			return { uid, name: user.name, partnerId: user.partner_id[0] };
+		},
+
+		connect(session) {
+			const execute = createExecutor(session);
+			return {
+				create: (model, values) => execute(model, 'create', [values]),
+				search: (model, domain, { fields = [], limit, offset, order } = {}) =>
+					execute(model, 'search_read', [domain], {
+						fields,
+						...(limit ? { limit } : {}),
+						...(offset ? { offset } : {}),
+						...(order ? { order } : {})
+					}),
+				searchIds: (model, domain, { limit } = {}) =>
+					execute(model, 'search', [domain], limit ? { limit } : {}),
+				count: (model, domain) => execute(model, 'search_count', [domain]),
+				update: (model, ids, values) => execute(model, 'write', [ids, values]),
+				delete: (model, ids) => execute(model, 'unlink', [ids]),
+				async findPartnerByLogin(login) {
+					const [user] = await execute('res.users', 'search_read', [[['login', '=', login]]], { fields: ['partner_id'], limit: 1 });
+					return user ? user.partner_id[0] : null;
+				}
+			};
+		}
+	};
+}
@@ -0,0 +1,157 @@
+// @ts-check
+
+/**
+ * Evaluation of Odoo search domains against plain records, for storage that is not Odoo.
+ * Records hold many2one fields as ids and many2many fields as lists of ids.
+ * Supported: the prefix operators '&', '|' and '!', and the comparison operators
+ * =, !=, in, not in, <, <=, >, >=, like, not like, ilike and not ilike.
+ * Dotted paths into related records are not supported.
+ * Records can also be sorted by an Odoo order clause with sortRecords().
+ */
+
+/** @type {Record<string, string>} */
+const NEGATIONS = { '!=': '=', 'not in': 'in', 'not like': 'like', 'not ilike': 'ilike' };
+
+/**
+ * @param {any} value
+ * @returns {any} false for empty values, the way Odoo reads them
+ */
+function normalize(value) {
+	return value === undefined || value === null ? false : value;
+}
+
+/**
+ * @param {any} value
+ * @param {string} pattern
+ * @param {boolean} ignoreCase
+ */
+function like(value, pattern, ignoreCase) {
+	if (value === false) return false;
+	const text = String(value);
+	const needle = String(pattern).replace(/%/g, '');
+	return ignoreCase ? text.toLowerCase().includes(needle.toLowerCase()) : text.includes(needle);
+}
+
+/**
+ * @param {Record<string, any>} record
+ * @param {any} term - [field, operator, value]
+ * @returns {boolean}
+ */
+function matchesTerm(record, term) {
+	if (!Array.isArray(term) || term.length !== 3 || typeof term[0] !== 'string') {
+		throw new Error(`Invalid domain term: ${JSON.stringify(term)}`);
+	}
+	const [field, operator, expected] = term;
+	if (field.includes('.')) {
+		throw new Error(`Related field paths are not supported: ${field}`);
+	}
+
+	const value = normalize(record[field]);
+	// A many2many field matches when any of its ids does; its negated operators when none does
+	if (Array.isArray(value)) {
+		const positive = NEGATIONS[operator] || operator;
+		const matched = value.length === 0
+			? matchesTerm({}, [field, positive, expected])
+			: value.some(id => matchesTerm({ [field]: id }, [field, positive, expected]));
+		return positive === operator ? matched : !matched;
+	}
+
+	const target = Array.isArray(expected) ? expected.map(normalize) : normalize(expected);
+	switch (operator) {
+		case '=':
+			return value === target;
+		case '!=':
+			return value !== target;
+		case 'in':
+			return Array.isArray(target) && target.includes(value);
+		case 'not in':
+			return Array.isArray(target) && !target.includes(value);
+		case '<':
+			return value !== false && value < target;
+		case '<=':
+			return value !== false && value <= target;
+		case '>':
+			return value !== false && value > target;
+		case '>=':
+			return value !== false && value >= target;
+		case 'like':
+			return like(value, target, false);
+		case 'not like':
+			return !like(value, target, false);
+		case 'ilike':
+			return like(value, target, true);
+		case 'not ilike':
+			return !like(value, target, true);
+		default:
+			throw new Error(`Unsupported domain operator: ${operator}`);
+	}
+}
+
+/**
+ * Whether a record matches an Odoo domain; top-level terms are joined with '&'
+ * @param {Record<string, any>} record
+ * @param {any[]} domain
+ * @returns {boolean}
+ */
+export function matchesDomain(record, domain) {
+	let position = 0;
+
+	/** @returns {boolean} */
+	function next() {
+		if (position >= domain.length) throw new Error('Domain is missing an operand');
+		const term = domain[position++];
+		if (term === '!') return !next();
+		if (term === '&' || term === '|') {
+			const left = next();
+			const right = next();
+			return term === '&' ? left && right : left || right;
+		}
+		return matchesTerm(record, term);
+	}
+
+	let result = true;
+	while (position < domain.length) {
+		const matched = next();
+		result = result && matched;
+	}
+	return result;
+}
+
+/**
+ * Parse an Odoo order clause such as 'x_studio_date desc, id desc'
+ * @param {string} order
+ * @returns {Array<{field: string, descending: boolean}>}
+ */
+function parseOrder(order) {
+	return order.split(',').map(part => {
+		const [field, direction = 'asc', ...rest] = part.trim().split(/\s+/);
+		if (!/^[a-z_][a-z0-9_]*$/i.test(field) || !['asc', 'desc'].includes(direction.toLowerCase()) || rest.length > 0) {
+			throw new Error(`Invalid order: ${order}`);
+		}
+		return { field, descending: direction.toLowerCase() === 'desc' };
+	});
+}
+
+/**
+ * Sort records the way Odoo applies an order clause; ties are broken by id.
+ * Empty values sort last in ascending order, like NULLs in PostgreSQL, and many2one fields
+ * sort by id rather than by the name of the related record.
+ * @param {Array<Record<string, any>>} records
+ * @param {string} [order] - By id when empty
+ * @returns {Array<Record<string, any>>} A sorted copy
+ */
+export function sortRecords(records, order) {
+	const keys = order ? parseOrder(order) : [];
+	return [...records].sort((a, b) => {
+		for (const { field, descending } of keys) {
+			const left = normalize(a[field]);
+			const right = normalize(b[field]);
+			if (left === right) continue;
+			const sign = descending ? -1 : 1;
+			if (left === false) return sign;
+			if (right === false) return -sign;
+			return (left < right ? -1 : 1) * sign;
+		}
+		return a.id - b.id;
+	});
+}
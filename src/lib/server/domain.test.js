@@ -0,0 +1,143 @@
+import { describe, expect, it } from 'vitest';
+import { matchesDomain, sortRecords } from './domain.js';
+
+const expense = {
+	id: 7,
+	x_name: 'Weekly Groceries',
+	x_studio_value: 42.5,
+	x_studio_date: '2024-03-10',
+	x_studio_who_paid: 2,
+	x_studio_expensegroup: 1,
+	x_studio_participants: [2, 3],
+	x_studio_is_done: false,
+	x_studio_note: null
+};
+
+/**
+ * @param {any[]} domain
+ * @param {Record<string, any>} [record]
+ */
+function matches(domain, record = expense) {
+	return matchesDomain(record, domain);
+}
+
+describe('matchesDomain', () => {
+	it('matches everything with an empty domain', () => {
+		expect(matches([])).toBe(true);
+	});
+
+	it('compares with = and !=', () => {
+		expect(matches([['x_studio_who_paid', '=', 2]])).toBe(true);
+		expect(matches([['x_studio_who_paid', '=', 3]])).toBe(false);
+		expect(matches([['x_studio_who_paid', '!=', 3]])).toBe(true);
+	});
+
+	it('treats missing and null values as false, like Odoo reads them', () => {
+		expect(matches([['x_studio_note', '=', false]])).toBe(true);
+		expect(matches([['x_studio_missing', '=', false]])).toBe(true);
+		expect(matches([['x_studio_note', '=', null]])).toBe(true);
+		expect(matches([['x_studio_note', '!=', false]])).toBe(false);
+	});
+
+	it('checks membership with in and not in', () => {
+		expect(matches([['id', 'in', [1, 7]]])).toBe(true);
+		expect(matches([['id', 'in', []]])).toBe(false);
+		expect(matches([['id', 'not in', [1, 2]]])).toBe(true);
+		expect(matches([['id', 'not in', [7]]])).toBe(false);
+	});
+
+	it('orders numbers and dates, never matching empty values', () => {
+		expect(matches([['x_studio_value', '>', 40]])).toBe(true);
+		expect(matches([['x_studio_value', '>=', 42.5]])).toBe(true);
+		expect(matches([['x_studio_value', '<', 42.5]])).toBe(false);
+		expect(matches([['x_studio_date', '<=', '2024-03-10']])).toBe(true);
+		expect(matches([['x_studio_date', '>', '2024-03-10']])).toBe(false);
+		expect(matches([['x_studio_note', '<', 'z']])).toBe(false);
+		expect(matches([['x_studio_note', '>=', '']])).toBe(false);
+	});
+
+	it('matches substrings with like and ilike, ignoring % wildcards', () => {
+		expect(matches([['x_name', 'like', 'Groceries']])).toBe(true);
+		expect(matches([['x_name', 'like', 'groceries']])).toBe(false);
+		expect(matches([['x_name', 'ilike', 'groceries']])).toBe(true);
+		expect(matches([['x_name', 'ilike', '%weekly%']])).toBe(true);
+		expect(matches([['x_name', 'not ilike', 'rent']])).toBe(true);
+		expect(matches([['x_name', 'not like', 'Weekly']])).toBe(false);
+		expect(matches([['x_studio_note', 'ilike', '']])).toBe(false);
+	});
+
+	it('matches many2many fields when any id does, and their negations when none does', () => {
+		expect(matches([['x_studio_participants', '=', 3]])).toBe(true);
+		expect(matches([['x_studio_participants', 'in', [3, 9]]])).toBe(true);
+		expect(matches([['x_studio_participants', 'in', [9]]])).toBe(false);
+		expect(matches([['x_studio_participants', 'not in', [9]]])).toBe(true);
+		expect(matches([['x_studio_participants', 'not in', [3]]])).toBe(false);
+		expect(matches([['x_studio_participants', '!=', 2]])).toBe(false);
+	});
+
+	it('treats an empty many2many field as false', () => {
+		const record = { id: 1, x_studio_members: [] };
+		expect(matches([['x_studio_members', '=', false]], record)).toBe(true);
+		expect(matches([['x_studio_members', 'in', [1]]], record)).toBe(false);
+		expect(matches([['x_studio_members', 'not in', [1]]], record)).toBe(true);
+	});
+
+	it('joins top-level terms with AND', () => {
+		expect(matches([['x_studio_who_paid', '=', 2], ['x_studio_expensegroup', '=', 1]])).toBe(true);
+		expect(matches([['x_studio_who_paid', '=', 2], ['x_studio_expensegroup', '=', 5]])).toBe(false);
+	});
+
+	it('evaluates the prefix operators &, | and !', () => {
+		expect(matches(['|', ['id', '=', 1], ['id', '=', 7]])).toBe(true);
+		expect(matches(['&', ['id', '=', 7], ['x_studio_is_done', '=', true]])).toBe(false);
+		expect(matches(['!', ['id', '=', 7]])).toBe(false);
+		// (id = 1 OR id = 7) AND NOT done
+		expect(matches(['&', '|', ['id', '=', 1], ['id', '=', 7], '!', ['x_studio_is_done', '=', true]])).toBe(true);
+		// OR binds only its two operands; the last term is ANDed at the top level
+		expect(matches(['|', ['id', '=', 7], ['id', '=', 1], ['x_studio_who_paid', '=', 3]])).toBe(false);
+	});
+
+	it('refuses malformed domains', () => {
+		expect(() => matches(['|', ['id', '=', 7]])).toThrow('Domain is missing an operand');
+		expect(() => matches([['id', '=']])).toThrow('Invalid domain term');
+		expect(() => matches(['id'])).toThrow('Invalid domain term');
+		expect(() => matches([[7, '=', 7]])).toThrow('Invalid domain term');
+		expect(() => matches([['id', 'child_of', 7]])).toThrow('Unsupported domain operator: child_of');
+	});
+
+	it('refuses paths into related records', () => {
+		expect(() => matches([['x_studio_who_paid.name', '=', 'Alice']])).toThrow('Related field paths are not supported');
+	});
+});
+
+describe('sortRecords', () => {
+	const records = [
+		{ id: 3, x_studio_date: '2024-01-02', x_studio_value: 5 },
+		{ id: 1, x_studio_date: '2024-01-03', x_studio_value: false },
+		{ id: 2, x_studio_date: '2024-01-02', x_studio_value: 10 },
+		{ id: 4, x_studio_date: null, x_studio_value: 1 }
+	];
+	/** @param {Array<Record<string, any>>} sorted */
+	const ids = (sorted) => sorted.map(record => record.id);
+
+	it('sorts by id without an order and leaves the input alone', () => {
+		expect(ids(sortRecords(records))).toEqual([1, 2, 3, 4]);
+		expect(ids(records)).toEqual([3, 1, 2, 4]);
+	});
+
+	it('applies each field in turn and breaks ties by id', () => {
+		expect(ids(sortRecords(records, 'x_studio_date desc, x_studio_value desc'))).toEqual([4, 1, 2, 3]);
+		expect(ids(sortRecords(records, 'x_studio_date'))).toEqual([2, 3, 1, 4]);
+	});
+
+	it('sorts empty values last in ascending order and first in descending order', () => {
+		expect(ids(sortRecords(records, 'x_studio_value asc'))).toEqual([4, 3, 2, 1]);
+		expect(ids(sortRecords(records, 'x_studio_value DESC'))).toEqual([1, 2, 3, 4]);
+	});
+
+	it('refuses order clauses that are not field names with a direction', () => {
+		expect(() => sortRecords(records, 'x_studio_date sideways')).toThrow('Invalid order');
+		expect(() => sortRecords(records, 'x_studio_date; drop table')).toThrow('Invalid order');
+		expect(() => sortRecords(records, 'id asc nulls first')).toThrow('Invalid order');
+	});
+});
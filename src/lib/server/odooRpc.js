@@ -0,0 +1,170 @@
+// @ts-check
+import { env } from '$env/dynamic/private';
+import { AccessDeniedError, AuthenticationError, RejectedError, UnavailableError } from './backends/errors.js';
+
+// Read at runtime: deployments using the file backend do not set them
+const ODOO_URL = env.ODOO_URL;
+const ODOO_DB = env.ODOO_DB;
+const ODOO_TIMEOUT_MS = Number(env.ODOO_TIMEOUT_MS) || 10000;
+
+// Reads that failed because Odoo was unavailable are sent again after 300ms, then 600ms
+const READ_RETRIES = 2;
+const RETRY_DELAY_MS = 300;
+
+// Model methods that change nothing, so sending them twice is harmless
+const READ_METHODS = new Set(['search_read', 'search', 'search_count', 'read']);
+
+// Odoo exceptions by what they mean for the request
+const AUTH_ERROR_TYPES = new Set(['odoo.exceptions.AccessDenied', 'odoo.http.SessionExpiredException']);
+const ACCESS_ERROR_TYPES = new Set(['odoo.exceptions.AccessError']);
+const VALIDATION_ERROR_TYPES = new Set([
+	'odoo.exceptions.ValidationError',
+	'odoo.exceptions.UserError',
+	'odoo.exceptions.MissingError',
+	'builtins.ValueError'
+]);
+
+/**
+ * Error raised by Odoo that is none of the typed errors, with the Python exception type it reported
+ */
+export class OdooRpcError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {string} type - e.g. 'builtins.KeyError'
+	 */
+	constructor(message, type) {
+		super(message);
+		this.name = 'OdooRpcError';
+		this.type = type;
+	}
+}
+
+/**
+ * @typedef {(model: string, method: string, args?: any[], kwargs?: Record<string, any>) => Promise<any>} Executor
+ */
+
+/**
+ * @param {unknown} error - Thrown by fetch or while reading the body
+ * @param {string} fallback
+ */
+function toUnavailable(error, fallback) {
+	if (error instanceof Error && error.name === 'TimeoutError') {
+		return new UnavailableError(`Odoo did not answer within ${ODOO_TIMEOUT_MS / 1000}s`);
+	}
+	return new UnavailableError(fallback);
+}
+
+/**
+ * Make JSON-RPC call to Odoo
+ * @param {string} service
+ * @param {string} method
+ * @param {any[]} args
+ * @throws {UnavailableError} When Odoo cannot be reached, does not answer in time or does not
+ *   answer with JSON-RPC (e.g. an HTML 502 page from a proxy)
+ * @throws {AuthenticationError|AccessDeniedError|RejectedError|OdooRpcError} When Odoo reports an error
+ */
+export async function callOdoo(service, method, args) {
+	let response;
+	let data;
+	try {
+		response = await fetch(`${ODOO_URL}/jsonrpc`, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify({
+				jsonrpc: '2.0',
+				method: 'call',
+				params: {
+					service: service,
+					method: method,
+					args: args
+				},
+				id: Math.floor(Math.random() * 1000000)
+			}),
+			signal: AbortSignal.timeout(ODOO_TIMEOUT_MS)
+		});
+	} catch (error) {
+		throw toUnavailable(error, 'Odoo cannot be reached');
+	}
+
+	try {
+		data = await response.json();
+	} catch (error) {
+		throw toUnavailable(error, `Odoo answered with HTTP ${response.status} instead of JSON-RPC`);
+	}
+
+	if (data.error) {
+		const message = data.error.data?.message || data.error.message || 'Odoo API Error';
+		const type = data.error.data?.name || '';
+		if (AUTH_ERROR_TYPES.has(type)) throw new AuthenticationError(message);
+		if (ACCESS_ERROR_TYPES.has(type)) throw new AccessDeniedError(message);
+		if (VALIDATION_ERROR_TYPES.has(type)) throw new RejectedError(message);
+		throw new OdooRpcError(message, type);
+	}
+	if (!response.ok) {
+		throw new UnavailableError(`Odoo answered with HTTP ${response.status}`);
+	}
+
+	return data.result;
+}
+
+/**
+ * Call Odoo, sending the call again while Odoo is unavailable, up to READ_RETRIES times.
+ * Only for calls that change nothing.
+ * @param {string} service
+ * @param {string} method
+ * @param {any[]} args
+ */
+async function callWithRetries(service, method, args) {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await callOdoo(service, method, args);
+		} catch (error) {
+			if (!(error instanceof UnavailableError) || attempt >= READ_RETRIES) throw error;
+			await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * 2 ** attempt));
+		}
+	}
+}
+
+/**
+ * Check a login and password (or API key) against Odoo
+ * @param {string} login
+ * @param {string} password
+ * @returns {Promise<number|null>} The user's uid, or null when Odoo refused the credentials
+ */
+export async function authenticateUser(login, password) {
+	const uid = await callWithRetries('common', 'authenticate', [ODOO_DB, login, password, {}]);
+	return uid || null;
+}
+
+/**
+ * Execute model methods as one Odoo user, so Odoo's own access rights apply to every call.
+ * Reads are retried while Odoo is unavailable. When Odoo refuses the uid, the user is signed in
+ * again with the same login and password and the call is sent once more; an AuthenticationError
+ * means Odoo refused the credentials themselves, e.g. because the API key was revoked.
+ * @param {{uid: number, login: string, password: string}} credentials
+ * @returns {Executor}
+ */
+export function createExecutor({ uid, login, password }) {
+	let currentUid = uid;
+
+	/** @type {Executor} */
+	const send = (model, method, args = [], kwargs = {}) => {
+		const call = READ_METHODS.has(method) ? callWithRetries : callOdoo;
+		return call('object', 'execute_kw', [ODOO_DB, currentUid, password, model, method, args, kwargs]);
+	};
+
+	return async (model, method, args = [], kwargs = {}) => {
+		try {
+			return await send(model, method, args, kwargs);
+		} catch (error) {
+			if (!(error instanceof AuthenticationError)) throw error;
+			// Odoo checks credentials before running anything, so the call can be sent again
+			const freshUid = await authenticateUser(login, password);
+			if (!freshUid) throw error;
+			currentUid = freshUid;
+			return send(model, method, args, kwargs);
+		}
+	};
+}
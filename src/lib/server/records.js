@@ -0,0 +1,66 @@
+// @ts-check
+
+/**
+ * Odoo's write semantics for plain stored records, shared by the file backend and the fake Odoo
+ * service (scripts/fake-odoo.js). Records hold many2one fields as ids and many2many fields as
+ * id lists. Errors are plain Errors, which each caller reports the way its protocol does.
+ */
+
+// Set by the server, never by the client
+export const READONLY_FIELDS = new Set(['id', 'create_date', 'write_date', 'display_name']);
+
+/**
+ * @typedef {Object} ModelFields
+ * @property {Record<string, string>} [many2one] - many2one fields and the model they point to
+ * @property {Record<string, string>} [many2many] - many2many fields and the model they point to
+ */
+
+/**
+ * Name of a record as Odoo's display_name shows it
+ * @param {Record<string, any>|undefined} record
+ * @returns {string}
+ */
+export function displayName(record) {
+	return record ? String(record.x_name || record.name || '') : '';
+}
+
+/**
+ * Apply a many2many value: a list of ids, or Odoo commands (6, 0, ids), (4, id), (3, id) and (5,)
+ * @param {number[]} current
+ * @param {any} value
+ * @returns {number[]}
+ */
+export function applyMany2many(current, value) {
+	if (!Array.isArray(value)) return [];
+	if (value.every(item => typeof item === 'number')) return [...value];
+
+	let ids = [...current];
+	for (const command of value) {
+		const [code, id, list] = Array.isArray(command) ? command : [];
+		if (code === 6) ids = [...(list || [])];
+		else if (code === 4) ids = ids.includes(id) ? ids : [...ids, id];
+		else if (code === 3) ids = ids.filter(other => other !== id);
+		else if (code === 5) ids = [];
+		else throw new Error(`Unsupported many2many command: ${JSON.stringify(command)}`);
+	}
+	return ids;
+}
+
+/**
+ * Values sent by the client in the shape they are stored: bare many2one ids and id lists
+ * @param {Record<string, any>} values
+ * @param {Record<string, any>} current - The stored record, empty for a new one
+ * @param {ModelFields} fields
+ * @returns {Record<string, any>}
+ */
+export function toStored(values, current, { many2one = {}, many2many = {} }) {
+	/** @type {Record<string, any>} */
+	const stored = {};
+	for (const [field, value] of Object.entries(values || {})) {
+		if (READONLY_FIELDS.has(field)) continue;
+		if (field in many2one) stored[field] = (Array.isArray(value) ? value[0] : value) || false;
+		else if (field in many2many) stored[field] = applyMany2many(current[field] || [], value);
+		else stored[field] = value;
+	}
+	return stored;
+}
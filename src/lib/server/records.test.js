@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { applyMany2many, displayName, toStored } from './records.js';
+
+const FIELDS = {
+	many2one: { x_studio_who_paid: 'res.partner', x_studio_expensegroup: 'x_expensegroup' },
+	many2many: { x_studio_participants: 'res.partner' }
+};
+
+describe('applyMany2many', () => {
+	it('replaces the ids with a plain list or a (6, 0, ids) command', () => {
+		expect(applyMany2many([1, 2], [3, 4])).toEqual([3, 4]);
+		expect(applyMany2many([1, 2], [[6, 0, [3]]])).toEqual([3]);
+		expect(applyMany2many([1, 2], [])).toEqual([]);
+	});
+
+	it('adds, removes and clears ids in order', () => {
+		expect(applyMany2many([1, 2], [[4, 3], [4, 1], [3, 2]])).toEqual([1, 3]);
+		expect(applyMany2many([1, 2], [[5], [4, 7]])).toEqual([7]);
+	});
+
+	it('refuses commands that create or edit related records', () => {
+		expect(() => applyMany2many([], [[0, 0, { name: 'New' }]])).toThrow('Unsupported many2many command');
+		expect(() => applyMany2many([1], [[1, 1, { name: 'Renamed' }]])).toThrow('Unsupported many2many command');
+	});
+});
+
+describe('toStored', () => {
+	it('stores many2one pairs as ids and applies many2many commands to the current ids', () => {
+		expect(toStored(
+			{ x_name: 'Milk', x_studio_who_paid: [2, 'Alice'], x_studio_expensegroup: false, x_studio_participants: [[4, 3]] },
+			{ x_studio_participants: [2] },
+			FIELDS
+		)).toEqual({ x_name: 'Milk', x_studio_who_paid: 2, x_studio_expensegroup: false, x_studio_participants: [2, 3] });
+	});
+
+	it('drops fields only the server sets', () => {
+		expect(toStored({ id: 9, write_date: '2024-01-01 00:00:00', display_name: 'X', x_name: 'Y' }, {}, FIELDS))
+			.toEqual({ x_name: 'Y' });
+	});
+});
+
+describe('displayName', () => {
+	it('uses x_name, then name', () => {
+		expect(displayName({ x_name: 'Flat', name: 'ignored' })).toBe('Flat');
+		expect(displayName({ name: 'Alice' })).toBe('Alice');
+		expect(displayName({})).toBe('');
+		expect(displayName(undefined)).toBe('');
+	});
+});
@@ -0,0 +1,136 @@
+// @ts-check
+import { env } from '$env/dynamic/private';
+
+/**
+ * Session cookie of a signed-in user.
+ * The session is encrypted with AES-256-GCM under a key derived from SESSION_SECRET, which also
+ * authenticates it: a cookie that was tampered with or sealed with another secret is ignored.
+ * It carries the user's Odoo password or API key because every proxied call runs as that user;
+ * the cookie is httpOnly, so page scripts never see it.
+ */
+
+export const SESSION_COOKIE = 'expense_split_session';
+// Seconds a session stays valid after signing in
+export const SESSION_MAX_AGE = 60 * 60 * 24 * 30;
+
+/**
+ * @typedef {Object} Session
+ * @property {number} uid - Odoo user id
+ * @property {string} login
+ * @property {string} name
+ * @property {number} partnerId - Partner of the user, as listed in group members
+ * @property {string} password - Password or API key the user signed in with
+ * @property {number} expiresAt
+ */
+
+/**
+ * @typedef {Object} SessionUser
+ * @property {number} uid
+ * @property {string} login
+ * @property {string} name
+ * @property {number} partnerId
+ */
+
+const encoder = new TextEncoder();
+
+// Value of SESSION_SECRET in .env.example: anyone could seal sessions with it
+const EXAMPLE_SECRET = 'change-me-to-a-long-random-string';
+
+/** @type {Promise<CryptoKey>|null} */
+let keyPromise = null;
+
+/**
+ * Refuse a missing, short or example SESSION_SECRET. Run when the server starts.
+ * @returns {string} The secret
+ */
+export function checkSessionSecret() {
+	const secret = env.SESSION_SECRET;
+	if (!secret || secret.length < 32) {
+		throw new Error('SESSION_SECRET must be set to at least 32 characters');
+	}
+	if (secret === EXAMPLE_SECRET) {
+		throw new Error('SESSION_SECRET is still the example value from .env.example; set it to a long random string');
+	}
+	return secret;
+}
+
+/**
+ * AES key derived from SESSION_SECRET
+ * @returns {Promise<CryptoKey>}
+ */
+function getKey() {
+	const secret = checkSessionSecret();
+	keyPromise ||= crypto.subtle
+		.digest('SHA-256', encoder.encode(secret))
+		.then(digest => crypto.subtle.importKey('raw', digest, 'AES-GCM', false, ['encrypt', 'decrypt']));
+	return keyPromise;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+	return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} value
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function fromBase64Url(value) {
+	const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+	return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Encrypt a session into a cookie value
+ * @param {Session} session
+ * @returns {Promise<string>}
+ */
+export async function sealSession(session) {
+	const iv = crypto.getRandomValues(new Uint8Array(12));
+	const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getKey(), encoder.encode(JSON.stringify(session)));
+	return `${toBase64Url(iv)}.${toBase64Url(new Uint8Array(encrypted))}`;
+}
+
+/**
+ * Decrypt a cookie value
+ * @param {string} value
+ * @returns {Promise<Session|null>} null when the cookie is invalid or expired
+ */
+export async function unsealSession(value) {
+	try {
+		const [iv, encrypted] = value.split('.').map(fromBase64Url);
+		const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, await getKey(), encrypted);
+
+		/** @type {Session} */
+		const session = JSON.parse(new TextDecoder().decode(decrypted));
+		return session.expiresAt > Date.now() ? session : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Options of the session cookie.
+ * A frontend served from another site (PUBLIC_API_URL) only sends the cookie with SameSite=None.
+ * @returns {Parameters<import('@sveltejs/kit').Cookies['set']>[2]}
+ */
+export function getCookieOptions() {
+	return {
+		path: '/',
+		httpOnly: true,
+		sameSite: env.SESSION_COOKIE_SAMESITE === 'none' ? 'none' : 'lax',
+		maxAge: SESSION_MAX_AGE
+	};
+}
+
+/**
+ * The part of a session the browser may see
+ * @param {Session} session
+ * @returns {SessionUser}
+ */
+export function toSessionUser({ uid, login, name, partnerId }) {
+	return { uid, login, name, partnerId };
+}
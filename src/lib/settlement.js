@@ -0,0 +1,297 @@
+// @ts-check
+
+/**
+ * Settlement engine: turns balances into the smallest set of transfers.
+ *
+ * The number of transfers needed to settle n people is n - k, where k is the number of
+ * groups the people can be split into so that every group sums to zero. The engine:
+ * 1. converts balances to integer minor units so totals always reconcile to zero,
+ * 2. settles exact debtor/creditor pairs first,
+ * 3. finds the maximum number of zero-sum subsets for the rest (exact up to MAX_EXACT_PEOPLE),
+ * 4. settles each subset with at most (size - 1) transfers.
+ * Ties are always broken by person key so the same input yields the same plan.
+ */
+
+/** Above this many people the subset search falls back to a greedy plan */
+const MAX_EXACT_PEOPLE = 16;
+
+/**
+ * The balances cannot be settled without a transfer the options forbid
+ */
+export class SettlementConstraintError extends Error {
+	/**
+	 * @param {string} message
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'SettlementConstraintError';
+	}
+}
+
+/**
+ * @typedef {Object} Transfer
+ * @property {string} from
+ * @property {string} to
+ * @property {number} amount - In major units (e.g. SAR, not halalas)
+ */
+
+/**
+ * @typedef {Object} SettlementOptions
+ * @property {number} [decimals] - Minor unit digits of the currency (default 2)
+ * @property {Array<[string, string]>} [forbidden] - Pairs [from, to] that must never transfer directly
+ */
+
+/**
+ * @typedef {{person: string, amount: number}} Entry - amount in minor units, positive = owed money
+ */
+
+/**
+ * Deterministic string comparison independent of locale
+ * @param {string} a
+ * @param {string} b
+ */
+function compareKeys(a, b) {
+	return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Convert balances to integer minor units that sum to exactly zero.
+ * Rounding residue is assigned to the entries with the largest rounding error.
+ * @param {Record<string, number>} balances
+ * @param {number} decimals
+ * @returns {Entry[]}
+ */
+export function toMinorUnits(balances, decimals = 2) {
+	const factor = 10 ** decimals;
+	const rows = Object.keys(balances)
+		.sort(compareKeys)
+		.map((person) => {
+			const exact = (Number(balances[person]) || 0) * factor;
+			const amount = Math.round(exact);
+			return { person, amount, error: exact - amount };
+		});
+
+	let residue = rows.reduce((sum, r) => sum + r.amount, 0);
+	if (residue !== 0) {
+		// Push the residue onto the rows that were rounded furthest in the opposite direction
+		const direction = residue > 0 ? -1 : 1;
+		const candidates = [...rows].sort(
+			(a, b) => direction * (b.error - a.error) || compareKeys(a.person, b.person)
+		);
+		for (let i = 0; residue !== 0; i = (i + 1) % candidates.length) {
+			candidates[i].amount += direction;
+			residue += direction;
+		}
+	}
+
+	return rows.filter((r) => r.amount !== 0).map(({ person, amount }) => ({ person, amount }));
+}
+
+/**
+ * Pull out debtor/creditor pairs with exactly opposite balances
+ * @param {Entry[]} entries
+ * @returns {{pairs: Entry[][], rest: Entry[]}}
+ */
+function extractExactPairs(entries) {
+	const debtors = entries.filter((e) => e.amount < 0);
+	const creditors = entries.filter((e) => e.amount > 0);
+	const used = new Set();
+	/** @type {Entry[][]} */
+	const pairs = [];
+
+	for (const debtor of debtors) {
+		const match = creditors.find((c) => !used.has(c) && c.amount === -debtor.amount);
+		if (match) {
+			used.add(match);
+			used.add(debtor);
+			pairs.push([debtor, match]);
+		}
+	}
+
+	return { pairs, rest: entries.filter((e) => !used.has(e)) };
+}
+
+/**
+ * Split entries into the maximum number of zero-sum subsets.
+ * dp[mask] is the best number of complete zero-sum groups reachable by adding the
+ * members of mask one at a time; the groups are the segments between zero prefix sums.
+ * @param {Entry[]} entries - Must sum to zero
+ * @returns {Entry[][]}
+ */
+function partitionZeroSum(entries) {
+	const n = entries.length;
+	if (n === 0) return [];
+	if (n > MAX_EXACT_PEOPLE) return [entries];
+
+	const size = 1 << n;
+	const sums = new Int32Array(size);
+	const dp = new Int8Array(size);
+
+	for (let mask = 1; mask < size; mask++) {
+		const low = mask & -mask;
+		const i = 31 - Math.clz32(low);
+		sums[mask] = sums[mask ^ low] + entries[i].amount;
+
+		let best = 0;
+		for (let j = 0; j < n; j++) {
+			if (mask & (1 << j)) best = Math.max(best, dp[mask ^ (1 << j)]);
+		}
+		dp[mask] = best + (sums[mask] === 0 ? 1 : 0);
+	}
+
+	// Walk back from the full set, always removing the lowest index that keeps the optimum
+	/** @type {number[]} */
+	const order = [];
+	let mask = size - 1;
+	while (mask) {
+		const gain = sums[mask] === 0 ? 1 : 0;
+		for (let j = 0; j < n; j++) {
+			if (mask & (1 << j) && dp[mask ^ (1 << j)] + gain === dp[mask]) {
+				order.push(j);
+				mask ^= 1 << j;
+				break;
+			}
+		}
+	}
+	order.reverse();
+
+	/** @type {Entry[][]} */
+	const groups = [];
+	/** @type {Entry[]} */
+	let current = [];
+	let running = 0;
+	for (const j of order) {
+		current.push(entries[j]);
+		running += entries[j].amount;
+		if (running === 0) {
+			groups.push(current);
+			current = [];
+		}
+	}
+	if (current.length > 0) groups.push(current);
+
+	return groups;
+}
+
+/**
+ * Find the shortest chain of allowed transfers between two people
+ * @param {string} from
+ * @param {string} to
+ * @param {string[]} people - Everyone who may act as an intermediary, in deterministic order
+ * @param {(from: string, to: string) => boolean} isAllowed
+ * @returns {string[]|null} The chain including both ends, or null when impossible
+ */
+function findAllowedPath(from, to, people, isAllowed) {
+	/** @type {Map<string, string|null>} */
+	const previous = new Map([[from, null]]);
+	const queue = [from];
+
+	while (queue.length > 0) {
+		const current = /** @type {string} */ (queue.shift());
+		if (current === to) break;
+		for (const next of people) {
+			if (!previous.has(next) && next !== current && isAllowed(current, next)) {
+				previous.set(next, current);
+				queue.push(next);
+			}
+		}
+	}
+
+	if (!previous.has(to)) return null;
+
+	const path = [];
+	for (let node = /** @type {string|null} */ (to); node !== null; node = previous.get(node) ?? null) {
+		path.push(node);
+	}
+	return path.reverse();
+}
+
+/**
+ * Settle a zero-sum group: the largest debtor pays the largest creditor they are allowed to pay.
+ * A debtor who may not pay any remaining creditor directly pays through the shortest allowed chain.
+ * @param {Entry[]} group
+ * @param {string[]} people
+ * @param {(from: string, to: string) => boolean} isAllowed
+ * @returns {Array<{from: string, to: string, amount: number}>} amounts in minor units
+ */
+function settleGroup(group, people, isAllowed) {
+	const byLargest = (/** @type {Entry} */ a, /** @type {Entry} */ b) =>
+		Math.abs(b.amount) - Math.abs(a.amount) || compareKeys(a.person, b.person);
+	const debtors = group.filter((e) => e.amount < 0).map((e) => ({ ...e, amount: -e.amount }));
+	const creditors = group.filter((e) => e.amount > 0).map((e) => ({ ...e }));
+	/** @type {Array<{from: string, to: string, amount: number}>} */
+	const transfers = [];
+
+	while (debtors.length > 0 && creditors.length > 0) {
+		debtors.sort(byLargest);
+		creditors.sort(byLargest);
+
+		const debtor = debtors[0];
+		const creditor = creditors.find((c) => isAllowed(debtor.person, c.person)) || creditors[0];
+		const amount = Math.min(debtor.amount, creditor.amount);
+
+		if (isAllowed(debtor.person, creditor.person)) {
+			transfers.push({ from: debtor.person, to: creditor.person, amount });
+		} else {
+			const path = findAllowedPath(debtor.person, creditor.person, people, isAllowed);
+			if (!path) {
+				throw new SettlementConstraintError(`Cannot settle ${debtor.person} → ${creditor.person} without breaking constraints`);
+			}
+			for (let i = 0; i < path.length - 1; i++) {
+				transfers.push({ from: path[i], to: path[i + 1], amount });
+			}
+		}
+
+		debtor.amount -= amount;
+		creditor.amount -= amount;
+		if (debtor.amount === 0) debtors.splice(debtors.indexOf(debtor), 1);
+		if (creditor.amount === 0) creditors.splice(creditors.indexOf(creditor), 1);
+	}
+
+	return transfers;
+}
+
+/**
+ * Merge repeated from/to pairs that chained payments can produce
+ * @param {Array<{from: string, to: string, amount: number}>} transfers
+ */
+function mergeTransfers(transfers) {
+	/** @type {Map<string, {from: string, to: string, amount: number}>} */
+	const merged = new Map();
+	for (const t of transfers) {
+		const key = `${t.from}\u0000${t.to}`;
+		const existing = merged.get(key);
+		if (existing) existing.amount += t.amount;
+		else merged.set(key, { ...t });
+	}
+	return Array.from(merged.values());
+}
+
+/**
+ * Compute the transfers that settle all balances with as few payments as possible
+ * @param {Record<string, number>} balances - Positive means the person is owed money
+ * @param {SettlementOptions} [options]
+ * @returns {Transfer[]}
+ * @throws {SettlementConstraintError} When the forbidden pairs leave no way to settle
+ */
+export function simplifyDebts(balances, options = {}) {
+	const decimals = options.decimals ?? 2;
+	const factor = 10 ** decimals;
+	const forbidden = new Set((options.forbidden || []).map(([from, to]) => `${from}\u0000${to}`));
+	const isAllowed = (/** @type {string} */ from, /** @type {string} */ to) => !forbidden.has(`${from}\u0000${to}`);
+
+	const entries = toMinorUnits(balances, decimals);
+	const people = Object.keys(balances).sort(compareKeys);
+
+	// Pairs are only a shortcut when they can pay each other directly
+	const { pairs, rest } = extractExactPairs(entries);
+	const allowedPairs = pairs.filter(([debtor, creditor]) => isAllowed(debtor.person, creditor.person));
+	const remaining = [...rest, ...pairs.filter((p) => !allowedPairs.includes(p)).flat()].sort((a, b) =>
+		compareKeys(a.person, b.person)
+	);
+
+	const groups = [...allowedPairs, ...partitionZeroSum(remaining)];
+	const transfers = mergeTransfers(groups.flatMap((group) => settleGroup(group, people, isAllowed)));
+
+	return transfers.map((t) => ({ from: t.from, to: t.to, amount: t.amount / factor }));
+}
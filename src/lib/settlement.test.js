@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest';
+import { simplifyDebts, toMinorUnits, SettlementConstraintError } from './settlement.js';
+import { calculateSettlements } from './expenseUtils.js';
+
+/**
+ * Apply transfers to balances and return what is left, in minor units
+ * @param {Record<string, number>} balances
+ * @param {Array<{from: string, to: string, amount: number}>} transfers
+ */
+function remaining(balances, transfers) {
+	/** @type {Record<string, number>} */
+	const left = {};
+	for (const { person, amount } of toMinorUnits(balances)) left[person] = amount;
+	for (const t of transfers) {
+		left[t.from] = (left[t.from] || 0) + Math.round(t.amount * 100);
+		left[t.to] = (left[t.to] || 0) - Math.round(t.amount * 100);
+	}
+	return Object.values(left).filter(amount => amount !== 0);
+}
+
+describe('toMinorUnits', () => {
+	it('reconciles rounded balances to exactly zero', () => {
+		const entries = toMinorUnits({ a: 33.333, b: 33.333, c: -66.666 });
+		expect(entries.reduce((sum, e) => sum + e.amount, 0)).toBe(0);
+	});
+
+	it('drops people with nothing to settle', () => {
+		expect(toMinorUnits({ a: 0.001, b: 10, c: -10 }).map(e => e.person)).toEqual(['b', 'c']);
+	});
+});
+
+describe('simplifyDebts', () => {
+	it('returns no transfers when everyone is settled', () => {
+		expect(simplifyDebts({ a: 0, b: 0 })).toEqual([]);
+	});
+
+	it('settles exactly opposite balances with a single transfer each', () => {
+		expect(simplifyDebts({ a: 50, b: -50, c: 20, d: -20 })).toEqual([
+			{ from: 'b', to: 'a', amount: 50 },
+			{ from: 'd', to: 'c', amount: 20 }
+		]);
+	});
+
+	it('uses n - k transfers for k zero-sum subsets', () => {
+		// {a, b, c} and {d, e} each sum to zero: 3 - 1 + 2 - 1 = 3 transfers
+		const balances = { a: 30, b: -10, c: -20, d: 7, e: -7 };
+		const transfers = simplifyDebts(balances);
+		expect(transfers).toHaveLength(3);
+		expect(remaining(balances, transfers)).toEqual([]);
+	});
+
+	it('finds subsets a greedy pairing misses', () => {
+		const balances = { a: 6, b: 4, c: -5, d: -5, e: 3, f: -3 };
+		const transfers = simplifyDebts(balances);
+		expect(transfers).toHaveLength(4);
+		expect(remaining(balances, transfers)).toEqual([]);
+	});
+
+	it('leaves no cent-level dust', () => {
+		const balances = { a: 66.67, b: -33.33, c: -33.34 };
+		const transfers = simplifyDebts(balances);
+		expect(remaining(balances, transfers)).toEqual([]);
+		expect(transfers.reduce((sum, t) => sum + Math.round(t.amount * 100), 0)).toBe(6667);
+	});
+
+	it('is deterministic regardless of key order', () => {
+		const one = simplifyDebts({ a: 10, b: 10, c: -20 });
+		const two = simplifyDebts({ c: -20, b: 10, a: 10 });
+		expect(one).toEqual(two);
+	});
+
+	it('respects the currency decimals', () => {
+		expect(simplifyDebts({ a: 1.234, b: -1.234 }, { decimals: 3 })).toEqual([
+			{ from: 'b', to: 'a', amount: 1.234 }
+		]);
+	});
+
+	it('routes around forbidden direct transfers', () => {
+		const balances = { a: 10, b: -10, c: 0 };
+		const transfers = simplifyDebts(balances, { forbidden: [['b', 'a']] });
+		expect(transfers).toEqual([
+			{ from: 'b', to: 'c', amount: 10 },
+			{ from: 'c', to: 'a', amount: 10 }
+		]);
+	});
+
+	it('prefers an allowed creditor over a forbidden one', () => {
+		const balances = { a: 10, b: 10, c: -20 };
+		const transfers = simplifyDebts(balances, { forbidden: [['c', 'a']] });
+		expect(transfers.some(t => t.from === 'c' && t.to === 'a')).toBe(false);
+		expect(remaining(balances, transfers)).toEqual([]);
+	});
+
+	it('throws a SettlementConstraintError when no allowed chain exists', () => {
+		expect(() => simplifyDebts({ a: 10, b: -10 }, { forbidden: [['b', 'a']] })).toThrow(
+			SettlementConstraintError
+		);
+	});
+});
+
+describe('calculateSettlements', () => {
+	it('passes the forbidden transfers on', () => {
+		const { transfers, error } = calculateSettlements({ a: 10, b: -10, c: 0 }, { forbidden: [['b', 'a']] });
+		expect(error).toBeNull();
+		expect(transfers).toHaveLength(2);
+	});
+
+	it('returns an error state instead of throwing when constraints cannot be met', () => {
+		const result = calculateSettlements({ a: 10, b: -10 }, { forbidden: [['b', 'a']] });
+		expect(result.transfers).toEqual([]);
+		expect(result.error).toMatch(/Cannot settle b → a/);
+	});
+});
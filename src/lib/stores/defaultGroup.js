@@ -5,12 +5,13 @@ const DEFAULT_GROUP_KEY = 'default_expense_group';
 
 /**
  * Load default group from localStorage
- * @returns {number|null}
+ * @returns {number|string|null} A `local_…` id while the group has not synced yet
  */
 function loadDefaultGroup() {
 	try {
 		const stored = localStorage.getItem(DEFAULT_GROUP_KEY);
-		return stored ? parseInt(stored, 10) : null;
+		if (!stored) return null;
+		return /^\d+$/.test(stored) ? parseInt(stored, 10) : stored;
 	} catch (e) {
 		console.warn('Failed to load default group:', e);
 		return null;
@@ -19,7 +20,7 @@ function loadDefaultGroup() {
 
 /**
  * Save default group to localStorage
- * @param {number|null} groupId
+ * @param {number|string|null} groupId
  */
 function saveDefaultGroup(groupId) {
 	try {
@@ -43,7 +44,7 @@ function createDefaultGroupStore() {
 		subscribe,
 		/**
 		 * Set the default expense group
-		 * @param {number|null} groupId
+		 * @param {number|string|null} groupId
 		 */
 		setDefault: (groupId) => {
 			saveDefaultGroup(groupId);
@@ -51,7 +52,7 @@ function createDefaultGroupStore() {
 		},
 		/**
 		 * Get the current default group
-		 * @returns {number|null}
+		 * @returns {number|string|null}
 		 */
 		get: () => {
 			return loadDefaultGroup();
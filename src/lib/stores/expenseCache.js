@@ -272,8 +272,8 @@ function createExpenseCacheStore() {
 					// If incremental fetch returns nothing, verify we're not missing data
 					if (fetchedExpenses.length === 0) {
 						// Do a count check to ensure we have all records
-						const totalCount = await odooClient.searchExpenses([], ['id']);
-						if (totalCount.length !== currentState.expenses.length) {
+						const totalCount = await odooClient.countExpenses();
+						if (totalCount !== currentState.expenses.length) {
 							// We're missing records, force full refresh
 							forceFullRefresh = true;
 						}
@@ -1,10 +1,31 @@
 // @ts-check
 import { writable } from 'svelte/store';
 import { odooClient } from '$lib/odoo';
-import { STORES, getAll, put, putMany, remove, meta } from '$lib/db';
+import { STORES, getAll, getById, getByIndex, put, putMany, remove, meta } from '$lib/db';
+import { queueOperation, processSyncQueue } from '$lib/syncQueue';
+import { isLeader, askLeader, answerFollowers, notifyTabs } from '$lib/tabLeader';
+import { normalizePerson } from '$lib/expenseUtils';
 
 const CACHE_DURATION_MS = 10 * 60 * 1000; // 10 minutes
 
+const GROUP_FIELDS = ['id', 'display_name', 'x_studio_members', 'x_studio_base_currency'];
+
+/**
+ * Convert Odoo formatted group values to the shape stored locally
+ * @param {Record<string, any>} values
+ * @returns {Record<string, any>}
+ */
+function toLocalGroup(values) {
+	/** @type {Record<string, any>} */
+	const local = { ...values };
+	// Store member ids instead of the [[6, 0, ids]] command
+	if (Array.isArray(local.x_studio_members?.[0]) && local.x_studio_members[0][0] === 6) {
+		local.x_studio_members = local.x_studio_members[0][2] || [];
+	}
+	if (local.x_name) local.display_name = local.x_name;
+	return local;
+}
+
 /**
  * @typedef {Object} ExpenseGroup
  * @property {number|string} id
@@ -13,11 +34,13 @@ const CACHE_DURATION_MS = 10 * 60 * 1000; // 10 minutes
  * @property {any[]} [x_studio_members]
  * @property {any[]} [participants]
  * @property {string} [description]
+ * @property {string} [x_studio_base_currency] - ISO code balances of the group are reported in
  * @property {string} syncStatus - 'synced' | 'pending' | 'failed'
  */
 
 function createGroupCacheStore() {
 	const initialState = {
+		/** @type {ExpenseGroup[]} */
 		groups: [],
 		loading: false,
 		error: '',
@@ -46,6 +69,11 @@ function createGroupCacheStore() {
 		}
 	}
 
+	async function refreshState() {
+		const cached = await loadFromDB();
+		update(state => ({ ...state, groups: cached.groups }));
+	}
+
 	// Sync with server
 	async function sync(forceFullRefresh = false) {
 		if (!navigator.onLine) {
@@ -53,11 +81,23 @@ function createGroupCacheStore() {
 			return;
 		}
 
+		if (!(await isLeader())) {
+			try {
+				await askLeader('sync-groups', forceFullRefresh);
+				await refreshState();
+				return;
+			} catch (error) {
+				console.warn('Leader tab did not sync groups:', error);
+			}
+		}
+
 		update(state => ({ ...state, loading: true, error: '' }));
 
 		try {
-			const fields = ['id', 'display_name', 'x_studio_members'];
-			const fetchedGroups = await odooClient.fetchExpenseGroups([], fields);
+			// Push local changes first so the server copy includes them
+			await processSyncQueue();
+
+			const fetchedGroups = await odooClient.fetchExpenseGroups([], GROUP_FIELDS);
 
 			// Mark as synced
 			const syncedGroups = fetchedGroups.map(g => ({
@@ -109,22 +149,34 @@ function createGroupCacheStore() {
 				}
 			}
 
+			// Groups with unsynced local changes keep their local copy; groups deleted remotely are dropped
+			const existing = await getAll(STORES.GROUPS);
+			const pendingIds = new Set(existing.filter(g => g.syncStatus !== 'synced').map(g => g.id));
+			const remoteIds = new Set(syncedGroups.map(g => g.id));
+			for (const group of existing) {
+				if (typeof group.id === 'number' && !remoteIds.has(group.id) && !pendingIds.has(group.id)) {
+					await remove(STORES.GROUPS, group.id);
+				}
+			}
+
 			// Save groups and partners to IndexedDB
 			// Partners are saved with putMany which updates existing records
-			await putMany(STORES.GROUPS, syncedGroups);
+			await putMany(STORES.GROUPS, syncedGroups.filter(g => !pendingIds.has(g.id)));
 			if (allPartners.length > 0) {
 				console.log('Updating partners cache:', allPartners);
 				await putMany(STORES.PARTNERS, allPartners);
 			}
 			await meta('lastGroupSync', Date.now());
 
+			const cached = await loadFromDB();
 			update(state => ({
 				...state,
-				groups: syncedGroups,
+				groups: cached.groups,
 				loading: false,
 				lastSync: Date.now(),
 				error: ''
 			}));
+			notifyTabs();
 
 		} catch (error) {
 			console.error('Group sync failed:', error);
@@ -172,10 +224,147 @@ function createGroupCacheStore() {
 		}
 	}
 
+	/**
+	 * Create an expense group (offline-first).
+	 * Expenses can be filed under the group right away; the sync queue holds them back
+	 * until the group exists on the server and then swaps in its real id.
+	 * @param {Record<string, any>} fields - Odoo formatted values (x_name, x_studio_members, ...)
+	 * @returns {Promise<string>} Local id
+	 */
+	async function createGroup(fields) {
+		const localId = `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+		await put(STORES.GROUPS, {
+			id: localId,
+			...toLocalGroup(fields),
+			syncStatus: 'pending'
+		});
+
+		await queueOperation('create', 'group', fields, localId);
+		await refreshState();
+
+		if (navigator.onLine) {
+			processSyncQueue().then(() => sync());
+		}
+
+		return localId;
+	}
+
+	/**
+	 * Update an expense group (offline-first). Concurrent edits are last-write-wins.
+	 * @param {number|string} id
+	 * @param {Record<string, any>} values - Odoo formatted values
+	 */
+	async function updateGroup(id, values) {
+		const group = await getById(STORES.GROUPS, id);
+		if (!group) {
+			throw new Error('Expense group not found');
+		}
+
+		await put(STORES.GROUPS, { ...group, ...toLocalGroup(values), syncStatus: 'pending' });
+
+		if (typeof id === 'number') {
+			await queueOperation('update', 'group', values, null, id);
+		} else {
+			// Merged into the queued create, or sent once the create went through
+			await queueOperation('update', 'group', values, id);
+		}
+
+		await refreshState();
+
+		if (navigator.onLine) {
+			processSyncQueue().then(() => sync());
+		}
+	}
+
+	/**
+	 * Add someone to a group by the login they sign in with. Only the server can tell whose login
+	 * it is, so this needs a connection; in return it reaches people the user shares no group
+	 * with yet, such as a new user, who are not among the cached partners.
+	 * @param {number} id - Id of a group that exists on the server
+	 * @param {string} login
+	 * @returns {Promise<number>} Partner id of the new member
+	 */
+	async function addMember(id, login) {
+		if (!navigator.onLine) {
+			throw new Error('Adding people by login needs a connection');
+		}
+		// Queued member changes were made without the new member and would remove them again
+		await processSyncQueue();
+		const partnerId = await odooClient.addGroupMember(id, login);
+		await sync(true);
+		return partnerId;
+	}
+
+	/**
+	 * Whether expenses, payments or recurring expenses are still filed under a group
+	 * @param {number|string} id
+	 * @returns {Promise<boolean>}
+	 */
+	async function hasRecords(id) {
+		// Expenses and payments are indexed by group; recurring definitions still hold raw tuples
+		const expenses = await getByIndex(STORES.EXPENSES, 'x_studio_expensegroup', id);
+		const payments = await getByIndex(STORES.PAYMENTS, 'x_studio_expensegroup', id);
+		const recurring = await getAll(STORES.RECURRING);
+		if (expenses.length > 0 || payments.length > 0 ||
+			recurring.some(r => normalizePerson(r.x_studio_expensegroup) === String(id))) {
+			return true;
+		}
+		if (typeof id !== 'number') return false;
+
+		// Settled expenses archived by retention are only counted in the group's snapshot
+		const snapshot = await getById(STORES.SNAPSHOTS, id);
+		if (snapshot?.count > 0) return true;
+
+		// Other members may have added records this device has not synced yet
+		if (!navigator.onLine) return false;
+		const domain = [['x_studio_expensegroup', '=', id]];
+		const [expenseCount, remotePayments, remoteRecurring] = await Promise.all([
+			odooClient.countExpenses(domain),
+			odooClient.searchPayments(domain, ['id']),
+			odooClient.searchRecurring(domain, ['id'])
+		]);
+		return expenseCount > 0 || remotePayments.length > 0 || remoteRecurring.length > 0;
+	}
+
+	/**
+	 * Delete an expense group (offline-first). Groups that still hold expenses, payments or
+	 * recurring expenses, on this device or on the server, are refused, so no record is left
+	 * pointing at a missing group.
+	 * @param {number|string} id
+	 */
+	async function deleteGroup(id) {
+		if (await hasRecords(id)) {
+			throw new Error('This group still has expenses. Move or delete them first.');
+		}
+
+		await remove(STORES.GROUPS, id);
+
+		if (typeof id === 'number') {
+			await queueOperation('delete', 'group', {}, null, id);
+		} else {
+			// Cancels the queued create if it has not been sent yet
+			await queueOperation('delete', 'group', {}, id);
+		}
+
+		await refreshState();
+
+		if (navigator.onLine) {
+			processSyncQueue();
+		}
+	}
+
+	answerFollowers('sync-groups', (forceFullRefresh) => sync(forceFullRefresh));
+
 	return {
 		subscribe,
 		initialize,
-		sync
+		sync,
+		reload: refreshState,
+		createGroup,
+		updateGroup,
+		addMember,
+		deleteGroup
 	};
 }
 
@@ -1,13 +1,87 @@
 // @ts-check
 import { writable, derived } from 'svelte/store';
-import { odooClient } from '$lib/odoo';
-import { calculateBalances } from '$lib/expenseUtils';
-import { STORES, getAll, put, putMany, remove, meta } from '$lib/db';
-import { queueOperation, processSyncQueue, syncStatus as queueStatus } from '$lib/syncQueue';
+import { odooClient, isLocalId } from '$lib/odoo';
+import { calculateBalances, toRecordId } from '$lib/expenseUtils';
+import { getGroupCurrency } from '$lib/currency';
+import { STORES, getAll, getById, getByIndex, put, putMany, remove, meta } from '$lib/db';
+import { normalizeMany2oneFields, getTuplePartners } from '$lib/dbMigrations';
+import {
+	queueOperation,
+	mergeIntoConflict,
+	removeQueueItem,
+	processSyncQueue,
+	syncStatus as queueStatus
+} from '$lib/syncQueue';
+import { isLeader, askLeader, answerFollowers, notifyTabs } from '$lib/tabLeader';
+import { applyRetention as archiveExpired, fetchArchivedExpenses, getCutoffs, getSnapshots, getWindowDomain } from '$lib/retention';
 
 const CACHE_DURATION_MS = 5 * 60 * 1000;
 const SYNC_INTERVAL_MS = 3 * 60 * 1000;
 
+// Set once the cached records have been refetched in their raw, partner id keyed form
+const KEYED_BY_ID_META_KEY = 'recordsKeyedByPartnerId';
+
+// Odoo's write_date of the newest record seen, used as the delta sync high-water mark
+const EXPENSE_HWM_META_KEY = 'expenseWriteDateHWM';
+const PAYMENT_HWM_META_KEY = 'paymentWriteDateHWM';
+
+// Groups whose records the store holds; records of groups joined since predate the high-water mark
+const EXPENSE_GROUPS_META_KEY = 'expenseSyncedGroups';
+const PAYMENT_GROUPS_META_KEY = 'paymentSyncedGroups';
+
+// Largest page the API returns; syncs read records, and check stored ids, in pages of this size
+const SYNC_PAGE_SIZE = 500;
+
+const EXPENSE_FIELDS = [
+	'id',
+	'x_name',
+	'x_studio_value',
+	'x_studio_who_paid',
+	'x_studio_participants',
+	'x_studio_type',
+	'x_studio_date',
+	'x_studio_is_done',
+	'x_studio_expensegroup',
+	'x_studio_split_mode',
+	'x_studio_split_weights',
+	'x_studio_items',
+	'x_studio_currency',
+	'x_studio_exchange_rate',
+	'x_studio_recurring_key',
+	'write_date'
+];
+
+const PAYMENT_FIELDS = [
+	'id',
+	'x_name',
+	'x_studio_from',
+	'x_studio_to',
+	'x_studio_value',
+	'x_studio_date',
+	'x_studio_expensegroup',
+	'write_date'
+];
+
+/**
+ * Convert Odoo write values into the shape kept in IndexedDB.
+ * many2many commands ([[6, 0, ids]]) become plain id arrays; many2one ids are kept as-is.
+ * @param {Record<string, any>} fields
+ * @returns {Record<string, any>}
+ */
+export function toLocalFields(fields) {
+	const localFields = { ...fields };
+
+	// Extract participant IDs from many2many command format: [[6, 0, [id1, id2, ...]]]
+	if (Array.isArray(localFields.x_studio_participants) &&
+	    localFields.x_studio_participants.length > 0 &&
+	    Array.isArray(localFields.x_studio_participants[0]) &&
+	    localFields.x_studio_participants[0][0] === 6) {
+		localFields.x_studio_participants = localFields.x_studio_participants[0][2] || [];
+	}
+
+	return localFields;
+}
+
 /**
  * @typedef {Object} ExpenseRecord
  * @property {number|string} id
@@ -19,29 +93,124 @@ const SYNC_INTERVAL_MS = 3 * 60 * 1000;
  * @property {string} x_studio_date
  * @property {boolean} [x_studio_is_done]
  * @property {any} [x_studio_expensegroup]
- * @property {string} syncStatus - 'synced' | 'pending' | 'failed'
+ * @property {string} [x_studio_split_mode] - 'equal' | 'shares' | 'percent' | 'exact' | 'itemized'
+ * @property {any} [x_studio_split_weights] - JSON object of partner id -> weight
+ * @property {any} [x_studio_items] - JSON array of receipt lines for itemized expenses
+ * @property {string} [x_studio_currency] - ISO code of the currency the expense was paid in
+ * @property {number} [x_studio_exchange_rate] - Rate converting x_studio_value into the group base currency
+ * @property {string} [x_studio_recurring_key] - '<recurring id>:<date>' for generated occurrences
+ * @property {string} [write_date] - Server modification time of the copy this record is based on
+ * @property {string} syncStatus - 'synced' | 'pending' | 'failed' | 'conflict'
+ * @property {{queueId: number, local: Record<string, any>, remote: Record<string, any>}} [conflict] - Set while
+ *   an update was rejected because the server copy changed; local holds the queued Odoo values
  * @property {number} [localTimestamp] - For offline-created records
  */
 
+/**
+ * @typedef {Object} PaymentRecord
+ * @property {number|string} id
+ * @property {string} [x_name] - Optional note
+ * @property {any} x_studio_from - Partner who sent the money
+ * @property {any} x_studio_to - Partner who received the money
+ * @property {number} x_studio_value - Amount in the group base currency
+ * @property {string} x_studio_date
+ * @property {any} [x_studio_expensegroup]
+ * @property {string} syncStatus - 'synced' | 'pending' | 'failed'
+ */
+
+/**
+ * @typedef {Object} GroupArchive
+ * @property {Record<string, number>} balances - Opening balances from the archived settled expenses
+ * @property {number} count - Number of archived expenses
+ * @property {string} archivedThrough - Settled expenses dated before this day are archived
+ */
+
 /**
  * @typedef {Object} CacheState
  * @property {ExpenseRecord[]} expenses
+ * @property {PaymentRecord[]} payments
+ * @property {Record<string, string>} partnerNames - res.partner id -> display name, for rendering only
+ * @property {Record<string, string>} groupNames - x_expensegroup id -> display name, for rendering only
  * @property {boolean} loading
  * @property {boolean} syncing
  * @property {string} error
- * @property {Record<string, number>} balances
+ * @property {Record<string, Record<string, number>>} balances - Keyed by group base currency, then by res.partner id
+ * @property {Record<string, GroupArchive>} archives - Keyed by group id
  * @property {boolean} isOffline
  * @property {number} lastSync
  * @property {boolean} isStale
  */
 
+/**
+ * All-groups balances, one set per base currency: amounts of groups with different base
+ * currencies are never added together
+ * @param {ExpenseRecord[]} expenses
+ * @param {PaymentRecord[]} payments
+ * @param {Record<string, GroupArchive>} archives
+ * @param {any[]} groups - Group records, for their base currency
+ * @returns {Record<string, Record<string, number>>}
+ */
+export function calculateBalancesByCurrency(expenses, payments, archives, groups) {
+	/** @param {any} groupId */
+	const currencyOf = (groupId) => getGroupCurrency(groups.find(g => g.id === toRecordId(groupId)));
+	/** @type {Record<string, {expenses: ExpenseRecord[], payments: PaymentRecord[], opening: Record<string, number>}>} */
+	const byCurrency = {};
+	/** @param {string} currency */
+	const bucket = (currency) => (byCurrency[currency] ||= { expenses: [], payments: [], opening: {} });
+
+	for (const expense of expenses) bucket(currencyOf(expense.x_studio_expensegroup)).expenses.push(expense);
+	for (const payment of payments) bucket(currencyOf(payment.x_studio_expensegroup)).payments.push(payment);
+	for (const [groupId, archive] of Object.entries(archives)) {
+		const opening = bucket(currencyOf(Number(groupId))).opening;
+		for (const [partner, amount] of Object.entries(archive.balances)) {
+			opening[partner] = (opening[partner] || 0) + amount;
+		}
+	}
+
+	return Object.fromEntries(Object.entries(byCurrency).map(([currency, records]) =>
+		[currency, calculateBalances(records.expenses, records.payments, records.opening)]
+	));
+}
+
+/**
+ * @typedef {(domain: any[], fields: string[], options: import('$lib/odoo').PageOptions) => Promise<{records: any[], count: number}>} PageSearch
+ */
+
+/**
+ * Read every record matching a domain, one page at a time in id order.
+ * A record deleted between two pages shifts the later ones back by one, so one record may be
+ * missed until the next full sync.
+ * @param {PageSearch} searchPage
+ * @param {any[]} domain
+ * @param {string[]} fields
+ * @returns {Promise<any[]>}
+ */
+export async function searchAll(searchPage, domain, fields) {
+	/** @type {any[]} */
+	const records = [];
+	for (;;) {
+		const { records: page, count } = await searchPage(domain, fields, {
+			limit: SYNC_PAGE_SIZE,
+			offset: records.length,
+			order: 'id'
+		});
+		records.push(...page);
+		if (page.length < SYNC_PAGE_SIZE || records.length >= count) return records;
+	}
+}
+
 function createOfflineExpenseCacheStore() {
+	/** @type {CacheState} */
 	const initialState = {
 		expenses: [],
+		payments: [],
+		partnerNames: {},
+		groupNames: {},
 		loading: false,
 		syncing: false,
 		error: '',
 		balances: {},
+		archives: {},
 		isOffline: !navigator.onLine,
 		lastSync: 0,
 		isStale: true
@@ -53,48 +222,75 @@ function createOfflineExpenseCacheStore() {
 	let onlineListener = null;
 	let offlineListener = null;
 
-	// Helper to resolve partner and group names
-	async function resolvePartnerNames(expenses) {
+	/**
+	 * Read the id and fallback name of a many2one value ([id, name] tuple or bare id)
+	 * @param {any} value
+	 * @returns {{id: number|string, name: string|null}|null}
+	 */
+	function many2oneRef(value) {
+		if (Array.isArray(value) && value.length > 0) {
+			return { id: Number(value[0]), name: value[1] ? String(value[1]) : null };
+		}
+		if (typeof value === 'number') return { id: value, name: null };
+		// Group created offline; its name comes from the groups store
+		if (isLocalId(value)) return { id: value, name: null };
+		return null;
+	}
+
+	/**
+	 * Build id -> display name maps for the partners and groups referenced by records.
+	 * Records are never rewritten: names are only looked up at render time, so two partners
+	 * with the same name stay separate and renamed partners keep their history.
+	 * Missing partner names are fetched and cached in IndexedDB when online.
+	 * @param {any[]} records - Expenses and payments
+	 * @returns {Promise<{partnerNames: Record<string, string>, groupNames: Record<string, string>}>}
+	 */
+	async function loadNames(records) {
+		/** @type {Record<string, string>} */
+		const partnerNames = {};
+		/** @type {Record<string, string>} */
+		const groupNames = {};
+
 		try {
-			// Load all partners and groups from IndexedDB
-			const cachedPartners = await getAll(STORES.PARTNERS);
-			const cachedGroups = await getAll(STORES.GROUPS);
-			
-			const partnerMap = new Map(cachedPartners.map(p => [Number(p.id), p.display_name]));
-			const groupMap = new Map(cachedGroups.map(g => [Number(g.id), g.display_name]));
-			
+			/** @type {Set<number>} */
 			const partnerIds = new Set();
+			/** @type {Set<number|string>} */
 			const groupIds = new Set();
 
-			for (const expense of expenses) {
-				if (Array.isArray(expense.x_studio_who_paid) && expense.x_studio_who_paid.length > 0) {
-					partnerIds.add(Number(expense.x_studio_who_paid[0]));
-				} else if (typeof expense.x_studio_who_paid === 'number') {
-					partnerIds.add(expense.x_studio_who_paid);
+			// Names embedded in many2one tuples are the fallback when IndexedDB has none
+			for (const record of records) {
+				for (const field of ['x_studio_who_paid', 'x_studio_from', 'x_studio_to']) {
+					const ref = many2oneRef(record[field]);
+					if (!ref) continue;
+					partnerIds.add(Number(ref.id));
+					if (ref.name) partnerNames[ref.id] = ref.name;
 				}
 
-				if (Array.isArray(expense.x_studio_participants)) {
-					for (const p of expense.x_studio_participants) {
-						if (Array.isArray(p) && p.length > 0) {
-							partnerIds.add(Number(p[0]));
-						} else if (typeof p === 'number') {
-							partnerIds.add(p);
-						}
+				if (Array.isArray(record.x_studio_participants)) {
+					for (const p of record.x_studio_participants) {
+						const ref = many2oneRef(p);
+						if (!ref) continue;
+						partnerIds.add(Number(ref.id));
+						if (ref.name) partnerNames[ref.id] = ref.name;
 					}
 				}
-			}
 
-			// Extract group IDs from all expenses
-			for (const expense of expenses) {
-				if (Array.isArray(expense.x_studio_expensegroup) && expense.x_studio_expensegroup.length > 0) {
-					groupIds.add(Number(expense.x_studio_expensegroup[0]));
-				} else if (typeof expense.x_studio_expensegroup === 'number') {
-					groupIds.add(expense.x_studio_expensegroup);
+				const group = many2oneRef(record.x_studio_expensegroup);
+				if (group) {
+					groupIds.add(group.id);
+					if (group.name) groupNames[group.id] = group.name;
 				}
 			}
 
-			const missingIds = Array.from(partnerIds).filter(id => !partnerMap.has(id));
-			const missingGroupIds = Array.from(groupIds).filter(id => !groupMap.has(id));
+			// Current names from IndexedDB win over the names stored on records
+			const cachedPartners = await getAll(STORES.PARTNERS);
+			const cachedGroups = await getAll(STORES.GROUPS);
+			for (const partner of cachedPartners) partnerNames[partner.id] = partner.display_name;
+			for (const group of cachedGroups) groupNames[group.id] = group.display_name;
+
+			const knownPartnerIds = new Set(cachedPartners.map(p => Number(p.id)));
+			const missingIds = Array.from(partnerIds).filter(id => !knownPartnerIds.has(id));
+			const missingGroupIds = Array.from(groupIds).filter(id => typeof id === 'number' && !(id in groupNames));
 
 			// Fetch missing partner names
 			if (missingIds.length > 0 && navigator.onLine) {
@@ -106,10 +302,8 @@ function createOfflineExpenseCacheStore() {
 					);
 
 					// Store partners in IndexedDB
-					for (const partner of partners) {
-						partnerMap.set(Number(partner.id), partner.display_name);
-						await put(STORES.PARTNERS, partner);
-					}
+					await putMany(STORES.PARTNERS, partners);
+					for (const partner of partners) partnerNames[partner.id] = partner.display_name;
 				} catch (err) {
 					console.warn('Failed to fetch partner names (offline?):', err);
 				}
@@ -123,58 +317,19 @@ function createOfflineExpenseCacheStore() {
 						[['id', 'in', missingGroupIds]],
 						['id', 'display_name']
 					);
-
-					// Store groups in map (already in IndexedDB via groupCache)
-					for (const group of groups) {
-						groupMap.set(Number(group.id), group.display_name);
-					}
+					for (const group of groups) groupNames[group.id] = group.display_name;
 				} catch (err) {
 					console.warn('Failed to fetch group names (offline?):', err);
 				}
 			}
-
-			return expenses.map(expense => {
-				const copy = { ...expense };
-
-				// Resolve who_paid
-				if (Array.isArray(copy.x_studio_who_paid) && copy.x_studio_who_paid.length > 0) {
-					const id = Number(copy.x_studio_who_paid[0]);
-					copy.x_studio_who_paid = partnerMap.get(id) || copy.x_studio_who_paid[1] || String(id);
-				} else if (typeof copy.x_studio_who_paid === 'number') {
-					copy.x_studio_who_paid = partnerMap.get(copy.x_studio_who_paid) || String(copy.x_studio_who_paid);
-				}
-
-				// Resolve participants
-				if (Array.isArray(copy.x_studio_participants)) {
-					copy.x_studio_participants = copy.x_studio_participants.map(p => {
-						if (Array.isArray(p) && p.length > 0) {
-							const id = Number(p[0]);
-							return partnerMap.get(id) || p[1] || String(id);
-						} else if (typeof p === 'number') {
-							return partnerMap.get(p) || String(p);
-						}
-						return String(p);
-					});
-				}
-
-				// Resolve expense group
-				if (Array.isArray(copy.x_studio_expensegroup) && copy.x_studio_expensegroup.length > 0) {
-					const id = Number(copy.x_studio_expensegroup[0]);
-					copy.x_studio_expensegroup = groupMap.get(id) || copy.x_studio_expensegroup[1] || String(id);
-				} else if (typeof copy.x_studio_expensegroup === 'number') {
-					copy.x_studio_expensegroup = groupMap.get(copy.x_studio_expensegroup) || String(copy.x_studio_expensegroup);
-				}
-
-				return copy;
-			});
-
 		} catch (error) {
-			console.warn('Failed to resolve partner names:', error);
-			return expenses;
+			console.warn('Failed to load partner names:', error);
 		}
+
+		return { partnerNames, groupNames };
 	}
 
-	// Load expenses from IndexedDB
+	// Load expenses and payments from IndexedDB
 	async function loadFromDB() {
 		try {
 			const expenses = await getAll(STORES.EXPENSES);
@@ -188,28 +343,72 @@ function createOfflineExpenseCacheStore() {
 				const bId = typeof b.id === 'number' ? b.id : 0;
 				return aId - bId;
 			});
-			
-			// Always resolve partner names when loading from DB
-			const expensesWithNames = await resolvePartnerNames(sortedExpenses);
+
+			const payments = (await getAll(STORES.PAYMENTS)).sort((a, b) =>
+				String(a.x_studio_date).localeCompare(String(b.x_studio_date))
+			);
+
+			const names = await loadNames([...sortedExpenses, ...payments]);
+
+			/** @type {Record<string, GroupArchive>} */
+			const archives = {};
+			for (const snapshot of await getSnapshots()) {
+				if (snapshot.count === 0) continue;
+				archives[snapshot.groupId] = { balances: snapshot.balances, count: snapshot.count, archivedThrough: snapshot.archivedThrough };
+			}
 
 			return {
-				expenses: expensesWithNames,
+				expenses: sortedExpenses,
+				payments,
+				archives,
+				balances: calculateBalancesByCurrency(sortedExpenses, payments, archives, await getAll(STORES.GROUPS)),
+				...names,
 				lastSync: lastSyncTime,
 				isStale
 			};
 		} catch (error) {
 			console.error('Failed to load from IndexedDB:', error);
-			return { expenses: [], lastSync: 0, isStale: true };
+			return { expenses: [], payments: [], archives: {}, balances: {}, partnerNames: {}, groupNames: {}, lastSync: 0, isStale: true };
 		}
 	}
 
-	// Sync with server
+	/**
+	 * Reload records from IndexedDB into the store and recompute balances
+	 * @param {Partial<CacheState>} [extra] - Additional state to set in the same update
+	 */
+	async function refreshState(extra = {}) {
+		const cached = await loadFromDB();
+		update(state => ({
+			...state,
+			expenses: cached.expenses,
+			payments: cached.payments,
+			partnerNames: cached.partnerNames,
+			groupNames: cached.groupNames,
+			archives: cached.archives,
+			balances: cached.balances,
+			...extra
+		}));
+		return cached;
+	}
+
+	// Sync with server; tabs other than the leader let it fetch and reload from IndexedDB
 	async function sync(forceFullRefresh = false) {
 		if (!navigator.onLine) {
 			console.log('Offline - skipping server sync');
 			return;
 		}
 
+		if (!(await isLeader())) {
+			try {
+				await askLeader('sync-expenses', forceFullRefresh);
+				const cached = await refreshState();
+				update(state => ({ ...state, lastSync: cached.lastSync, isStale: cached.isStale }));
+				return;
+			} catch (error) {
+				console.warn('Leader tab did not sync expenses:', error);
+			}
+		}
+
 		update(state => ({ ...state, syncing: true, error: '' }));
 
 		try {
@@ -218,83 +417,51 @@ function createOfflineExpenseCacheStore() {
 			
 			// If items were processed, reload from DB to remove duplicates
 			if (syncResult.processed > 0) {
-				const cached = await loadFromDB();
-				const expensesWithNames = await resolvePartnerNames(cached.expenses);
-				const newBalances = calculateBalances(expensesWithNames);
-				
-				update(state => ({
-					...state,
-					expenses: expensesWithNames,
-					balances: newBalances
-				}));
+				await refreshState();
 			}
 
-			const fields = [
-				'id',
-				'x_name',
-				'x_studio_value',
-				'x_studio_who_paid',
-				'x_studio_participants',
-				'x_studio_type',
-				'x_studio_date',
-				'x_studio_is_done',
-				'x_studio_expensegroup'
-			];
-
-			const cached = await loadFromDB();
-			let domain = [];
-			let fetchedExpenses = [];
-
-			if (!forceFullRefresh && cached.expenses.length > 0) {
-				// Get max remote ID (excluding local IDs)
-				const remoteExpenses = cached.expenses.filter(e => typeof e.id === 'number');
-				if (remoteExpenses.length > 0) {
-					const maxId = Math.max(...remoteExpenses.map(e => e.id));
-					domain = [['id', '>', maxId]];
-				}
+			// Caches written before records were keyed by partner id may hold names instead of ids
+			if (!(await meta(KEYED_BY_ID_META_KEY))) {
+				forceFullRefresh = true;
 			}
 
-			if (forceFullRefresh || domain.length === 0) {
-				fetchedExpenses = await odooClient.searchExpenses([], fields);
-			} else {
-				fetchedExpenses = await odooClient.searchExpenses(domain, fields);
+			const groupIds = await getGroupIds();
+			await syncModel({
+				store: STORES.EXPENSES,
+				hwmKey: EXPENSE_HWM_META_KEY,
+				groupsKey: EXPENSE_GROUPS_META_KEY,
+				fields: EXPENSE_FIELDS,
+				searchPage: (domain, fields, options) => odooClient.searchExpensePage(domain, fields, options),
+				// Settled expenses older than their group's retention period stay on the server
+				domain: getWindowDomain(await getCutoffs(groupIds))
+			}, groupIds, forceFullRefresh);
+
+			try {
+				await syncModel({
+					store: STORES.PAYMENTS,
+					hwmKey: PAYMENT_HWM_META_KEY,
+					groupsKey: PAYMENT_GROUPS_META_KEY,
+					fields: PAYMENT_FIELDS,
+					searchPage: (domain, fields, options) => odooClient.searchPaymentPage(domain, fields, options)
+				}, groupIds, forceFullRefresh);
+			} catch (err) {
+				console.warn('Failed to sync payments:', err);
 			}
 
-			// Mark fetched expenses as synced
-			const syncedExpenses = fetchedExpenses.map(e => ({
-				...e,
-				syncStatus: 'synced'
-			}));
-
-			// Merge with existing data
-			let mergedExpenses;
-			if (forceFullRefresh) {
-				// Keep local-only records
-				const localExpenses = cached.expenses.filter(e => typeof e.id === 'string');
-				mergedExpenses = [...syncedExpenses, ...localExpenses];
-			} else {
-				const existingIds = new Set(cached.expenses.map(e => e.id));
-				const newExpenses = syncedExpenses.filter(e => !existingIds.has(e.id));
-				mergedExpenses = [...cached.expenses, ...newExpenses];
-			}
+			// Moves the expenses that aged out, including ones the delta just brought in, into the snapshots
+			await archiveExpired(groupIds, summarizeArchived, searchArchived);
 
-			// Save to IndexedDB
-			await putMany(STORES.EXPENSES, mergedExpenses);
 			await meta('lastExpenseSync', Date.now());
+			await meta(KEYED_BY_ID_META_KEY, true);
 
-			// Resolve names and update store
-			const expensesWithNames = await resolvePartnerNames(mergedExpenses);
-			const newBalances = calculateBalances(expensesWithNames);
-
-			update(state => ({
-				...state,
-				expenses: expensesWithNames,
-				balances: newBalances,
+			// Reload and update store
+			await refreshState({
 				syncing: false,
 				lastSync: Date.now(),
 				isStale: false,
 				error: ''
-			}));
+			});
+			notifyTabs();
 
 		} catch (error) {
 			console.error('Sync failed:', error);
@@ -306,6 +473,71 @@ function createOfflineExpenseCacheStore() {
 		}
 	}
 
+	/**
+	 * Delta sync one model into its IndexedDB store.
+	 * Fetches the records written since the stored write_date high-water mark and updates them
+	 * in place. The ids the store holds are then checked on the server, so records that were
+	 * deleted, or left the user's groups, are removed; the rest of the server is never listed.
+	 * Groups the store was not filled for yet, e.g. one the user just joined, are fetched in
+	 * full, since their older records predate the mark. Records with local changes still waiting
+	 * in the sync queue are left untouched.
+	 * Every query is read in pages (searchAll), so a large result never comes in one response.
+	 * @param {{store: string, hwmKey: string, groupsKey: string, fields: string[], searchPage: PageSearch, domain?: any[]}} model
+	 *   domain limits the records a full fetch brings onto this device
+	 * @param {number[]} groupIds - The user's groups
+	 * @param {boolean} fullRefresh - Ignore the high-water mark and fetch everything
+	 */
+	async function syncModel({ store, hwmKey, groupsKey, fields, searchPage, domain = [] }, groupIds, fullRefresh) {
+		const highWaterMark = fullRefresh ? null : await meta(hwmKey);
+		/** @param {any[]} searchDomain @param {string[]} fieldNames */
+		const search = (searchDomain, fieldNames) => searchAll(searchPage, searchDomain, fieldNames);
+
+		// '>=' because write_date only has second precision; re-applying a record is harmless.
+		// The delta is not limited to the domain: a record leaving it must reach the store too.
+		const changed = await search(highWaterMark ? [['write_date', '>=', highWaterMark]] : domain, fields);
+
+		if (highWaterMark) {
+			/** @type {number[]} */
+			const syncedGroups = (await meta(groupsKey)) || [];
+			const joined = groupIds.filter(id => !syncedGroups.includes(id));
+			if (joined.length > 0) changed.push(...await search([['x_studio_expensegroup', 'in', joined], ...domain], fields));
+		}
+
+		const existing = await getAll(store);
+		/** @type {number[]} */
+		const storedIds = existing.map(r => r.id).filter(id => typeof id === 'number');
+		const remoteIds = new Set(changed.map(r => r.id));
+		for (let start = 0; start < storedIds.length; start += SYNC_PAGE_SIZE) {
+			const found = await search([['id', 'in', storedIds.slice(start, start + SYNC_PAGE_SIZE)]], ['id']);
+			for (const record of found) remoteIds.add(record.id);
+		}
+
+		// Pending, conflicting and failed records all hold local changes the server does not have
+		const pendingIds = new Set(existing.filter(r => r.syncStatus && r.syncStatus !== 'synced').map(r => r.id));
+
+		// Records keep bare many2one ids so they can be indexed; the tuples' names go to the partners store
+		const fresh = changed.filter(r => !pendingIds.has(r.id));
+		await putMany(STORES.PARTNERS, fresh.flatMap(getTuplePartners));
+		await putMany(
+			store,
+			fresh.map(r => ({ ...normalizeMany2oneFields(r), syncStatus: 'synced' }))
+		);
+
+		for (const record of existing) {
+			if (typeof record.id === 'number' && !remoteIds.has(record.id) && !pendingIds.has(record.id)) {
+				await remove(store, record.id);
+			}
+		}
+
+		// Take the mark from server timestamps so device clock skew cannot skip records
+		const newest = changed.reduce(
+			(max, r) => (r.write_date && r.write_date > max ? r.write_date : max),
+			highWaterMark || ''
+		);
+		if (newest) await meta(hwmKey, newest);
+		await meta(groupsKey, groupIds);
+	}
+
 	// Initialize
 	async function initialize() {
 		update(state => ({ ...state, loading: true }));
@@ -314,13 +546,14 @@ function createOfflineExpenseCacheStore() {
 			const cached = await loadFromDB();
 
 			if (cached.expenses.length > 0) {
-				const expensesWithNames = await resolvePartnerNames(cached.expenses);
-				const balances = calculateBalances(expensesWithNames);
-
 				update(state => ({
 					...state,
-					expenses: expensesWithNames,
-					balances,
+					expenses: cached.expenses,
+					payments: cached.payments,
+					partnerNames: cached.partnerNames,
+					groupNames: cached.groupNames,
+					archives: cached.archives,
+					balances: cached.balances,
 					loading: false,
 					lastSync: cached.lastSync,
 					isStale: cached.isStale
@@ -338,16 +571,16 @@ function createOfflineExpenseCacheStore() {
 				update(state => ({ ...state, loading: false }));
 			}
 
-			// Set up periodic sync
+			// Set up periodic sync; only the leader tab polls, the others hear about its changes
 			if (syncInterval) clearInterval(syncInterval);
-			syncInterval = setInterval(() => {
-				if (navigator.onLine) sync();
+			syncInterval = setInterval(async () => {
+				if (navigator.onLine && (await isLeader())) sync();
 			}, SYNC_INTERVAL_MS);
 
 			// Set up online/offline listeners
-			onlineListener = () => {
+			onlineListener = async () => {
 				update(state => ({ ...state, isOffline: false }));
-				sync(); // Auto-sync when coming online
+				if (await isLeader()) sync(); // Auto-sync when coming online
 			};
 
 			offlineListener = () => {
@@ -371,46 +604,21 @@ function createOfflineExpenseCacheStore() {
 	async function createExpense(fields) {
 		const localId = `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-		// Convert Odoo many2many format to simple array of IDs for local storage
-		const localFields = { ...fields };
-		
-		// Extract participant IDs from many2many command format: [[6, 0, [id1, id2, ...]]]
-		if (Array.isArray(localFields.x_studio_participants) && 
-		    localFields.x_studio_participants.length > 0 &&
-		    Array.isArray(localFields.x_studio_participants[0]) &&
-		    localFields.x_studio_participants[0][0] === 6) {
-			// Extract the actual IDs from [[6, 0, [ids]]]
-			localFields.x_studio_participants = localFields.x_studio_participants[0][2] || [];
-		}
-		
-		// Create expense with resolved names for immediate display
+		// Store partner ids as-is; names are resolved at render time
 		const newExpense = {
 			id: localId,
-			...localFields,
+			...toLocalFields(fields),
 			syncStatus: 'pending',
 			localTimestamp: Date.now()
 		};
-		
-		// Resolve partner names immediately so they display correctly
-		const resolvedExpenses = await resolvePartnerNames([newExpense]);
-		const expenseWithNames = resolvedExpenses[0];
 
-		// Save to IndexedDB with resolved names
-		await put(STORES.EXPENSES, expenseWithNames);
+		await put(STORES.EXPENSES, newExpense);
 
 		// Add to sync queue
 		await queueOperation('create', 'expense', fields, localId);
 
 		// Update store
-		const cached = await loadFromDB();
-		const expensesWithNames = await resolvePartnerNames(cached.expenses);
-		const balances = calculateBalances(expensesWithNames);
-
-		update(state => ({
-			...state,
-			expenses: expensesWithNames,
-			balances
-		}));
+		await refreshState();
 
 		// Try to sync if online
 		if (navigator.onLine) {
@@ -429,29 +637,34 @@ function createOfflineExpenseCacheStore() {
 			throw new Error('Expense not found');
 		}
 
+		// An unresolved conflict keeps collecting edits until the user picks a side
+		const inConflict = expense.conflict && (await mergeIntoConflict(expense.conflict.queueId, values));
+
+		/** @type {Record<string, any>} */
 		const updatedExpense = {
 			...expense,
-			...values,
+			...toLocalFields(values),
 			syncStatus: 'pending'
 		};
+		if (inConflict) {
+			updatedExpense.syncStatus = 'conflict';
+			updatedExpense.conflict = { ...expense.conflict, local: { ...expense.conflict.local, ...values } };
+		}
 
 		await put(STORES.EXPENSES, updatedExpense);
 
-		// Queue for sync if it has a remote ID
-		if (typeof id === 'number') {
-			await queueOperation('update', 'expense', values, null, id);
+		if (inConflict) {
+			// Sent together with the resolution
+		} else if (typeof id === 'number') {
+			// The server rejects the write if the record changed since this copy was fetched
+			await queueOperation('update', 'expense', values, null, id, expense.write_date || null);
+		} else {
+			// Merged into the queued create, or sent once the create went through
+			await queueOperation('update', 'expense', values, id);
 		}
 
 		// Update store
-		const cached = await loadFromDB();
-		const expensesWithNames = await resolvePartnerNames(cached.expenses);
-		const balances = calculateBalances(expensesWithNames);
-
-		update(state => ({
-			...state,
-			expenses: expensesWithNames,
-			balances
-		}));
+		await refreshState();
 
 		// Try to sync if online
 		if (navigator.onLine) {
@@ -461,23 +674,64 @@ function createOfflineExpenseCacheStore() {
 
 	// Delete an expense (offline-first)
 	async function deleteExpense(id) {
+		const expense = await getById(STORES.EXPENSES, id);
 		await remove(STORES.EXPENSES, id);
 
-		// Queue for sync if it has a remote ID
+		if (expense?.conflict) {
+			await removeQueueItem(expense.conflict.queueId);
+		}
+
 		if (typeof id === 'number') {
 			await queueOperation('delete', 'expense', {}, null, id);
+		} else {
+			// Cancels the queued create if it has not been sent yet
+			await queueOperation('delete', 'expense', {}, id);
 		}
 
 		// Update store
-		const cached = await loadFromDB();
-		const expensesWithNames = await resolvePartnerNames(cached.expenses);
-		const balances = calculateBalances(expensesWithNames);
+		await refreshState();
 
-		update(state => ({
-			...state,
-			expenses: expensesWithNames,
-			balances
-		}));
+		// Try to sync if online
+		if (navigator.onLine) {
+			processSyncQueue();
+		}
+	}
+
+	// Record a settle-up payment (offline-first)
+	async function createPayment(fields) {
+		const localId = `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+		await put(STORES.PAYMENTS, {
+			id: localId,
+			...fields,
+			syncStatus: 'pending',
+			localTimestamp: Date.now()
+		});
+
+		await queueOperation('create', 'payment', fields, localId);
+
+		await refreshState();
+
+		// Try to sync if online
+		if (navigator.onLine) {
+			processSyncQueue().then(() => sync());
+		}
+
+		return localId;
+	}
+
+	// Delete a settle-up payment (offline-first)
+	async function deletePayment(id) {
+		await remove(STORES.PAYMENTS, id);
+
+		if (typeof id === 'number') {
+			await queueOperation('delete', 'payment', {}, null, id);
+		} else {
+			// Cancels the queued create if it has not been sent yet
+			await queueOperation('delete', 'payment', {}, id);
+		}
+
+		await refreshState();
 
 		// Try to sync if online
 		if (navigator.onLine) {
@@ -485,21 +739,174 @@ function createOfflineExpenseCacheStore() {
 		}
 	}
 
+	/**
+	 * Resolve an update the server rejected because the record changed remotely.
+	 * Fields chosen as 'theirs' take the server value; all other queued fields are sent again,
+	 * this time based on the server copy that caused the conflict.
+	 * @param {number} id
+	 * @param {Record<string, 'mine'|'theirs'>} choices - Per field; missing fields keep mine
+	 */
+	async function resolveConflict(id, choices) {
+		const expense = await getById(STORES.EXPENSES, id);
+		if (!expense?.conflict) {
+			throw new Error('This expense has no conflict to resolve');
+		}
+
+		const { queueId, local, remote } = expense.conflict;
+		/** @type {Record<string, any>} */
+		const mine = {};
+		for (const [field, value] of Object.entries(local)) {
+			if (choices[field] !== 'theirs') mine[field] = value;
+		}
+		const keepsMine = Object.keys(mine).length > 0;
+
+		await removeQueueItem(queueId);
+
+		const { conflict, ...record } = expense;
+		/** @type {Record<string, any>} */
+		let resolved = { ...record, ...normalizeMany2oneFields(remote), ...toLocalFields(mine), syncStatus: keepsMine ? 'pending' : 'synced' };
+
+		// The record was skipped by delta sync while in conflict; refetch it when nothing is pushed
+		if (!keepsMine && navigator.onLine) {
+			try {
+				const [fresh] = await odooClient.searchExpenses([['id', '=', id]], EXPENSE_FIELDS);
+				if (fresh) resolved = { ...normalizeMany2oneFields(fresh), syncStatus: 'synced' };
+			} catch (err) {
+				console.warn('Failed to refetch resolved expense:', err);
+			}
+		}
+
+		await put(STORES.EXPENSES, resolved);
+
+		if (keepsMine) {
+			await queueOperation('update', 'expense', mine, null, id, remote?.write_date || null);
+		}
+
+		await refreshState();
+
+		if (navigator.onLine) {
+			processSyncQueue().then(() => sync());
+		}
+	}
+
+	/**
+	 * Settle or unsettle several expenses at once (offline-first).
+	 * Expenses already on the server are written by a single queue item, so they change together
+	 * or not at all; expenses created offline get the flag merged into their queued create.
+	 * Like single updates, the batch carries the write_date each expense was settled on, so the
+	 * server refuses it instead of overwriting someone else's edit.
+	 * @param {Array<number|string>} ids
+	 * @param {boolean} done
+	 */
+	async function setExpensesDone(ids, done) {
+		const values = { x_studio_is_done: done };
+		/** @type {number[]} */
+		const remoteIds = [];
+		/** @type {Record<number, string>} */
+		const baseWriteDates = {};
+
+		for (const id of ids) {
+			const expense = await getById(STORES.EXPENSES, id);
+			if (!expense) continue;
+
+			// An unresolved conflict keeps collecting edits until the user picks a side
+			if (expense.conflict && (await mergeIntoConflict(expense.conflict.queueId, values))) {
+				await put(STORES.EXPENSES, {
+					...expense,
+					...values,
+					conflict: { ...expense.conflict, local: { ...expense.conflict.local, ...values } }
+				});
+				continue;
+			}
+
+			await put(STORES.EXPENSES, { ...expense, ...values, syncStatus: 'pending' });
+
+			if (typeof id === 'number') {
+				remoteIds.push(id);
+				if (expense.write_date) baseWriteDates[id] = expense.write_date;
+			} else {
+				await queueOperation('update', 'expense', values, id);
+			}
+		}
+
+		if (remoteIds.length > 0) {
+			await queueOperation('batch_update', 'expense', { ids: remoteIds, values, baseWriteDates });
+		}
+
+		await refreshState();
+
+		if (navigator.onLine) {
+			processSyncQueue().then(() => sync());
+		}
+	}
+
+	/**
+	 * Read the expenses and payments of one group straight from IndexedDB, through the group index
+	 * @param {number|string} groupId
+	 * @returns {Promise<{expenses: ExpenseRecord[], payments: PaymentRecord[]}>}
+	 */
+	async function getGroupRecords(groupId) {
+		const expenses = await getByIndex(STORES.EXPENSES, 'x_studio_expensegroup', groupId);
+		const payments = await getByIndex(STORES.PAYMENTS, 'x_studio_expensegroup', groupId);
+		return { expenses, payments };
+	}
+
+	/**
+	 * Ids of the user's groups, asked from the server: the groups store may not be filled yet
+	 * @returns {Promise<number[]>}
+	 */
+	async function getGroupIds() {
+		return (await odooClient.fetchExpenseGroups([], ['id'])).map(group => group.id);
+	}
+
+	/**
+	 * @param {any[]} domain
+	 */
+	function searchArchived(domain) {
+		return searchAll((searchDomain, fields, options) => odooClient.searchExpensePage(searchDomain, fields, options), domain, EXPENSE_FIELDS);
+	}
+
+	/** @type {import('$lib/retention').ExpenseSummary} */
+	function summarizeArchived(groupId, before, exclude) {
+		return odooClient.summarizeSettledExpenses(groupId, before, exclude);
+	}
+
+	/**
+	 * Archive settled expenses that are older than their group's retention period, and fetch back
+	 * the ones a longer period keeps again. The server adds the archived ones up, so while
+	 * offline this waits for the next sync.
+	 * @returns {Promise<number>} Number of expenses archived
+	 */
+	async function applyRetention() {
+		if (!navigator.onLine) return 0;
+		const archived = await archiveExpired(await getGroupIds(), summarizeArchived, searchArchived);
+		await refreshState();
+		notifyTabs();
+		return archived;
+	}
+
+	/**
+	 * Fetch a page of a group's archived expenses from the server, for display only
+	 * @param {number} groupId
+	 * @param {number} [offset] - Archived expenses already shown
+	 * @returns {Promise<{expenses: ExpenseRecord[], total: number}>}
+	 */
+	async function fetchArchived(groupId, offset = 0) {
+		return fetchArchivedExpenses(
+			groupId,
+			(domain, options) => odooClient.searchExpensePage(domain, EXPENSE_FIELDS, options),
+			offset
+		);
+	}
+
 	// Bulk update expenses (for optimistic updates)
 	async function updateExpenses(updatedExpenses) {
 		try {
 			// Store all updated expenses in IndexedDB
 			await putMany(STORES.EXPENSES, updatedExpenses);
 			
-			// Resolve partner names and update store
-			const expensesWithNames = await resolvePartnerNames(updatedExpenses);
-			const balances = calculateBalances(expensesWithNames);
-			
-			update(state => ({
-				...state,
-				expenses: expensesWithNames,
-				balances
-			}));
+			// Reload and update store
+			await refreshState();
 		} catch (error) {
 			console.error('Failed to update expenses:', error);
 		}
@@ -510,6 +917,8 @@ function createOfflineExpenseCacheStore() {
 		await sync(true);
 	}
 
+	answerFollowers('sync-expenses', (forceFullRefresh) => sync(forceFullRefresh));
+
 	// Clean up
 	function destroy() {
 		if (syncInterval) {
@@ -531,8 +940,16 @@ function createOfflineExpenseCacheStore() {
 		createExpense,
 		updateExpense,
 		updateExpenses,
+		setExpensesDone,
+		getGroupRecords,
+		applyRetention,
+		fetchArchived,
 		deleteExpense,
+		resolveConflict,
+		createPayment,
+		deletePayment,
 		forceRefresh,
+		reload: refreshState,
 		destroy
 	};
 }
@@ -557,6 +974,8 @@ export const cacheStatus = derived(
 		lastSync: $cache.lastSync,
 		recordCount: $cache.expenses.length,
 		pendingSyncCount: $queue.pendingCount,
-		failedSyncCount: $queue.failedCount
+		failedSyncCount: $queue.failedCount,
+		deadSyncCount: $queue.deadCount,
+		conflictCount: $queue.conflictCount
 	})
 );
\ No newline at end of file
@@ -0,0 +1,93 @@
+import 'fake-indexeddb/auto';
+import { describe, expect, it, vi } from 'vitest';
+import { calculateBalancesByCurrency, searchAll } from './offlineExpenseCache.js';
+
+// The store reads the connection state when it is created
+vi.hoisted(() => vi.stubGlobal('navigator', { onLine: false }));
+vi.mock('../backgroundSync.js', () => ({ requestBackgroundSync: vi.fn() }));
+vi.mock('./defaultGroup.js', () => ({
+	defaultGroup: { get: () => null, setDefault: vi.fn() }
+}));
+
+/**
+ * A paged search over `total` records, like the search actions of /api/odoo
+ * @param {number} total
+ */
+function pagedSearch(total) {
+	const records = Array.from({ length: total }, (_, index) => ({ id: index + 1 }));
+	return vi.fn(async (/** @type {any[]} */ _domain, /** @type {string[]} */ _fields, /** @type {any} */ { limit, offset }) => ({
+		records: records.slice(offset, offset + limit),
+		count: records.length
+	}));
+}
+
+describe('searchAll', () => {
+	it('reads every record in pages of 500 in id order', async () => {
+		const searchPage = pagedSearch(1234);
+
+		const records = await searchAll(searchPage, [['x_studio_is_done', '=', false]], ['id']);
+
+		expect(records).toHaveLength(1234);
+		expect(records.at(-1)).toEqual({ id: 1234 });
+		expect(searchPage.mock.calls.map(([, , options]) => options)).toEqual([
+			{ limit: 500, offset: 0, order: 'id' },
+			{ limit: 500, offset: 500, order: 'id' },
+			{ limit: 500, offset: 1000, order: 'id' }
+		]);
+		expect(searchPage).toHaveBeenCalledWith([['x_studio_is_done', '=', false]], ['id'], expect.anything());
+	});
+
+	it('stops after the last full page without asking for an empty one', async () => {
+		const searchPage = pagedSearch(1000);
+
+		expect(await searchAll(searchPage, [], ['id'])).toHaveLength(1000);
+		expect(searchPage).toHaveBeenCalledTimes(2);
+	});
+
+	it('makes one request when nothing matches', async () => {
+		const searchPage = pagedSearch(0);
+
+		expect(await searchAll(searchPage, [], ['id'])).toEqual([]);
+		expect(searchPage).toHaveBeenCalledTimes(1);
+	});
+
+	it('stops when records were deleted while paging', async () => {
+		let total = 1200;
+		const searchPage = vi.fn(async (/** @type {any[]} */ _domain, /** @type {string[]} */ _fields, /** @type {any} */ { limit, offset }) => {
+			const records = Array.from({ length: total }, (_, index) => ({ id: index + 1 }));
+			total -= 300;
+			return { records: records.slice(offset, offset + limit), count: records.length };
+		});
+
+		const records = await searchAll(searchPage, [], ['id']);
+
+		expect(records).toHaveLength(900);
+		expect(searchPage).toHaveBeenCalledTimes(2);
+	});
+});
+
+describe('calculateBalancesByCurrency', () => {
+	it('never adds up groups with different base currencies', () => {
+		const groups = [{ id: 1, x_studio_base_currency: 'EUR' }, { id: 2, x_studio_base_currency: 'SAR' }, { id: 3 }];
+		/** @param {number} group */
+		const expense = (group) => ({
+			id: group,
+			x_name: 'Rent',
+			x_studio_type: 'expense',
+			x_studio_value: 10,
+			x_studio_who_paid: 2,
+			x_studio_participants: [3],
+			x_studio_expensegroup: group,
+			x_studio_is_done: false,
+			x_studio_date: '2024-01-01',
+			syncStatus: 'synced'
+		});
+
+		const balances = calculateBalancesByCurrency([expense(1), expense(2), expense(3)], [], {
+			1: { balances: { 2: 1, 3: -1 }, count: 1, archivedThrough: '2024-01-01' }
+		}, groups);
+
+		// Groups without a base currency are reported in the default one
+		expect(balances).toEqual({ EUR: { 2: 11, 3: -11 }, SAR: { 2: 20, 3: -20 } });
+	});
+});
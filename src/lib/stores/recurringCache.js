@@ -0,0 +1,417 @@
+// @ts-check
+import { writable } from 'svelte/store';
+import { odooClient } from '$lib/odoo';
+import { STORES, getAll, getById, put, putMany, remove, meta } from '$lib/db';
+import { queueOperation, processSyncQueue } from '$lib/syncQueue';
+import { isLeader, askLeader, answerFollowers, notifyTabs } from '$lib/tabLeader';
+import { normalizeParticipants, normalizePerson, toRecordId } from '$lib/expenseUtils';
+import { getGroupCurrency, getRate } from '$lib/currency';
+import { addDays, getOccurrences, getOccurrenceKey, getSkippedDates, today } from '$lib/recurrence';
+import { offlineExpenseCache } from '$lib/stores/offlineExpenseCache';
+
+const CACHE_DURATION_MS = 10 * 60 * 1000; // 10 minutes
+
+export const RECURRING_FIELDS = [
+	'id',
+	'x_name',
+	'x_studio_value',
+	'x_studio_who_paid',
+	'x_studio_participants',
+	'x_studio_expensegroup',
+	'x_studio_currency',
+	'x_studio_exchange_rate',
+	'x_studio_split_mode',
+	'x_studio_split_weights',
+	'x_studio_frequency',
+	'x_studio_interval',
+	'x_studio_start_date',
+	'x_studio_end_date',
+	'x_studio_paused',
+	'x_studio_skipped_dates',
+	'x_studio_last_generated'
+];
+
+/**
+ * @typedef {Object} RecurringDefinition
+ * @property {number|string} id
+ * @property {string} x_name
+ * @property {number} x_studio_value
+ * @property {any} x_studio_who_paid
+ * @property {any} x_studio_participants
+ * @property {any} x_studio_expensegroup
+ * @property {string} [x_studio_currency]
+ * @property {number} [x_studio_exchange_rate] - Fallback rate when no current rate is cached
+ * @property {string} [x_studio_split_mode]
+ * @property {any} [x_studio_split_weights]
+ * @property {string} x_studio_frequency - 'weekly' | 'monthly' | 'yearly'
+ * @property {number} [x_studio_interval]
+ * @property {string} x_studio_start_date
+ * @property {string|false} [x_studio_end_date]
+ * @property {boolean} [x_studio_paused]
+ * @property {string|false} [x_studio_skipped_dates] - JSON array of skipped occurrence dates
+ * @property {string|false} [x_studio_last_generated] - Date of the newest generated occurrence
+ * @property {string} syncStatus - 'synced' | 'pending' | 'failed'
+ */
+
+function createRecurringCacheStore() {
+	const initialState = {
+		/** @type {RecurringDefinition[]} */
+		definitions: [],
+		loading: false,
+		error: '',
+		lastSync: 0
+	};
+
+	const { subscribe, update } = writable(initialState);
+
+	let generating = false;
+	/** @type {(() => void) | null} */
+	let onlineListener = null;
+
+	// Load from IndexedDB
+	async function loadFromDB() {
+		try {
+			const definitions = await getAll(STORES.RECURRING);
+			const lastSyncTime = await meta('lastRecurringSync') || 0;
+
+			return {
+				definitions: definitions.sort((a, b) => String(a.x_name).localeCompare(String(b.x_name))),
+				lastSync: lastSyncTime
+			};
+		} catch (error) {
+			console.error('Failed to load recurring expenses from IndexedDB:', error);
+			return { definitions: [], lastSync: 0 };
+		}
+	}
+
+	async function refreshState() {
+		const cached = await loadFromDB();
+		update(state => ({ ...state, definitions: cached.definitions }));
+	}
+
+	// Sync with server
+	async function sync() {
+		if (!navigator.onLine) {
+			console.log('Offline - skipping recurring sync');
+			return;
+		}
+
+		if (!(await isLeader())) {
+			try {
+				await askLeader('sync-recurring');
+				await refreshState();
+				return;
+			} catch (error) {
+				console.warn('Leader tab did not sync recurring expenses:', error);
+			}
+		}
+
+		update(state => ({ ...state, loading: true, error: '' }));
+
+		try {
+			// Push local changes first so the server copy includes them
+			await processSyncQueue();
+
+			const fetched = await odooClient.searchRecurring([], RECURRING_FIELDS);
+
+			// Definitions with unsynced local changes keep their local copy; ones deleted remotely are dropped
+			const existing = await getAll(STORES.RECURRING);
+			const pendingIds = new Set(existing.filter(d => d.syncStatus !== 'synced').map(d => d.id));
+			const remoteIds = new Set(fetched.map(d => d.id));
+			for (const definition of existing) {
+				if (typeof definition.id === 'number' && !remoteIds.has(definition.id) && !pendingIds.has(definition.id)) {
+					await remove(STORES.RECURRING, definition.id);
+				}
+			}
+
+			await putMany(
+				STORES.RECURRING,
+				fetched.filter(d => !pendingIds.has(d.id)).map(d => ({ ...d, syncStatus: 'synced' }))
+			);
+			await meta('lastRecurringSync', Date.now());
+
+			const cached = await loadFromDB();
+			update(state => ({
+				...state,
+				definitions: cached.definitions,
+				loading: false,
+				lastSync: Date.now(),
+				error: ''
+			}));
+			notifyTabs();
+		} catch (error) {
+			console.error('Recurring sync failed:', error);
+			update(state => ({
+				...state,
+				loading: false,
+				error: error instanceof Error ? error.message : 'Failed to sync recurring expenses'
+			}));
+		}
+	}
+
+	/**
+	 * Build the expense payload for one occurrence of a definition
+	 * @param {RecurringDefinition} definition
+	 * @param {string} date
+	 * @returns {Promise<Record<string, any>>}
+	 */
+	async function buildOccurrence(definition, date) {
+		const groupId = toRecordId(definition.x_studio_expensegroup);
+		const group = groupId ? await getById(STORES.GROUPS, groupId) : null;
+		const baseCurrency = getGroupCurrency(group);
+		const currency = definition.x_studio_currency || baseCurrency;
+
+		// Prefer today's rate; the rate saved with the definition covers offline devices without rates
+		let rate = 1;
+		if (currency !== baseCurrency) {
+			rate = (await getRate(currency, baseCurrency)) || Number(definition.x_studio_exchange_rate) || 1;
+		}
+
+		/** @type {Record<string, any>} */
+		const payload = {
+			x_name: definition.x_name,
+			x_studio_value: Number(definition.x_studio_value) || 0,
+			x_studio_who_paid: odooClient.formatMany2one(normalizePerson(definition.x_studio_who_paid)),
+			x_studio_expensegroup: odooClient.formatMany2one(groupId),
+			x_studio_currency: currency,
+			x_studio_exchange_rate: rate,
+			x_studio_split_mode: definition.x_studio_split_mode || 'equal',
+			x_studio_date: date,
+			x_studio_recurring_key: getOccurrenceKey(definition.id, date)
+		};
+
+		const participants = odooClient.formatMany2many(normalizeParticipants(definition.x_studio_participants));
+		if (participants.length) payload.x_studio_participants = participants;
+		if (definition.x_studio_split_weights) payload.x_studio_split_weights = definition.x_studio_split_weights;
+
+		return payload;
+	}
+
+	/**
+	 * Create the expenses of every occurrence that has become due since the last run.
+	 * Works offline: occurrences are queued like hand-entered expenses. Each one carries
+	 * `x_studio_recurring_key`, which is checked locally and again by the server on create,
+	 * so devices that generate the same occurrence never produce duplicates.
+	 * Definitions that were created offline start generating once they have a server id.
+	 * @returns {Promise<number>} Number of expenses created
+	 */
+	async function generateDue() {
+		if (generating) return 0;
+		generating = true;
+
+		let created = 0;
+		try {
+			const definitions = await getAll(STORES.RECURRING);
+			const expenses = await getAll(STORES.EXPENSES);
+			const existingKeys = new Set(expenses.map(e => e.x_studio_recurring_key).filter(Boolean));
+			const until = today();
+
+			for (const definition of definitions) {
+				if (typeof definition.id !== 'number' || definition.x_studio_paused) continue;
+
+				const dates = getOccurrences(definition, definition.x_studio_last_generated, until);
+				if (dates.length === 0) continue;
+
+				for (const date of dates) {
+					const key = getOccurrenceKey(definition.id, date);
+					if (existingKeys.has(key)) continue;
+
+					await offlineExpenseCache.createExpense(await buildOccurrence(definition, date));
+					existingKeys.add(key);
+					created++;
+				}
+
+				await updateDefinition(definition.id, { x_studio_last_generated: dates[dates.length - 1] });
+			}
+
+			if (created > 0) console.log(`Generated ${created} recurring expense(s)`);
+		} catch (error) {
+			console.error('Failed to generate recurring expenses:', error);
+		} finally {
+			generating = false;
+		}
+
+		return created;
+	}
+
+	// Initialize: load cached definitions, refresh them when stale, then generate due occurrences
+	async function initialize() {
+		update(state => ({ ...state, loading: true }));
+
+		try {
+			const cached = await loadFromDB();
+			update(state => ({
+				...state,
+				definitions: cached.definitions,
+				loading: false,
+				lastSync: cached.lastSync
+			}));
+
+			if (navigator.onLine && Date.now() - cached.lastSync > CACHE_DURATION_MS) {
+				await sync();
+			}
+
+			await generateDue();
+
+			if (!onlineListener) {
+				onlineListener = async () => {
+					if (await isLeader()) sync().then(() => generateDue());
+				};
+				window.addEventListener('online', onlineListener);
+			}
+		} catch (error) {
+			console.error('Recurring initialization failed:', error);
+			update(state => ({
+				...state,
+				loading: false,
+				error: error instanceof Error ? error.message : 'Failed to initialize'
+			}));
+		}
+	}
+
+	/**
+	 * Create a recurring definition (offline-first)
+	 * @param {Record<string, any>} fields - Odoo formatted values
+	 * @returns {Promise<string>} Local id
+	 */
+	async function createDefinition(fields) {
+		const localId = `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+		/** @type {Record<string, any>} */
+		const localFields = { ...fields };
+		// Store participant ids instead of the [[6, 0, ids]] command
+		if (Array.isArray(localFields.x_studio_participants?.[0]) && localFields.x_studio_participants[0][0] === 6) {
+			localFields.x_studio_participants = localFields.x_studio_participants[0][2] || [];
+		}
+
+		await put(STORES.RECURRING, {
+			id: localId,
+			...localFields,
+			syncStatus: 'pending'
+		});
+
+		await queueOperation('create', 'recurring', fields, localId);
+		await refreshState();
+
+		if (navigator.onLine) {
+			sync().then(() => generateDue());
+		}
+
+		return localId;
+	}
+
+	/**
+	 * Update a recurring definition (offline-first)
+	 * @param {number|string} id
+	 * @param {Record<string, any>} values - Odoo formatted values
+	 */
+	async function updateDefinition(id, values) {
+		const definition = await getById(STORES.RECURRING, id);
+		if (!definition) {
+			throw new Error('Recurring expense not found');
+		}
+
+		/** @type {Record<string, any>} */
+		const localValues = { ...values };
+		if (Array.isArray(localValues.x_studio_participants?.[0]) && localValues.x_studio_participants[0][0] === 6) {
+			localValues.x_studio_participants = localValues.x_studio_participants[0][2] || [];
+		}
+
+		await put(STORES.RECURRING, { ...definition, ...localValues, syncStatus: 'pending' });
+
+		if (typeof id === 'number') {
+			await queueOperation('update', 'recurring', values, null, id);
+		} else {
+			// Merged into the queued create, or sent once the create went through
+			await queueOperation('update', 'recurring', values, id);
+		}
+
+		await refreshState();
+
+		if (navigator.onLine) {
+			processSyncQueue();
+		}
+	}
+
+	/**
+	 * Delete a recurring definition (offline-first). Expenses it already generated are kept.
+	 * @param {number|string} id
+	 */
+	async function deleteDefinition(id) {
+		await remove(STORES.RECURRING, id);
+
+		if (typeof id === 'number') {
+			await queueOperation('delete', 'recurring', {}, null, id);
+		} else {
+			// Cancels the queued create if it has not been sent yet
+			await queueOperation('delete', 'recurring', {}, id);
+		}
+
+		await refreshState();
+
+		if (navigator.onLine) {
+			processSyncQueue();
+		}
+	}
+
+	/**
+	 * Pause or resume a definition. Occurrences missed while paused are not generated on resume.
+	 * @param {number|string} id
+	 * @param {boolean} paused
+	 */
+	async function setPaused(id, paused) {
+		/** @type {Record<string, any>} */
+		const values = { x_studio_paused: paused };
+		if (!paused) {
+			// Resume from today: mark everything before it as handled
+			const definition = await getById(STORES.RECURRING, id);
+			const yesterday = addDays(today(), -1);
+			if (!definition?.x_studio_last_generated || definition.x_studio_last_generated < yesterday) {
+				values.x_studio_last_generated = yesterday;
+			}
+		}
+		await updateDefinition(id, values);
+		if (!paused) await generateDue();
+	}
+
+	/**
+	 * Skip a single occurrence
+	 * @param {number|string} id
+	 * @param {string} date
+	 */
+	async function skipOccurrence(id, date) {
+		const definition = await getById(STORES.RECURRING, id);
+		if (!definition) {
+			throw new Error('Recurring expense not found');
+		}
+
+		const skipped = Array.from(new Set([...getSkippedDates(definition), date])).sort();
+		await updateDefinition(id, { x_studio_skipped_dates: JSON.stringify(skipped) });
+	}
+
+	answerFollowers('sync-recurring', () => sync());
+
+	// Clean up
+	function destroy() {
+		if (onlineListener) {
+			window.removeEventListener('online', onlineListener);
+			onlineListener = null;
+		}
+	}
+
+	return {
+		subscribe,
+		initialize,
+		sync,
+		reload: refreshState,
+		generateDue,
+		createDefinition,
+		updateDefinition,
+		deleteDefinition,
+		setPaused,
+		skipOccurrence,
+		destroy
+	};
+}
+
+export const recurringCache = createRecurringCacheStore();
@@ -0,0 +1,83 @@
+// @ts-check
+import { writable } from 'svelte/store';
+import { odooClient } from '$lib/odoo';
+import { STORES, clear, meta } from '$lib/db';
+import { defaultGroup } from './defaultGroup';
+import { settlementRules } from './settlementRules';
+
+// uid of the user whose data is stored on this device
+const SESSION_UID_KEY = 'sessionUid';
+
+/**
+ * @typedef {Object} SessionState
+ * @property {'unknown'|'signed-in'|'signed-out'} status - 'unknown' until the server answered,
+ *   which is also the state offline: the app keeps working from IndexedDB meanwhile
+ * @property {import('$lib/odoo').SessionUser|null} user
+ */
+
+/**
+ * Remove everything stored for the previous user on this device
+ */
+async function clearLocalData() {
+	for (const storeName of Object.values(STORES)) {
+		await clear(storeName);
+	}
+	defaultGroup.clear();
+	settlementRules.clear();
+}
+
+function createSessionStore() {
+	/** @type {import('svelte/store').Writable<SessionState>} */
+	const { subscribe, set } = writable({ status: 'unknown', user: null });
+
+	// Any API call can find out that the session expired
+	odooClient.onUnauthenticated(() => set({ status: 'signed-out', user: null }));
+
+	return {
+		subscribe,
+
+		/**
+		 * Ask the server who is signed in. Leaves the state unknown when it cannot be reached.
+		 */
+		async check() {
+			try {
+				const user = await odooClient.getSession();
+				set(user ? { status: 'signed-in', user } : { status: 'signed-out', user: null });
+			} catch (error) {
+				console.warn('Could not check the session:', error);
+			}
+		},
+
+		/**
+		 * Sign in. Data another user left on this device is removed first.
+		 * @param {string} login
+		 * @param {string} password
+		 * @returns {Promise<{success: boolean, error?: string}>}
+		 */
+		async login(login, password) {
+			try {
+				const user = await odooClient.login(login, password);
+				const previousUid = await meta(SESSION_UID_KEY);
+				if (previousUid && previousUid !== user.uid) {
+					await clearLocalData();
+				}
+				await meta(SESSION_UID_KEY, user.uid);
+				set({ status: 'signed-in', user });
+				return { success: true };
+			} catch (error) {
+				return { success: false, error: error instanceof Error ? error.message : 'Failed to sign in' };
+			}
+		},
+
+		/**
+		 * Sign out and remove this user's data from the device, including unsynced changes
+		 */
+		async logout() {
+			await odooClient.logout();
+			await clearLocalData();
+			set({ status: 'signed-out', user: null });
+		}
+	};
+}
+
+export const session = createSessionStore();
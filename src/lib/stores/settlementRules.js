@@ -0,0 +1,86 @@
+// @ts-check
+import { writable } from 'svelte/store';
+
+const SETTLEMENT_RULES_KEY = 'settlement_rules';
+
+/**
+ * Pairs [from, to] of partner id keys that must never transfer directly, by group id
+ * @typedef {Record<string, Array<[string, string]>>} SettlementRules
+ */
+
+/**
+ * Load settlement rules from localStorage
+ * @returns {SettlementRules}
+ */
+function loadRules() {
+	try {
+		const stored = localStorage.getItem(SETTLEMENT_RULES_KEY);
+		return stored ? JSON.parse(stored) : {};
+	} catch (e) {
+		console.warn('Failed to load settlement rules:', e);
+		return {};
+	}
+}
+
+/**
+ * Save settlement rules to localStorage
+ * @param {SettlementRules} rules
+ */
+function saveRules(rules) {
+	try {
+		localStorage.setItem(SETTLEMENT_RULES_KEY, JSON.stringify(rules));
+	} catch (e) {
+		console.warn('Failed to save settlement rules:', e);
+	}
+}
+
+/**
+ * Create a store for the "X never pays Y directly" rules of each group
+ */
+function createSettlementRulesStore() {
+	const { subscribe, update } = writable(loadRules());
+
+	/**
+	 * @param {(rules: SettlementRules) => SettlementRules} edit
+	 */
+	function change(edit) {
+		update(rules => {
+			const next = edit(rules);
+			saveRules(next);
+			return next;
+		});
+	}
+
+	return {
+		subscribe,
+		/**
+		 * Forbid direct transfers from one partner to another in a group
+		 * @param {number|string} groupId
+		 * @param {string} from
+		 * @param {string} to
+		 */
+		forbid: (groupId, from, to) => change(rules => {
+			const pairs = rules[groupId] || [];
+			if (from === to || pairs.some(([f, t]) => f === from && t === to)) return rules;
+			/** @type {[string, string]} */
+			const pair = [from, to];
+			return { ...rules, [groupId]: [...pairs, pair] };
+		}),
+		/**
+		 * Allow direct transfers between the two partners again
+		 * @param {number|string} groupId
+		 * @param {string} from
+		 * @param {string} to
+		 */
+		allow: (groupId, from, to) => change(rules => ({
+			...rules,
+			[groupId]: (rules[groupId] || []).filter(([f, t]) => f !== from || t !== to)
+		})),
+		/**
+		 * Remove the rules of every group
+		 */
+		clear: () => change(() => ({}))
+	};
+}
+
+export const settlementRules = createSettlementRulesStore();
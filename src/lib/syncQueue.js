@@ -1,51 +1,104 @@
 // @ts-check
 import { writable } from 'svelte/store';
-import { STORES, getAll, put, remove, getByIndex } from './db.js';
-import { odooClient } from './odoo.js';
-// STORES is already imported above - includes EXPENSES
+import { STORES, getAll, getById, put, remove, getByIndex, updateIf } from './db.js';
+import { odooClient, OdooApiError } from './odoo.js';
+import { defaultGroup } from './stores/defaultGroup.js';
+import { requestBackgroundSync } from './backgroundSync.js';
+import { isLeader, askLeader, answerFollowers, notifyTabs } from './tabLeader.js';
+import {
+	MODEL_STORES,
+	isSameRecord,
+	isDue,
+	isPermanentFailure,
+	getItemRecordIds,
+	drainQueue as drainSharedQueue
+} from './syncQueueCore.js';
 
 /**
- * @typedef {Object} SyncQueueItem
- * @property {number} [id] - Queue item ID (auto-generated)
- * @property {string} operation - 'create' | 'update' | 'delete'
- * @property {string} model - 'expense' | 'group'
- * @property {any} data - The data to sync
- * @property {string} localId - Temporary local ID for new records
- * @property {number} [remoteId] - Remote ID if known
- * @property {number} timestamp - When the operation was queued
- * @property {string} status - 'pending' | 'syncing' | 'failed'
- * @property {string} [error] - Error message if failed
- * @property {number} retryCount - Number of retry attempts
+ * @typedef {import('./syncQueueCore.js').SyncQueueItem} SyncQueueItem
+ * @typedef {import('./syncQueueCore.js').SendResult} SendResult
  */
 
 /**
  * @typedef {Object} SyncStatus
  * @property {boolean} isSyncing
  * @property {number} pendingCount
- * @property {number} failedCount
- * @property {string} [lastError]
+ * @property {number} failedCount - Items waiting to be retried
+ * @property {number} conflictCount
+ * @property {number} deadCount - Items that gave up and need the user's attention
+ * @property {string|null} lastError
  */
 
 // Sync status store
+/** @type {SyncStatus} */
 const initialStatus = {
 	isSyncing: false,
 	pendingCount: 0,
 	failedCount: 0,
+	conflictCount: 0,
+	deadCount: 0,
 	lastError: null
 };
 
+/**
+ * Whether an error will happen again no matter how often the item is retried
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isPermanentError(error) {
+	return error instanceof OdooApiError && isPermanentFailure(error.status, error.code);
+}
+
 export const syncStatus = writable(initialStatus);
 
+// The queue rules of syncQueueCore.js read and write through db.js
+/** @type {import('./syncQueueCore.js').QueueStorage} */
+const queueStorage = { getAll, getById, put, remove, updateIf };
+
 /**
- * Add an operation to the sync queue
- * @param {string} operation - 'create' | 'update' | 'delete'
- * @param {string} model - 'expense' | 'group'
+ * Add an operation to the sync queue, coalescing it with operations on the same record
+ * that have not been sent yet:
+ * - create + update becomes one create with the merged data
+ * - update + update becomes one update (keeping the first base write_date)
+ * - create + ... + delete removes everything, since the record never reached the server
+ * - update + delete keeps only the delete
+ * Items that are being sent right now are left alone; the new operation queues behind them.
+ * Batch updates are never coalesced: they must reach the server as the single write they were queued as.
+ * @param {string} operation - 'create' | 'update' | 'delete' | 'batch_update'
+ * @param {string} model - 'expense' | 'group' | 'payment' | 'recurring'
  * @param {any} data
- * @param {string} [localId]
- * @param {number} [remoteId]
- * @returns {Promise<number>}
+ * @param {string|null} [localId] - For creates, and for updates/deletes of records not yet on the server
+ * @param {number|null} [remoteId]
+ * @param {string|null} [baseWriteDate] - For updates: write_date of the copy that was edited, so
+ *   the server can reject the write if someone else changed the record in the meantime
+ * @returns {Promise<number|null>} Id of the queue item holding the operation, null when it cancelled out
  */
-export async function queueOperation(operation, model, data, localId = null, remoteId = null) {
+export async function queueOperation(operation, model, data, localId = null, remoteId = null, baseWriteDate = null) {
+	if (operation === 'update' || operation === 'delete') {
+		const waiting = (await getAll(STORES.SYNC_QUEUE))
+			.filter(item => (item.status === 'pending' || item.status === 'failed') && isSameRecord(item, model, localId, remoteId))
+			.sort((a, b) => a.timestamp - b.timestamp);
+
+		if (operation === 'update') {
+			const target = waiting.find(item => item.operation === 'create') || waiting.find(item => item.operation === 'update');
+			if (target) {
+				await put(STORES.SYNC_QUEUE, { ...target, data: { ...target.data, ...data } });
+				await updateSyncStatus();
+				return target.id ?? null;
+			}
+		}
+
+		if (operation === 'delete' && waiting.length > 0) {
+			for (const item of waiting) {
+				await remove(STORES.SYNC_QUEUE, item.id);
+			}
+			if (waiting.some(item => item.operation === 'create')) {
+				await updateSyncStatus();
+				return null;
+			}
+		}
+	}
+
 	/** @type {SyncQueueItem} */
 	const item = {
 		operation,
@@ -53,6 +106,7 @@ export async function queueOperation(operation, model, data, localId = null, rem
 		data,
 		localId: localId || `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
 		remoteId,
+		baseWriteDate,
 		timestamp: Date.now(),
 		status: 'pending',
 		retryCount: 0
@@ -60,80 +114,155 @@ export async function queueOperation(operation, model, data, localId = null, rem
 
 	const id = await put(STORES.SYNC_QUEUE, item);
 	await updateSyncStatus();
+	// Lets the service worker send it even if the app is closed before it syncs
+	requestBackgroundSync();
+	notifyTabs();
 	return id;
 }
 
 /**
- * Get all pending sync queue items
+ * Get the sync queue items that are due
  * @returns {Promise<SyncQueueItem[]>}
  */
 export async function getPendingItems() {
-	const pending = await getByIndex(STORES.SYNC_QUEUE, 'status', 'pending');
+	const now = Date.now();
+	const items = await getAll(STORES.SYNC_QUEUE);
+	return items.filter(item => isDue(item, now)).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Get the items that did not sync: failed ones waiting for a retry and dead ones
+ * @returns {Promise<SyncQueueItem[]>}
+ */
+export async function getFailedItems() {
 	const failed = await getByIndex(STORES.SYNC_QUEUE, 'status', 'failed');
-	return [...pending, ...failed].sort((a, b) => a.timestamp - b.timestamp);
+	const dead = await getByIndex(STORES.SYNC_QUEUE, 'status', 'dead');
+	return [...dead, ...failed].sort((a, b) => a.timestamp - b.timestamp);
 }
 
 /**
- * Update sync status in the store
+ * Update sync status in the store, e.g. after the service worker changed the queue
  */
-async function updateSyncStatus() {
+export async function updateSyncStatus() {
 	const pending = await getByIndex(STORES.SYNC_QUEUE, 'status', 'pending');
 	const failed = await getByIndex(STORES.SYNC_QUEUE, 'status', 'failed');
+	const conflicts = await getByIndex(STORES.SYNC_QUEUE, 'status', 'conflict');
+	const dead = await getByIndex(STORES.SYNC_QUEUE, 'status', 'dead');
 
 	syncStatus.update(status => ({
 		...status,
 		pendingCount: pending.length,
-		failedCount: failed.length
+		failedCount: failed.length,
+		conflictCount: conflicts.length,
+		deadCount: dead.length
 	}));
 }
 
 /**
- * Process a single queue item
+ * Remove a single item from the queue, e.g. a conflict that has been resolved
+ * @param {number} id
+ */
+export async function removeQueueItem(id) {
+	await remove(STORES.SYNC_QUEUE, id);
+	await updateSyncStatus();
+	notifyTabs();
+}
+
+/**
+ * Merge further edits into the local side of an unresolved conflict
+ * @param {number} id - Queue item id of the conflict
+ * @param {Record<string, any>} values
+ */
+export async function mergeIntoConflict(id, values) {
+	const item = await getById(STORES.SYNC_QUEUE, id);
+	if (!item || item.status !== 'conflict') return false;
+
+	await put(STORES.SYNC_QUEUE, { ...item, data: { ...item.data, ...values } });
+	return true;
+}
+
+/**
+ * Send a single queue item through odooClient
  * @param {SyncQueueItem} item
- * @returns {Promise<{success: boolean, remoteId?: number, error?: string}>}
+ * @returns {Promise<SendResult>}
  */
 async function processQueueItem(item) {
 	try {
 		let remoteId = item.remoteId;
+		/** @type {string|null} */
+		let writeDate = null;
+		/** @type {Record<number, string>} */
+		let writeDates = {};
 
 		switch (item.operation) {
 			case 'create':
 				if (item.model === 'expense') {
 					remoteId = await odooClient.createExpense(item.data);
+				} else if (item.model === 'payment') {
+					remoteId = await odooClient.createPayment(item.data);
+				} else if (item.model === 'recurring') {
+					remoteId = await odooClient.createRecurring(item.data);
+				} else if (item.model === 'group') {
+					remoteId = await odooClient.createExpenseGroup(item.data);
 				}
-				// Add group creation here when implemented
 				break;
 
 			case 'update':
-				if (item.model === 'expense' && remoteId) {
+				if (item.baseWriteDate && remoteId) {
+					writeDate = await odooClient.updateIfUnchanged(item.model, remoteId, item.data, item.baseWriteDate);
+				} else if (item.model === 'expense' && remoteId) {
 					await odooClient.updateExpense(remoteId, item.data);
+				} else if (item.model === 'payment' && remoteId) {
+					await odooClient.updatePayment(remoteId, item.data);
+				} else if (item.model === 'recurring' && remoteId) {
+					await odooClient.updateRecurring(remoteId, item.data);
+				} else if (item.model === 'group' && remoteId) {
+					await odooClient.updateExpenseGroup(remoteId, item.data);
 				}
-				// Add group update here when implemented
 				break;
 
 			case 'delete':
 				if (item.model === 'expense' && remoteId) {
 					await odooClient.deleteExpense(remoteId);
+				} else if (item.model === 'payment' && remoteId) {
+					await odooClient.deletePayment(remoteId);
+				} else if (item.model === 'recurring' && remoteId) {
+					await odooClient.deleteRecurring(remoteId);
+				} else if (item.model === 'group' && remoteId) {
+					await odooClient.deleteExpenseGroup(remoteId);
 				}
-				// Add group delete here when implemented
+				break;
+
+			case 'batch_update':
+				if (item.model !== 'expense') {
+					throw new Error(`Batch updates are not supported for ${item.model}`);
+				}
+				writeDates = await odooClient.batchUpdateExpenses(item.data.ids, item.data.values, item.data.baseWriteDates);
 				break;
 
 			default:
 				throw new Error(`Unknown operation: ${item.operation}`);
 		}
 
-		return { success: true, remoteId };
+		return { success: true, remoteId, writeDate, writeDates };
 	} catch (error) {
+		if (error instanceof OdooApiError && error.code === 'conflict') {
+			return { success: false, conflict: true, remote: error.data?.remote, error: error.message };
+		}
+		if (error instanceof OdooApiError && error.status === 401) {
+			return { success: false, unauthenticated: true, error: error.message };
+		}
 		console.error('Failed to process queue item:', error);
-		return { 
-			success: false, 
-			error: error.message || 'Unknown error'
+		return {
+			success: false,
+			error: error instanceof Error ? error.message : 'Unknown error',
+			permanent: isPermanentError(error)
 		};
 	}
 }
 
 /**
- * Process the entire sync queue
+ * Process the entire sync queue. Only the leader tab sends items; other tabs hand the work to it.
  * @returns {Promise<{processed: number, failed: number}>}
  */
 export async function processSyncQueue() {
@@ -143,93 +272,112 @@ export async function processSyncQueue() {
 		return { processed: 0, failed: 0 };
 	}
 
-	syncStatus.update(s => ({ ...s, isSyncing: true, lastError: null }));
+	if (!(await isLeader())) {
+		try {
+			const result = await askLeader('process-queue');
+			await updateSyncStatus();
+			return result;
+		} catch (error) {
+			// Items are claimed atomically, so sending them from this tab is still safe
+			console.warn('Leader tab did not process the queue:', error);
+		}
+	}
 
-	const items = await getPendingItems();
-	let processed = 0;
-	let failed = 0;
+	return drainQueue();
+}
 
-	for (const item of items) {
-		// Update item status to syncing
-		await put(STORES.SYNC_QUEUE, { ...item, status: 'syncing' });
-
-		const result = await processQueueItem(item);
-
-		if (result.success) {
-			// Remove from queue on success
-			await remove(STORES.SYNC_QUEUE, item.id);
-			processed++;
-
-			// If this was a create operation, replace local record with server record
-			if (item.operation === 'create' && result.remoteId && item.localId) {
-				console.log(`Local ID ${item.localId} -> Remote ID ${result.remoteId}`);
-				
-				// Remove the local record
-				try {
-					await remove(STORES.EXPENSES, item.localId);
-				} catch (err) {
-					console.warn('Failed to remove local expense:', err);
-				}
-			}
-			
-			// If this was a delete operation, ensure local record is removed
-			if (item.operation === 'delete' && item.remoteId) {
-				try {
-					await remove(STORES.EXPENSES, item.remoteId);
-				} catch (err) {
-					console.warn('Failed to remove expense after delete:', err);
-				}
-			}
-		} else {
-			// Mark as failed and increment retry count
-			const updatedItem = {
-				...item,
-				status: 'failed',
-				error: result.error,
-				retryCount: item.retryCount + 1
-			};
-
-			// Remove from queue if retry limit exceeded (e.g., 5 retries)
-			if (updatedItem.retryCount >= 5) {
-				console.error('Max retries exceeded for queue item:', item);
-				await remove(STORES.SYNC_QUEUE, item.id);
-			} else {
-				await put(STORES.SYNC_QUEUE, updatedItem);
-			}
+/**
+ * Send every due item of the sync queue from this tab
+ * @returns {Promise<{processed: number, failed: number}>}
+ */
+async function drainQueue() {
+	syncStatus.update(s => ({ ...s, isSyncing: true, lastError: null }));
 
-			failed++;
-			syncStatus.update(s => ({ ...s, lastError: result.error }));
-		}
+	const { processed, failed, remapped, lastError } = await drainSharedQueue(queueStorage, processQueueItem);
+
+	// The default group preference lives in localStorage, which the shared rules cannot reach
+	for (const { model, localId, remoteId } of remapped) {
+		if (model === 'group' && defaultGroup.get() === localId) defaultGroup.setDefault(remoteId);
 	}
 
-	syncStatus.update(s => ({ ...s, isSyncing: false }));
+	syncStatus.update(s => ({ ...s, isSyncing: false, lastError }));
 	await updateSyncStatus();
+	if (processed > 0 || failed > 0) notifyTabs();
 
 	return { processed, failed };
 }
 
+answerFollowers('process-queue', () => processSyncQueue());
+
 /**
- * Clear all failed items from the queue
+ * Discard failed and dead items.
+ * A discarded create also drops the local record and the operations waiting for it, since the
+ * record never reached the server. Records of other discarded operations are marked synced so
+ * the next full refresh restores the server copy.
+ * @param {number[]|null} [ids] - Only these items; all failed and dead items when omitted
  */
-export async function clearFailedItems() {
-	const failed = await getByIndex(STORES.SYNC_QUEUE, 'status', 'failed');
-	for (const item of failed) {
+export async function clearFailedItems(ids = null) {
+	const items = (await getFailedItems()).filter(item => !ids || ids.includes(/** @type {number} */ (item.id)));
+	const queue = await getAll(STORES.SYNC_QUEUE);
+
+	for (const item of items) {
 		await remove(STORES.SYNC_QUEUE, item.id);
+
+		const storeName = MODEL_STORES[item.model] || STORES.EXPENSES;
+		if (item.operation === 'create') {
+			for (const other of queue) {
+				if (other.id !== item.id && isSameRecord(other, item.model, item.localId, null)) {
+					await remove(STORES.SYNC_QUEUE, other.id);
+				}
+			}
+			await remove(storeName, item.localId);
+		} else {
+			for (const id of getItemRecordIds(item)) {
+				if (typeof id !== 'number') continue;
+				const record = await getById(storeName, id);
+				if (record) await put(storeName, { ...record, syncStatus: 'synced' });
+			}
+		}
 	}
 	await updateSyncStatus();
+	notifyTabs();
 }
 
 /**
- * Retry all failed items
+ * Retry failed and dead items right away, with a fresh retry budget
+ * @param {number[]|null} [ids] - Only these items; all failed and dead items when omitted
  */
-export async function retryFailedItems() {
-	const failed = await getByIndex(STORES.SYNC_QUEUE, 'status', 'failed');
-	for (const item of failed) {
-		await put(STORES.SYNC_QUEUE, { ...item, status: 'pending', error: null });
+export async function retryFailedItems(ids = null) {
+	const items = (await getFailedItems()).filter(item => !ids || ids.includes(/** @type {number} */ (item.id)));
+	for (const item of items) {
+		await put(STORES.SYNC_QUEUE, { ...item, status: 'pending', error: null, retryCount: 0, nextRetryAt: null });
+
+		const storeName = MODEL_STORES[item.model] || STORES.EXPENSES;
+		for (const recordId of getItemRecordIds(item)) {
+			const record = await getById(storeName, recordId);
+			if (record?.syncStatus === 'failed') {
+				await put(storeName, { ...record, syncStatus: 'pending' });
+			}
+		}
 	}
 	await updateSyncStatus();
 	return processSyncQueue();
 }
 
+/**
+ * Replace the payload of a failed or dead item, e.g. to fix a value the server rejected, and retry it
+ * @param {number} id
+ * @param {Record<string, any>} data - Odoo formatted values
+ */
+export async function editFailedItem(id, data) {
+	const item = await getById(STORES.SYNC_QUEUE, id);
+	if (!item || (item.status !== 'failed' && item.status !== 'dead')) {
+		throw new Error('Queue item is no longer waiting for a retry');
+	}
+
+	await put(STORES.SYNC_QUEUE, { ...item, data });
+	return retryFailedItems([id]);
+}
+
 // Initialize sync status on module load
 updateSyncStatus();
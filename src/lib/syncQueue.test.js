@@ -0,0 +1,106 @@
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { STORES, clear, getAll, put } from './db.js';
+import { queueOperation } from './syncQueue.js';
+
+vi.mock('./backgroundSync.js', () => ({ requestBackgroundSync: vi.fn() }));
+vi.mock('./tabLeader.js', () => ({
+	isLeader: vi.fn(async () => true),
+	askLeader: vi.fn(),
+	answerFollowers: vi.fn(),
+	notifyTabs: vi.fn()
+}));
+vi.mock('./stores/defaultGroup.js', () => ({
+	defaultGroup: { get: () => null, setDefault: vi.fn() }
+}));
+
+async function getQueue() {
+	return (await getAll(STORES.SYNC_QUEUE)).sort((a, b) => a.id - b.id);
+}
+
+beforeEach(async () => {
+	await clear(STORES.SYNC_QUEUE);
+});
+
+describe('queueOperation coalescing', () => {
+	it('merges an update into the pending create of a record made offline', async () => {
+		await queueOperation('create', 'expense', { x_name: 'Milk', x_studio_value: 3 }, 'local_1');
+		await queueOperation('update', 'expense', { x_studio_value: 4 }, 'local_1');
+
+		const queue = await getQueue();
+		expect(queue).toHaveLength(1);
+		expect(queue[0]).toMatchObject({ operation: 'create', localId: 'local_1', data: { x_name: 'Milk', x_studio_value: 4 } });
+	});
+
+	it('merges updates of the same record and keeps the first base write_date', async () => {
+		await queueOperation('update', 'expense', { x_name: 'Bread' }, null, 7, '2024-01-01 10:00:00');
+		await queueOperation('update', 'expense', { x_studio_value: 5 }, null, 7, '2024-01-01 10:05:00');
+
+		const queue = await getQueue();
+		expect(queue).toHaveLength(1);
+		expect(queue[0]).toMatchObject({
+			operation: 'update',
+			remoteId: 7,
+			baseWriteDate: '2024-01-01 10:00:00',
+			data: { x_name: 'Bread', x_studio_value: 5 }
+		});
+	});
+
+	it('cancels a create and its updates when the record is deleted before syncing', async () => {
+		await queueOperation('create', 'expense', { x_name: 'Milk' }, 'local_1');
+		await queueOperation('update', 'expense', { x_name: 'Oat milk' }, 'local_1');
+
+		const id = await queueOperation('delete', 'expense', {}, 'local_1');
+
+		expect(id).toBeNull();
+		expect(await getQueue()).toEqual([]);
+	});
+
+	it('keeps only the delete after an update of a synced record', async () => {
+		await queueOperation('update', 'expense', { x_name: 'Bread' }, null, 7, '2024-01-01 10:00:00');
+		await queueOperation('delete', 'expense', {}, null, 7);
+
+		const queue = await getQueue();
+		expect(queue).toHaveLength(1);
+		expect(queue[0]).toMatchObject({ operation: 'delete', remoteId: 7 });
+	});
+
+	it('leaves items that are being sent alone', async () => {
+		const sending = await queueOperation('update', 'expense', { x_name: 'Bread' }, null, 7);
+		const [item] = await getQueue();
+		await put(STORES.SYNC_QUEUE, { ...item, status: 'syncing', claimedAt: Date.now() });
+
+		const next = await queueOperation('update', 'expense', { x_studio_value: 5 }, null, 7);
+
+		expect(next).not.toBe(sending);
+		const queue = await getQueue();
+		expect(queue.map(i => i.data)).toEqual([{ x_name: 'Bread' }, { x_studio_value: 5 }]);
+	});
+
+	it('merges into failed items waiting for a retry', async () => {
+		await queueOperation('update', 'expense', { x_name: 'Bread' }, null, 7);
+		const [item] = await getQueue();
+		await put(STORES.SYNC_QUEUE, { ...item, status: 'failed', retryCount: 1 });
+
+		await queueOperation('update', 'expense', { x_studio_value: 5 }, null, 7);
+
+		const queue = await getQueue();
+		expect(queue).toHaveLength(1);
+		expect(queue[0].data).toEqual({ x_name: 'Bread', x_studio_value: 5 });
+	});
+
+	it('never coalesces operations on different records or models', async () => {
+		await queueOperation('update', 'expense', { x_name: 'A' }, null, 7);
+		await queueOperation('update', 'expense', { x_name: 'B' }, null, 8);
+		await queueOperation('update', 'payment', { x_name: 'C' }, null, 7);
+
+		expect(await getQueue()).toHaveLength(3);
+	});
+
+	it('never coalesces batch updates', async () => {
+		await queueOperation('batch_update', 'expense', { ids: [7, 8], values: { x_studio_is_done: true } });
+		await queueOperation('batch_update', 'expense', { ids: [7, 8], values: { x_studio_is_done: false } });
+
+		expect(await getQueue()).toHaveLength(2);
+	});
+});
@@ -0,0 +1,514 @@
+// @ts-check
+import { STORES } from './dbMigrations.js';
+
+/**
+ * Rules of the offline sync queue shared by the app (src/lib/syncQueue.js) and the service
+ * worker (src/sync-sw.js), which drain the same IndexedDB queue. Everything here reads and writes
+ * through a QueueStorage, so it runs on db.js in the app and on the worker's own connection.
+ * Only the sending itself differs: the app goes through odooClient, the worker calls the API.
+ */
+
+/**
+ * @typedef {Object} SyncQueueItem
+ * @property {number} [id] - Queue item ID (auto-generated)
+ * @property {string} operation - 'create' | 'update' | 'delete' | 'batch_update'
+ * @property {string} model - 'expense' | 'group' | 'payment' | 'recurring'
+ * @property {any} data - The data to sync ({ids, values, baseWriteDates} for 'batch_update', which writes many
+ *   expenses at once; baseWriteDates holds the write_date each of them was edited on)
+ * @property {string} localId - Temporary local ID for new records
+ * @property {number|null} [remoteId] - Remote ID if known
+ * @property {string|null} [baseWriteDate] - write_date of the server copy an update was made on
+ * @property {number} timestamp - When the operation was queued
+ * @property {string} status - 'pending' | 'syncing' | 'failed' | 'conflict' | 'dead'
+ *   ('failed' items are retried after a backoff; 'dead' items wait for the user to retry or discard them)
+ * @property {string|null} [error] - Error message if failed
+ * @property {any} [remote] - Server copy of the record when the update conflicted
+ * @property {number} retryCount - Number of retry attempts
+ * @property {number|null} [nextRetryAt] - Earliest time a failed item is sent again
+ * @property {number} [claimedAt] - When a sender set the item to 'syncing'
+ */
+
+/**
+ * The IndexedDB operations the queue needs, with the signatures of db.js
+ * @typedef {Object} QueueStorage
+ * @property {(storeName: string) => Promise<any[]>} getAll
+ * @property {(storeName: string, id: number|string) => Promise<any>} getById
+ * @property {(storeName: string, record: any) => Promise<any>} put
+ * @property {(storeName: string, id: number|string) => Promise<void>} remove
+ * @property {(storeName: string, id: number|string, updater: (record: any) => any) => Promise<any>} updateIf
+ *   Read, change and write a record in one transaction; the updater returns null to leave it unchanged
+ */
+
+/**
+ * Outcome of sending one queue item
+ * @typedef {Object} SendResult
+ * @property {boolean} success
+ * @property {number|null} [remoteId] - Server id of a created record
+ * @property {string|null} [writeDate] - New write_date of an updated record
+ * @property {Record<number, string>} [writeDates] - New write_date of each record of a batch update
+ * @property {boolean} [conflict] - The update was based on an outdated copy of the record
+ * @property {any} [remote] - Server copy of the conflicting record; for a batch update, of each stale record by id
+ * @property {boolean} [unauthenticated] - The session is missing or expired
+ * @property {boolean} [offline] - The server could not be reached at all
+ * @property {boolean} [permanent] - Sending the item again cannot succeed
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} DrainSummary
+ * @property {number} processed
+ * @property {number} failed
+ * @property {number} transient - Failed items that will be retried after a backoff
+ * @property {Array<{model: string, localId: string, remoteId: number}>} remapped - Records created in this run
+ * @property {string|null} lastError
+ */
+
+// Failed items are retried after 30s, 1m, 2m, 4m, ... up to 30 minutes, then given up on
+export const MAX_RETRIES = 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+// An item claimed for this long was being sent by a tab or worker that has since been closed
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// Codes of API errors that sending the request again cannot fix
+const PERMANENT_ERROR_CODES = new Set([
+	'invalid',
+	'rejected',
+	'not_found',
+	'forbidden',
+	'access_denied',
+	'model_not_allowed',
+	'field_not_allowed',
+	'domain_not_allowed'
+]);
+// Odoo was unreachable, timed out or answered with an error page
+const TRANSIENT_ERROR_CODES = new Set(['upstream_unavailable']);
+
+// IndexedDB store holding the local copy of each synced model
+/** @type {Record<string, string>} */
+export const MODEL_STORES = {
+	expense: STORES.EXPENSES,
+	group: STORES.GROUPS,
+	payment: STORES.PAYMENTS,
+	recurring: STORES.RECURRING
+};
+
+// Stores whose records reference an expense group through x_studio_expensegroup
+const GROUP_REFERENCE_STORES = [STORES.EXPENSES, STORES.PAYMENTS, STORES.RECURRING];
+
+/**
+ * Whether an id is a temporary `local_…` id of a record that has not reached the server yet
+ * @param {any} id
+ * @returns {id is string}
+ */
+export function isLocalId(id) {
+	return typeof id === 'string' && id.startsWith('local_');
+}
+
+/**
+ * Backoff before the next attempt of an item that failed `retryCount` times
+ * @param {number} retryCount
+ * @returns {number}
+ */
+export function getRetryDelay(retryCount) {
+	return Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** Math.max(0, retryCount - 1));
+}
+
+/**
+ * Whether a failed request will fail again no matter how often it is retried: the server
+ * rejected the request itself (e.g. a validation error or a record that no longer exists).
+ * Decided by the error code; responses without a known code, e.g. from a proxy in front of the
+ * server, by status: 4xx is permanent, while network failures, timeouts, rate limits and 5xx
+ * responses are transient.
+ * @param {number} status - HTTP status, 0 when the request did not get an answer
+ * @param {string} [code] - Error code of the API response
+ * @returns {boolean}
+ */
+export function isPermanentFailure(status, code = '') {
+	if (PERMANENT_ERROR_CODES.has(code)) return true;
+	if (TRANSIENT_ERROR_CODES.has(code)) return false;
+	return status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+}
+
+/**
+ * Whether a queue item targets the given record. Records created offline are matched by
+ * local id until their create has gone through and the queue was remapped to the server id.
+ * @param {SyncQueueItem} item
+ * @param {string} model
+ * @param {string|null} localId
+ * @param {number|null|undefined} remoteId
+ */
+export function isSameRecord(item, model, localId, remoteId) {
+	if (item.model !== model) return false;
+	if (remoteId != null) return item.remoteId === remoteId;
+	return item.remoteId == null && item.localId === localId;
+}
+
+/**
+ * Whether an item is due to be sent: pending, failed with its backoff passed, or claimed by a
+ * sender (tab or service worker) that was closed before it finished
+ * @param {SyncQueueItem} item
+ * @param {number} now
+ */
+export function isDue(item, now) {
+	if (item.status === 'pending') return true;
+	if (item.status === 'failed') return !item.nextRetryAt || item.nextRetryAt <= now;
+	if (item.status === 'syncing') return !item.claimedAt || item.claimedAt < now - STALE_CLAIM_MS;
+	return false;
+}
+
+/**
+ * Atomically mark a due item as being sent. Tabs and the service worker all drain the same
+ * queue; only the one that claims an item sends it.
+ * Operations on a record created offline wait until its create went through, and so do
+ * records filed under a group created offline.
+ * @param {QueueStorage} storage
+ * @param {number} id
+ * @param {number} [now]
+ * @returns {Promise<SyncQueueItem|null>} The claimed item, or null when it is not ready to send
+ */
+export function claimItem(storage, id, now = Date.now()) {
+	return storage.updateIf(STORES.SYNC_QUEUE, id, (/** @type {SyncQueueItem} */ item) => {
+		if (!isDue(item, now)) return null;
+		if ((item.operation === 'update' || item.operation === 'delete') && item.remoteId == null) return null;
+		if (isLocalId(item.data?.x_studio_expensegroup)) return null;
+		return { ...item, status: 'syncing', claimedAt: now };
+	});
+}
+
+/**
+ * Ids of the local records a queue item writes to
+ * @param {SyncQueueItem} item
+ * @returns {Array<number|string>}
+ */
+export function getItemRecordIds(item) {
+	if (item.operation === 'batch_update') return item.data?.ids || [];
+	return [item.remoteId ?? item.localId];
+}
+
+/**
+ * Point queued operations and the stored copy of a record created offline at its new server id.
+ * For a group, also the queued operations and stored records filed under it.
+ * @param {QueueStorage} storage
+ * @param {string} model
+ * @param {string} localId
+ * @param {number} remoteId
+ */
+export async function remapLocalId(storage, model, localId, remoteId) {
+	const queue = await storage.getAll(STORES.SYNC_QUEUE);
+	const dependents = queue.filter(item => isSameRecord(item, model, localId, null));
+	for (const item of dependents) {
+		await storage.put(STORES.SYNC_QUEUE, { ...item, remoteId });
+	}
+
+	const storeName = MODEL_STORES[model] || STORES.EXPENSES;
+	const record = await storage.getById(storeName, localId);
+	if (record) {
+		await storage.remove(storeName, localId);
+		await storage.put(storeName, {
+			...record,
+			id: remoteId,
+			syncStatus: dependents.length > 0 ? 'pending' : 'synced'
+		});
+	}
+
+	if (model !== 'group') return;
+
+	for (const item of await storage.getAll(STORES.SYNC_QUEUE)) {
+		if (item.data?.x_studio_expensegroup === localId) {
+			await storage.put(STORES.SYNC_QUEUE, { ...item, data: { ...item.data, x_studio_expensegroup: remoteId } });
+		}
+	}
+	for (const name of GROUP_REFERENCE_STORES) {
+		for (const other of await storage.getAll(name)) {
+			if (other.x_studio_expensegroup === localId) {
+				await storage.put(name, { ...other, x_studio_expensegroup: remoteId });
+			}
+		}
+	}
+}
+
+/**
+ * Park an update the server rejected as stale and flag the local record until it is resolved.
+ * Later queued updates of the same record were based on the same stale copy, so they are
+ * folded into the conflicting item instead of being sent.
+ * @param {QueueStorage} storage
+ * @param {SyncQueueItem} item
+ * @param {any} remote - Server copy of the conflicting fields, including write_date
+ * @param {string} error
+ */
+export async function markConflict(storage, item, remote, error) {
+	const queue = await storage.getAll(STORES.SYNC_QUEUE);
+	const later = queue
+		.filter(other => other.id !== item.id && other.operation === 'update' && other.model === item.model &&
+			other.remoteId === item.remoteId && (other.status === 'pending' || other.status === 'failed'))
+		.sort((a, b) => a.timestamp - b.timestamp);
+
+	let data = { ...item.data };
+	for (const other of later) {
+		data = { ...data, ...other.data };
+		await storage.remove(STORES.SYNC_QUEUE, other.id);
+	}
+
+	await storage.put(STORES.SYNC_QUEUE, { ...item, data, status: 'conflict', error, remote });
+
+	const storeName = MODEL_STORES[item.model] || STORES.EXPENSES;
+	const record = item.remoteId != null ? await storage.getById(storeName, item.remoteId) : null;
+	if (record) {
+		await storage.put(storeName, {
+			...record,
+			syncStatus: 'conflict',
+			conflict: { queueId: item.id, local: data, remote }
+		});
+	}
+}
+
+/**
+ * Split a batch update the server rejected because some of its records changed remotely.
+ * Each stale record gets an update of its own, parked as a conflict for the user to resolve;
+ * the others go back to the queue as a smaller batch, still with their own base write_dates.
+ * @param {QueueStorage} storage
+ * @param {SyncQueueItem} item
+ * @param {Record<number, any>} remote - Server copy of each stale record by id
+ * @param {string} error
+ */
+async function splitBatchConflict(storage, item, remote, error) {
+	const { ids, values, baseWriteDates = {} } = item.data;
+	/** @type {number[]} */
+	const stale = ids.filter((/** @type {number} */ id) => remote?.[id]);
+	// Without the server copies there is nothing to resolve against
+	if (stale.length === 0) {
+		await storage.put(STORES.SYNC_QUEUE, { ...item, status: 'dead', error });
+		await markRecordFailed(storage, item);
+		return;
+	}
+
+	/** @type {number[]} */
+	const rest = ids.filter((/** @type {number} */ id) => !remote[id]);
+	if (rest.length > 0) {
+		/** @type {Record<number, string>} */
+		const restBases = {};
+		for (const id of rest) {
+			if (baseWriteDates[id]) restBases[id] = baseWriteDates[id];
+		}
+		await storage.put(STORES.SYNC_QUEUE, {
+			...item,
+			data: { ids: rest, values, baseWriteDates: restBases },
+			status: 'pending',
+			claimedAt: undefined
+		});
+	} else {
+		await storage.remove(STORES.SYNC_QUEUE, /** @type {number} */ (item.id));
+	}
+
+	for (const id of stale) {
+		/** @type {SyncQueueItem} */
+		const update = {
+			operation: 'update',
+			model: item.model,
+			data: { ...values },
+			localId: `${item.localId}_${id}`,
+			remoteId: id,
+			baseWriteDate: baseWriteDates[id] || null,
+			timestamp: item.timestamp,
+			status: 'conflict',
+			retryCount: 0
+		};
+		update.id = await storage.put(STORES.SYNC_QUEUE, update);
+		await markConflict(storage, update, remote[id], error);
+	}
+}
+
+/**
+ * Flag the local records of an item that will not sync by itself, so the UI can point at them
+ * @param {QueueStorage} storage
+ * @param {SyncQueueItem} item
+ */
+async function markRecordFailed(storage, item) {
+	const storeName = MODEL_STORES[item.model] || STORES.EXPENSES;
+	for (const id of getItemRecordIds(item)) {
+		const record = await storage.getById(storeName, id);
+		if (record) {
+			await storage.put(storeName, { ...record, syncStatus: 'failed' });
+		}
+	}
+}
+
+/**
+ * Move the queued updates of a record that the server just wrote onto its new write_date,
+ * including its entry in queued batch updates.
+ * They were edited on the copy that was current before this write, so without this the server
+ * would reject them as stale. Items being sent or parked as conflicts are left alone.
+ * @param {QueueStorage} storage
+ * @param {string} model
+ * @param {number} id
+ * @param {string} writeDate
+ */
+async function rebaseQueuedUpdates(storage, model, id, writeDate) {
+	const queue = await storage.getAll(STORES.SYNC_QUEUE);
+	for (const other of queue) {
+		if (other.operation === 'batch_update' && other.model === model && other.data?.ids?.includes(id)) {
+			await storage.updateIf(STORES.SYNC_QUEUE, /** @type {number} */ (other.id), (current) => {
+				const waiting = current.status === 'pending' || current.status === 'failed';
+				const base = current.data.baseWriteDates?.[id];
+				if (!waiting || !base || base >= writeDate) return null;
+				return { ...current, data: { ...current.data, baseWriteDates: { ...current.data.baseWriteDates, [id]: writeDate } } };
+			});
+			continue;
+		}
+		if (other.operation !== 'update' || !isSameRecord(other, model, null, id)) continue;
+		await storage.updateIf(STORES.SYNC_QUEUE, /** @type {number} */ (other.id), (current) => {
+			const waiting = current.status === 'pending' || current.status === 'failed';
+			if (!waiting || !current.baseWriteDate || current.baseWriteDate >= writeDate) return null;
+			return { ...current, baseWriteDate: writeDate };
+		});
+	}
+}
+
+/**
+ * Record that the server wrote a record: take over its new write_date and rebase its queued
+ * updates onto it. The record only counts as synced once no queue item for it remains;
+ * otherwise delta sync would replace the local copy that still holds those edits.
+ * @param {QueueStorage} storage
+ * @param {string} model
+ * @param {number} id
+ * @param {string|null|undefined} writeDate
+ */
+async function markWritten(storage, model, id, writeDate) {
+	if (writeDate) await rebaseQueuedUpdates(storage, model, id, writeDate);
+
+	const storeName = MODEL_STORES[model] || STORES.EXPENSES;
+	const record = await storage.getById(storeName, id);
+	if (!record) return;
+
+	const queue = await storage.getAll(STORES.SYNC_QUEUE);
+	const queued = queue.some(other => other.model === model && getItemRecordIds(other).includes(id));
+	await storage.put(storeName, {
+		...record,
+		...(queued ? {} : { syncStatus: 'synced' }),
+		...(writeDate ? { write_date: writeDate } : {})
+	});
+}
+
+/**
+ * Write the outcome of a successful send to the queue and the local records
+ * @param {QueueStorage} storage
+ * @param {SyncQueueItem} item
+ * @param {SendResult} result
+ */
+async function applySuccess(storage, item, result) {
+	await storage.remove(STORES.SYNC_QUEUE, /** @type {number} */ (item.id));
+	const storeName = MODEL_STORES[item.model] || STORES.EXPENSES;
+
+	// Move the local record and its queued edits to the server id
+	if (item.operation === 'create' && result.remoteId && item.localId) {
+		await remapLocalId(storage, item.model, item.localId, result.remoteId);
+	}
+
+	// An updated record matches the server, unless more of its edits are still queued
+	if (item.operation === 'update' && item.remoteId) {
+		await markWritten(storage, item.model, item.remoteId, result.writeDate);
+	}
+
+	// A batch update wrote all of its records in one go
+	if (item.operation === 'batch_update') {
+		for (const id of item.data.ids) {
+			await markWritten(storage, item.model, id, result.writeDates?.[id]);
+		}
+	}
+
+	if (item.operation === 'delete' && item.remoteId) {
+		await storage.remove(storeName, item.remoteId);
+	}
+}
+
+/**
+ * Write the outcome of sending a claimed item to the queue and the local records
+ * @param {QueueStorage} storage
+ * @param {SyncQueueItem} item - As claimed
+ * @param {SendResult} result
+ * @returns {Promise<'processed'|'conflict'|'unauthenticated'|'failed'|'dead'>}
+ */
+export async function applyResult(storage, item, result) {
+	if (result.success) {
+		await applySuccess(storage, item, result);
+		return 'processed';
+	}
+
+	if (result.conflict) {
+		if (item.operation === 'batch_update') {
+			await splitBatchConflict(storage, item, result.remote, result.error || 'Conflict');
+		} else {
+			await markConflict(storage, item, result.remote, result.error || 'Conflict');
+		}
+		return 'conflict';
+	}
+
+	// Signed out: nothing else can be sent, so keep the item as it was until the user signs in
+	if (result.unauthenticated) {
+		await storage.put(STORES.SYNC_QUEUE, { ...item, status: 'pending', claimedAt: undefined });
+		return 'unauthenticated';
+	}
+
+	// Retry transient failures with backoff; park permanent ones and exhausted ones as dead
+	const retryCount = item.retryCount + 1;
+	const dead = Boolean(result.permanent) || retryCount >= MAX_RETRIES;
+
+	await storage.put(STORES.SYNC_QUEUE, {
+		...item,
+		status: dead ? 'dead' : 'failed',
+		error: result.error,
+		retryCount,
+		nextRetryAt: dead ? null : Date.now() + getRetryDelay(retryCount)
+	});
+
+	if (dead) {
+		// The error stays on the dead item, where the sync page shows it
+		console.error(`Giving up on queue item ${item.id} (${item.operation} ${item.model})`);
+		await markRecordFailed(storage, item);
+	}
+	return dead ? 'dead' : 'failed';
+}
+
+/**
+ * Send every due item of the sync queue once, oldest first
+ * @param {QueueStorage} storage
+ * @param {(item: SyncQueueItem) => Promise<SendResult>} send
+ * @returns {Promise<DrainSummary>}
+ */
+export async function drainQueue(storage, send) {
+	/** @type {DrainSummary} */
+	const summary = { processed: 0, failed: 0, transient: 0, remapped: [], lastError: null };
+	const now = Date.now();
+	const items = (await storage.getAll(STORES.SYNC_QUEUE))
+		.filter(item => isDue(item, now))
+		.sort((a, b) => a.timestamp - b.timestamp);
+
+	for (const queued of items) {
+		// Earlier items in this run, another tab or the service worker may have sent, remapped
+		// or rebased this one since the list was read
+		const item = await claimItem(storage, queued.id);
+		if (!item) continue;
+
+		const result = await send(item);
+		const outcome = await applyResult(storage, item, result);
+
+		if (outcome === 'processed') {
+			summary.processed++;
+			if (item.operation === 'create' && result.remoteId && item.localId) {
+				summary.remapped.push({ model: item.model, localId: item.localId, remoteId: result.remoteId });
+			}
+			continue;
+		}
+
+		if (outcome === 'unauthenticated') break;
+
+		summary.failed++;
+		summary.lastError = result.error || null;
+		if (outcome === 'failed') summary.transient++;
+		// Offline again: nothing else can be sent until the connection is back
+		if (result.offline) break;
+	}
+
+	return summary;
+}
@@ -0,0 +1,345 @@
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { STORES, clear, getAll, getById, put, remove, updateIf } from './db.js';
+import { applyResult, claimItem, drainQueue, getRetryDelay, isDue, isPermanentFailure } from './syncQueueCore.js';
+
+/** @type {import('./syncQueueCore.js').QueueStorage} */
+const storage = { getAll, getById, put, remove, updateIf };
+
+/**
+ * @param {Partial<import('./syncQueueCore.js').SyncQueueItem>} values
+ */
+async function enqueue(values) {
+	return put(STORES.SYNC_QUEUE, {
+		operation: 'update',
+		model: 'expense',
+		data: {},
+		localId: 'local_x',
+		remoteId: 7,
+		timestamp: Date.now(),
+		status: 'pending',
+		retryCount: 0,
+		...values
+	});
+}
+
+beforeEach(async () => {
+	for (const store of [STORES.SYNC_QUEUE, STORES.EXPENSES, STORES.GROUPS]) await clear(store);
+});
+
+describe('isDue', () => {
+	const now = 1_000_000_000;
+
+	it('sends pending items and failed ones whose backoff passed', () => {
+		expect(isDue(/** @type {any} */ ({ status: 'pending' }), now)).toBe(true);
+		expect(isDue(/** @type {any} */ ({ status: 'failed', nextRetryAt: now - 1 }), now)).toBe(true);
+		expect(isDue(/** @type {any} */ ({ status: 'failed', nextRetryAt: now + 1 }), now)).toBe(false);
+	});
+
+	it('takes over claims of senders that were closed', () => {
+		expect(isDue(/** @type {any} */ ({ status: 'syncing', claimedAt: now - 1000 }), now)).toBe(false);
+		expect(isDue(/** @type {any} */ ({ status: 'syncing', claimedAt: now - 6 * 60 * 1000 }), now)).toBe(true);
+	});
+
+	it('leaves conflicts and dead items to the user', () => {
+		expect(isDue(/** @type {any} */ ({ status: 'conflict' }), now)).toBe(false);
+		expect(isDue(/** @type {any} */ ({ status: 'dead' }), now)).toBe(false);
+	});
+});
+
+describe('retry rules', () => {
+	it('backs off exponentially up to 30 minutes', () => {
+		expect(getRetryDelay(1)).toBe(30 * 1000);
+		expect(getRetryDelay(3)).toBe(2 * 60 * 1000);
+		expect(getRetryDelay(20)).toBe(30 * 60 * 1000);
+	});
+
+	it('decides by error code first, then by status', () => {
+		expect(isPermanentFailure(500, 'rejected')).toBe(true);
+		expect(isPermanentFailure(503, 'upstream_unavailable')).toBe(false);
+		expect(isPermanentFailure(404)).toBe(true);
+		expect(isPermanentFailure(429)).toBe(false);
+		expect(isPermanentFailure(0)).toBe(false);
+	});
+});
+
+describe('claimItem', () => {
+	it('claims a due item once', async () => {
+		const id = await enqueue({});
+
+		const first = await claimItem(storage, id);
+		const second = await claimItem(storage, id);
+
+		expect(first).toMatchObject({ id, status: 'syncing' });
+		expect(second).toBeNull();
+	});
+
+	it('lets only one of several concurrent senders claim an item', async () => {
+		const id = await enqueue({});
+
+		const claims = await Promise.all([claimItem(storage, id), claimItem(storage, id), claimItem(storage, id)]);
+
+		expect(claims.filter(Boolean)).toHaveLength(1);
+	});
+
+	it('holds back edits of records whose create has not gone through', async () => {
+		const id = await enqueue({ remoteId: null });
+		expect(await claimItem(storage, id)).toBeNull();
+	});
+
+	it('holds back records filed under a group created offline', async () => {
+		const id = await enqueue({ operation: 'create', remoteId: null, data: { x_studio_expensegroup: 'local_group' } });
+		expect(await claimItem(storage, id)).toBeNull();
+	});
+
+	it('does not claim items that were removed', async () => {
+		expect(await claimItem(storage, 12345)).toBeNull();
+	});
+});
+
+describe('applyResult', () => {
+	it('parks a conflict with the server copy and flags the record', async () => {
+		await put(STORES.EXPENSES, { id: 7, x_name: 'Bread', syncStatus: 'pending' });
+		const id = await enqueue({ data: { x_name: 'Bread' } });
+		await enqueue({ data: { x_studio_value: 5 }, timestamp: Date.now() + 1 });
+		const item = /** @type {any} */ (await claimItem(storage, id));
+
+		const outcome = await applyResult(storage, item, {
+			success: false,
+			conflict: true,
+			remote: { x_name: 'Rolls', write_date: '2024-01-02 00:00:00' },
+			error: 'Record was changed by someone else'
+		});
+
+		expect(outcome).toBe('conflict');
+		const queue = await getAll(STORES.SYNC_QUEUE);
+		expect(queue).toHaveLength(1);
+		expect(queue[0]).toMatchObject({ status: 'conflict', data: { x_name: 'Bread', x_studio_value: 5 }, remote: { x_name: 'Rolls' } });
+		expect(await getById(STORES.EXPENSES, 7)).toMatchObject({
+			syncStatus: 'conflict',
+			conflict: { queueId: id, local: { x_name: 'Bread', x_studio_value: 5 } }
+		});
+	});
+
+	it('returns unauthenticated items to pending without using a retry', async () => {
+		const id = await enqueue({});
+		const item = /** @type {any} */ (await claimItem(storage, id));
+
+		expect(await applyResult(storage, item, { success: false, unauthenticated: true })).toBe('unauthenticated');
+		expect(await getById(STORES.SYNC_QUEUE, id)).toMatchObject({ status: 'pending', retryCount: 0 });
+	});
+
+	it('schedules a retry for transient failures and gives up on permanent ones', async () => {
+		await put(STORES.EXPENSES, { id: 8, syncStatus: 'pending' });
+		const transientId = await enqueue({});
+		const permanentId = await enqueue({ remoteId: 8 });
+		const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		const transient = /** @type {any} */ (await claimItem(storage, transientId));
+		const permanent = /** @type {any} */ (await claimItem(storage, permanentId));
+		expect(await applyResult(storage, transient, { success: false, error: 'HTTP 503' })).toBe('failed');
+		expect(await applyResult(storage, permanent, { success: false, permanent: true, error: 'rejected' })).toBe('dead');
+
+		expect(await getById(STORES.SYNC_QUEUE, transientId)).toMatchObject({ status: 'failed', retryCount: 1 });
+		expect((await getById(STORES.SYNC_QUEUE, transientId)).nextRetryAt).toBeGreaterThan(Date.now());
+		expect(await getById(STORES.SYNC_QUEUE, permanentId)).toMatchObject({ status: 'dead' });
+		expect(await getById(STORES.EXPENSES, 8)).toMatchObject({ syncStatus: 'failed' });
+		// Only the item is named, not its payload
+		expect(log).toHaveBeenCalledWith(`Giving up on queue item ${permanentId} (update expense)`);
+		log.mockRestore();
+	});
+
+	it('rebases the queued updates of a written record onto its new write_date', async () => {
+		await put(STORES.EXPENSES, { id: 7, syncStatus: 'pending', write_date: '2024-01-01 10:00:00' });
+		const id = await enqueue({ data: { x_name: 'Bread' }, baseWriteDate: '2024-01-01 10:00:00' });
+		const next = await enqueue({ data: { x_studio_value: 5 }, baseWriteDate: '2024-01-01 10:00:00' });
+		const parked = await enqueue({ status: 'conflict', baseWriteDate: '2024-01-01 10:00:00' });
+		const other = await enqueue({ remoteId: 8, baseWriteDate: '2024-01-01 10:00:00' });
+		const item = /** @type {any} */ (await claimItem(storage, id));
+
+		await applyResult(storage, item, { success: true, writeDate: '2024-01-01 10:01:00' });
+
+		// The other two updates of record 7 are still queued
+		expect(await getById(STORES.EXPENSES, 7)).toMatchObject({ syncStatus: 'pending', write_date: '2024-01-01 10:01:00' });
+		expect(await getById(STORES.SYNC_QUEUE, next)).toMatchObject({ baseWriteDate: '2024-01-01 10:01:00' });
+		expect(await getById(STORES.SYNC_QUEUE, parked)).toMatchObject({ baseWriteDate: '2024-01-01 10:00:00' });
+		expect(await getById(STORES.SYNC_QUEUE, other)).toMatchObject({ baseWriteDate: '2024-01-01 10:00:00' });
+	});
+
+	it('rebases queued updates onto the write_date of a batch update', async () => {
+		const batch = await enqueue({ operation: 'batch_update', remoteId: null, data: { ids: [7, 8], values: { x_studio_is_done: true } } });
+		const next = await enqueue({ remoteId: 8, baseWriteDate: '2024-01-01 10:00:00' });
+		const item = /** @type {any} */ (await claimItem(storage, batch));
+
+		await applyResult(storage, item, { success: true, writeDates: { 7: '2024-01-01 10:01:00', 8: '2024-01-01 10:01:00' } });
+
+		expect(await getById(STORES.SYNC_QUEUE, next)).toMatchObject({ baseWriteDate: '2024-01-01 10:01:00' });
+	});
+
+	it('keeps a written record pending while more of its edits are queued', async () => {
+		await put(STORES.EXPENSES, { id: 7, syncStatus: 'pending' });
+		await put(STORES.EXPENSES, { id: 8, syncStatus: 'pending' });
+		const id = await enqueue({ data: { x_name: 'Bread' } });
+		const batch = await enqueue({ operation: 'batch_update', remoteId: null, data: { ids: [7, 8], values: { x_studio_is_done: true } } });
+		const item = /** @type {any} */ (await claimItem(storage, id));
+
+		await applyResult(storage, item, { success: true, writeDate: '2024-01-01 10:01:00' });
+		expect(await getById(STORES.EXPENSES, 7)).toMatchObject({ syncStatus: 'pending', write_date: '2024-01-01 10:01:00' });
+
+		const batchItem = /** @type {any} */ (await claimItem(storage, batch));
+		await applyResult(storage, batchItem, { success: true, writeDates: { 7: '2024-01-01 10:02:00', 8: '2024-01-01 10:02:00' } });
+		expect(await getById(STORES.EXPENSES, 7)).toMatchObject({ syncStatus: 'synced', write_date: '2024-01-01 10:02:00' });
+		expect(await getById(STORES.EXPENSES, 8)).toMatchObject({ syncStatus: 'synced' });
+	});
+
+	it('rebases queued batch updates onto the write_date of an update', async () => {
+		const id = await enqueue({ baseWriteDate: '2024-01-01 10:00:00' });
+		const batch = await enqueue({
+			operation: 'batch_update',
+			remoteId: null,
+			data: { ids: [7, 8], values: { x_studio_is_done: true }, baseWriteDates: { 7: '2024-01-01 10:00:00', 8: '2024-01-01 09:00:00' } }
+		});
+		const item = /** @type {any} */ (await claimItem(storage, id));
+
+		await applyResult(storage, item, { success: true, writeDate: '2024-01-01 10:01:00' });
+
+		expect((await getById(STORES.SYNC_QUEUE, batch)).data.baseWriteDates).toEqual({ 7: '2024-01-01 10:01:00', 8: '2024-01-01 09:00:00' });
+	});
+
+	it('splits a batch update with stale records into conflicts and a batch of the rest', async () => {
+		for (const id of [7, 8, 9]) await put(STORES.EXPENSES, { id, x_studio_is_done: true, syncStatus: 'pending' });
+		const batch = await enqueue({
+			operation: 'batch_update',
+			remoteId: null,
+			data: { ids: [7, 8, 9], values: { x_studio_is_done: true }, baseWriteDates: { 7: 'a', 8: 'b', 9: 'c' } }
+		});
+		const item = /** @type {any} */ (await claimItem(storage, batch));
+
+		const outcome = await applyResult(storage, item, {
+			success: false,
+			conflict: true,
+			remote: { 8: { id: 8, x_studio_is_done: false, write_date: 'b2' } },
+			error: 'Records were changed by someone else'
+		});
+
+		expect(outcome).toBe('conflict');
+		expect(await getById(STORES.SYNC_QUEUE, batch)).toMatchObject({
+			status: 'pending',
+			data: { ids: [7, 9], baseWriteDates: { 7: 'a', 9: 'c' } }
+		});
+		const conflicts = (await getAll(STORES.SYNC_QUEUE)).filter(queued => queued.status === 'conflict');
+		expect(conflicts).toEqual([expect.objectContaining({
+			operation: 'update',
+			remoteId: 8,
+			data: { x_studio_is_done: true },
+			baseWriteDate: 'b',
+			remote: { id: 8, x_studio_is_done: false, write_date: 'b2' }
+		})]);
+		expect(await getById(STORES.EXPENSES, 8)).toMatchObject({
+			syncStatus: 'conflict',
+			conflict: { queueId: conflicts[0].id, local: { x_studio_is_done: true } }
+		});
+		expect(await getById(STORES.EXPENSES, 7)).toMatchObject({ syncStatus: 'pending' });
+	});
+
+	it('moves a created record and its queued edits to the server id', async () => {
+		await put(STORES.EXPENSES, { id: 'local_1', x_name: 'Milk', syncStatus: 'pending' });
+		const createId = await enqueue({ operation: 'create', localId: 'local_1', remoteId: null });
+		await enqueue({ localId: 'local_1', remoteId: null, data: { x_name: 'Oat milk' } });
+		const item = /** @type {any} */ (await claimItem(storage, createId));
+
+		expect(await applyResult(storage, item, { success: true, remoteId: 42 })).toBe('processed');
+
+		const queue = await getAll(STORES.SYNC_QUEUE);
+		expect(queue).toHaveLength(1);
+		expect(queue[0]).toMatchObject({ operation: 'update', remoteId: 42 });
+		expect(await getById(STORES.EXPENSES, 'local_1')).toBeUndefined();
+		expect(await getById(STORES.EXPENSES, 42)).toMatchObject({ x_name: 'Milk', syncStatus: 'pending' });
+	});
+
+	it('points records filed under a group created offline at its server id', async () => {
+		await put(STORES.GROUPS, { id: 'local_g', syncStatus: 'pending' });
+		await put(STORES.EXPENSES, { id: 'local_e', x_studio_expensegroup: 'local_g', syncStatus: 'pending' });
+		const groupCreate = await enqueue({ operation: 'create', model: 'group', localId: 'local_g', remoteId: null });
+		await enqueue({ operation: 'create', localId: 'local_e', remoteId: null, data: { x_studio_expensegroup: 'local_g' } });
+		const item = /** @type {any} */ (await claimItem(storage, groupCreate));
+
+		await applyResult(storage, item, { success: true, remoteId: 3 });
+
+		const [expenseCreate] = await getAll(STORES.SYNC_QUEUE);
+		expect(expenseCreate.data.x_studio_expensegroup).toBe(3);
+		expect(await getById(STORES.EXPENSES, 'local_e')).toMatchObject({ x_studio_expensegroup: 3 });
+	});
+});
+
+describe('drainQueue', () => {
+	it('sends due items oldest first and reports what happened', async () => {
+		await put(STORES.EXPENSES, { id: 'local_1', syncStatus: 'pending' });
+		await enqueue({ operation: 'create', localId: 'local_1', remoteId: null, timestamp: 2 });
+		await enqueue({ remoteId: 9, timestamp: 1 });
+		await enqueue({ remoteId: 10, status: 'dead', timestamp: 0 });
+		/** @type {any[]} */
+		const sent = [];
+		const send = vi.fn(async (/** @type {any} */ item) => {
+			sent.push(item.operation);
+			return item.operation === 'create' ? { success: true, remoteId: 42 } : { success: false, error: 'HTTP 503' };
+		});
+
+		const summary = await drainQueue(storage, send);
+
+		expect(sent).toEqual(['update', 'create']);
+		expect(summary).toMatchObject({
+			processed: 1,
+			failed: 1,
+			transient: 1,
+			remapped: [{ model: 'expense', localId: 'local_1', remoteId: 42 }],
+			lastError: 'HTTP 503'
+		});
+	});
+
+	it('stops when the server cannot be reached or the session ended', async () => {
+		await enqueue({ remoteId: 1, timestamp: 1 });
+		await enqueue({ remoteId: 2, timestamp: 2 });
+
+		const offline = vi.fn(async () => ({ success: false, offline: true, error: 'Network error' }));
+		await drainQueue(storage, offline);
+		expect(offline).toHaveBeenCalledTimes(1);
+
+		await clear(STORES.SYNC_QUEUE);
+		await enqueue({ remoteId: 1, timestamp: 1 });
+		await enqueue({ remoteId: 2, timestamp: 2 });
+		const signedOut = vi.fn(async () => ({ success: false, unauthenticated: true }));
+		const summary = await drainQueue(storage, signedOut);
+		expect(signedOut).toHaveBeenCalledTimes(1);
+		expect(summary.failed).toBe(0);
+	});
+
+	it('sends later updates of a record on the copy the earlier one wrote', async () => {
+		await enqueue({ data: { x_name: 'Bread' }, baseWriteDate: '2024-01-01 10:00:00', timestamp: 1 });
+		/** @type {any[]} */
+		const bases = [];
+
+		await drainQueue(storage, async (item) => {
+			bases.push(item.baseWriteDate);
+			// Edited again while the first update was on its way
+			if (bases.length === 1) await enqueue({ data: { x_studio_value: 5 }, baseWriteDate: '2024-01-01 10:00:00', timestamp: 2 });
+			return { success: true, writeDate: `2024-01-01 10:0${bases.length}:00` };
+		});
+		await drainQueue(storage, async (item) => {
+			bases.push(item.baseWriteDate);
+			return { success: true, writeDate: '2024-01-01 10:05:00' };
+		});
+
+		expect(bases).toEqual(['2024-01-01 10:00:00', '2024-01-01 10:01:00']);
+	});
+
+	it('skips items another sender claimed', async () => {
+		const id = await enqueue({});
+		await claimItem(storage, id);
+		const send = vi.fn();
+
+		await drainQueue(storage, send);
+
+		expect(send).not.toHaveBeenCalled();
+	});
+});
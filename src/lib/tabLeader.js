@@ -0,0 +1,200 @@
+// @ts-check
+import { writable } from 'svelte/store';
+
+/**
+ * Coordination between open tabs of the app.
+ * One tab is elected leader with a Web Lock held for as long as the tab is open; when it closes
+ * the lock passes to a waiting tab. Only the leader drains the sync queue and polls Odoo.
+ * Other tabs forward those requests to it over a BroadcastChannel and reload from IndexedDB
+ * when any tab reports that it changed the stored data.
+ * Browsers without Web Locks make every tab its own leader, which is how the app behaved
+ * before; queue items are still claimed atomically, so none is sent twice.
+ */
+
+const LOCK_NAME = 'expense-split-leader';
+const CHANNEL_NAME = 'expense-split-tabs';
+
+// How long a follower waits for the leader before doing the work itself
+const LEADER_TIMEOUT_MS = 60 * 1000;
+// Changes made in quick succession are announced once
+const NOTIFY_DELAY_MS = 100;
+
+/** @type {import('svelte/store').Writable<'pending'|'leader'|'follower'>} */
+export const tabRole = writable('pending');
+
+/** @type {BroadcastChannel|null} */
+let channel = null;
+/** @type {Promise<boolean>|null} */
+let election = null;
+let isLeaderTab = false;
+
+const tabId = Math.random().toString(36).slice(2, 10);
+let requestCounter = 0;
+
+/** @type {Map<string, {resolve: (value: any) => void, reject: (error: Error) => void, timer: ReturnType<typeof setTimeout>}>} */
+const pendingRequests = new Map();
+/** @type {Map<string, (payload: any) => Promise<any>>} */
+const leaderHandlers = new Map();
+/** @type {Set<() => void>} */
+const changeListeners = new Set();
+/** @type {ReturnType<typeof setTimeout>|null} */
+let notifyTimer = null;
+
+/**
+ * @param {'leader'|'follower'} role
+ */
+function setRole(role) {
+	isLeaderTab = role === 'leader';
+	tabRole.set(role);
+}
+
+/**
+ * Hold the leader lock until the tab is closed
+ * @returns {Promise<void>}
+ */
+function holdLock() {
+	setRole('leader');
+	return new Promise(() => {});
+}
+
+/**
+ * Open the channel and run the election once per tab
+ * @returns {Promise<boolean>} Whether this tab is the leader
+ */
+function start() {
+	if (election) return election;
+
+	if (typeof BroadcastChannel !== 'undefined') {
+		channel = new BroadcastChannel(CHANNEL_NAME);
+		channel.addEventListener('message', handleMessage);
+	}
+
+	const locks = typeof navigator !== 'undefined' ? navigator.locks : undefined;
+	if (!locks) {
+		setRole('leader');
+		election = Promise.resolve(true);
+		return election;
+	}
+
+	election = new Promise((resolve) => {
+		locks.request(LOCK_NAME, { ifAvailable: true }, (lock) => {
+			if (lock) {
+				resolve(true);
+				return holdLock();
+			}
+			setRole('follower');
+			resolve(false);
+			// Take over once the current leader is closed
+			locks.request(LOCK_NAME, () => holdLock());
+		}).catch((error) => {
+			console.warn('Tab leader election failed:', error);
+			setRole('leader');
+			resolve(true);
+		});
+	});
+	return election;
+}
+
+/**
+ * Whether this tab should talk to the server. Waits for the election on first use.
+ * @returns {Promise<boolean>}
+ */
+export async function isLeader() {
+	await start();
+	return isLeaderTab;
+}
+
+/**
+ * @param {MessageEvent} event
+ */
+function handleMessage(event) {
+	const message = event.data;
+	if (!message) return;
+
+	if (message.type === 'changed') {
+		for (const listener of changeListeners) listener();
+	} else if (message.type === 'request' && isLeaderTab) {
+		answer(message);
+	} else if (message.type === 'response') {
+		const pending = pendingRequests.get(message.requestId);
+		if (!pending) return;
+		pendingRequests.delete(message.requestId);
+		clearTimeout(pending.timer);
+		if (message.error) pending.reject(new Error(message.error));
+		else pending.resolve(message.result);
+	}
+}
+
+/**
+ * Run a request forwarded by a follower and send the result back
+ * @param {{request: string, payload: any, requestId: string}} message
+ */
+async function answer({ request, payload, requestId }) {
+	const handler = leaderHandlers.get(request);
+	// Let the follower do the work itself instead of waiting out the timeout
+	if (!handler) {
+		channel?.postMessage({ type: 'response', requestId, error: `The leader tab cannot handle ${request}` });
+		return;
+	}
+	try {
+		const result = await handler(payload);
+		channel?.postMessage({ type: 'response', requestId, result });
+	} catch (error) {
+		channel?.postMessage({ type: 'response', requestId, error: error instanceof Error ? error.message : String(error) });
+	}
+}
+
+/**
+ * Register the work the leader does on behalf of other tabs
+ * @param {string} request
+ * @param {(payload: any) => Promise<any>} handler - Its result must be structured-cloneable
+ */
+export function answerFollowers(request, handler) {
+	leaderHandlers.set(request, handler);
+}
+
+/**
+ * Ask the leader tab to do some work and wait for its result.
+ * Rejects when there is no channel or no leader answers in time; callers then do the work themselves.
+ * @param {string} request
+ * @param {any} [payload]
+ * @returns {Promise<any>}
+ */
+export async function askLeader(request, payload) {
+	await start();
+	const activeChannel = channel;
+	if (!activeChannel) throw new Error('Tabs cannot talk to each other in this browser');
+
+	const requestId = `${tabId}:${++requestCounter}`;
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			pendingRequests.delete(requestId);
+			reject(new Error(`No leader tab answered ${request}`));
+		}, LEADER_TIMEOUT_MS);
+		pendingRequests.set(requestId, { resolve, reject, timer });
+		activeChannel.postMessage({ type: 'request', request, payload, requestId });
+	});
+}
+
+/**
+ * Tell the other tabs that this one changed the stored data, so they reload it from IndexedDB
+ */
+export function notifyTabs() {
+	start();
+	if (!channel || notifyTimer) return;
+	notifyTimer = setTimeout(() => {
+		notifyTimer = null;
+		channel?.postMessage({ type: 'changed' });
+	}, NOTIFY_DELAY_MS);
+}
+
+/**
+ * Listen for data changes made by other tabs
+ * @param {() => void} listener
+ * @returns {() => void} Removes the listener
+ */
+export function onTabsChanged(listener) {
+	start();
+	changeListeners.add(listener);
+	return () => changeListeners.delete(listener);
+}
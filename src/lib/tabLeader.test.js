@@ -0,0 +1,50 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { answerFollowers, isLeader } from './tabLeader.js';
+
+// Another tab, talking to this one over the shared channel
+const follower = new BroadcastChannel('expense-split-tabs');
+
+/**
+ * Send a request as a follower tab and wait for the leader's response
+ * @param {string} request
+ * @param {any} [payload]
+ * @returns {Promise<any>}
+ */
+function ask(request, payload) {
+	const requestId = `follower:${Math.random()}`;
+	return new Promise((resolve) => {
+		follower.onmessage = (event) => {
+			if (event.data.type === 'response' && event.data.requestId === requestId) resolve(event.data);
+		};
+		follower.postMessage({ type: 'request', request, payload, requestId });
+	});
+}
+
+afterEach(() => {
+	follower.onmessage = null;
+});
+
+describe('leader tab', () => {
+	it('answers requests it has a handler for', async () => {
+		// Without Web Locks every tab leads
+		expect(await isLeader()).toBe(true);
+		answerFollowers('double', async (value) => value * 2);
+
+		expect(await ask('double', 21)).toMatchObject({ result: 42 });
+	});
+
+	it('passes handler errors back to the follower', async () => {
+		await isLeader();
+		answerFollowers('fail', async () => {
+			throw new Error('Odoo is down');
+		});
+
+		expect(await ask('fail')).toMatchObject({ error: 'Odoo is down' });
+	});
+
+	it('answers unknown requests with an error instead of leaving the follower waiting', async () => {
+		await isLeader();
+
+		expect(await ask('unknown-action')).toMatchObject({ error: 'The leader tab cannot handle unknown-action' });
+	});
+});
@@ -0,0 +1,70 @@
+import { json } from '@sveltejs/kit';
+import { getBackend } from '$lib/server/backends';
+import { BackendError } from '$lib/server/backends/errors';
+import {
+	SESSION_COOKIE,
+	SESSION_MAX_AGE,
+	sealSession,
+	getCookieOptions,
+	toSessionUser
+} from '$lib/server/session';
+
+/** @type {import('./$types').RequestHandler} */
+export async function GET({ locals }) {
+	if (!locals.user) {
+		return json({ success: false, code: 'unauthenticated', error: 'Not signed in' }, { status: 401 });
+	}
+	return json({ success: true, user: toSessionUser(locals.user) });
+}
+
+/** @type {import('./$types').RequestHandler} */
+export async function POST({ request, cookies }) {
+	try {
+		const { action, data } = await request.json();
+
+		switch (action) {
+			case 'login': {
+				const { login, password } = data || {};
+				if (!login || !password) {
+					return json({ success: false, code: 'invalid', error: 'Enter your login and password' }, { status: 400 });
+				}
+
+				const user = await (await getBackend()).authenticate(login, password);
+				if (!user) {
+					return json({ success: false, code: 'invalid_credentials', error: 'Wrong login or password' }, { status: 401 });
+				}
+
+				/** @type {import('$lib/server/session').Session} */
+				const session = {
+					...user,
+					login,
+					password,
+					expiresAt: Date.now() + SESSION_MAX_AGE * 1000
+				};
+				cookies.set(SESSION_COOKIE, await sealSession(session), getCookieOptions());
+				return json({ success: true, user: toSessionUser(session) });
+			}
+
+			case 'logout': {
+				cookies.delete(SESSION_COOKIE, getCookieOptions());
+				return json({ success: true });
+			}
+
+			default:
+				return json({ success: false, error: 'Invalid action' }, { status: 400 });
+		}
+	} catch (error) {
+		console.error('Auth Error:', error);
+		// e.g. Odoo being unavailable, so the sign-in page can say so
+		if (error instanceof BackendError) {
+			return json({ success: false, code: error.code, error: error.message }, { status: error.status });
+		}
+		return json(
+			{
+				success: false,
+				error: error instanceof Error ? error.message : 'Unknown error'
+			},
+			{ status: 500 }
+		);
+	}
+}
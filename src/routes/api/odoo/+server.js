@@ -1,125 +1,333 @@
 import { json } from '@sveltejs/kit';
-import {
-	ODOO_URL,
-	ODOO_DB,
-	ODOO_USERNAME,
-	ODOO_API_KEY,
-	ODOO_EXPENSE_MODEL
-} from '$env/static/private';
+import { env } from '$env/dynamic/private';
+import { getBackend } from '$lib/server/backends';
+import { BackendError, AuthenticationError } from '$lib/server/backends/errors';
+import { SESSION_COOKIE, getCookieOptions } from '$lib/server/session';
+import { ODOO_GROUP_MODEL, ForbiddenError, createGroupScope, applySearchPolicy } from '$lib/server/accessPolicy';
+import { calculateBalances } from '$lib/expenseUtils';
 
-/** @type {number|null} */
-let cachedUid = null;
+// Models fall back to their Studio defaults when not configured
+const ODOO_EXPENSE_MODEL = env.ODOO_EXPENSE_MODEL || 'x_expensesplit';
+const ODOO_PAYMENT_MODEL = env.ODOO_PAYMENT_MODEL || 'x_expensepayment';
+const ODOO_RECURRING_MODEL = env.ODOO_RECURRING_MODEL || 'x_expenserecurring';
+
+// Largest page a search may ask for; searches without a limit still return every match
+const MAX_PAGE_SIZE = 500;
+// Comma-separated field names, each optionally followed by asc or desc
+const ORDER_PATTERN = /^\s*\w+(\s+(asc|desc))?(\s*,\s*\w+(\s+(asc|desc))?)*\s*$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Expense fields calculateBalances() reads
+const BALANCE_FIELDS = [
+	'x_studio_value',
+	'x_studio_who_paid',
+	'x_studio_participants',
+	'x_studio_is_done',
+	'x_studio_split_mode',
+	'x_studio_split_weights',
+	'x_studio_items',
+	'x_studio_exchange_rate'
+];
 
 /**
- * Make JSON-RPC call to Odoo
- * @param {string} service
- * @param {string} method
- * @param {any[]} args
+ * Write a record, optionally refusing the write when it changed since the client read it.
+ * Returns a 409 response with the server copy when `baseWriteDate` is stale.
+ * @param {import('$lib/server/backends').BackendConnection} store
+ * @param {string} model
+ * @param {number} id
+ * @param {Record<string, any>} values
+ * @param {string} [baseWriteDate] - write_date of the record the client edited
  */
-async function callOdoo(service, method, args) {
-	const response = await fetch(`${ODOO_URL}/jsonrpc`, {
-		method: 'POST',
-		headers: {
-			'Content-Type': 'application/json'
-		},
-		body: JSON.stringify({
-			jsonrpc: '2.0',
-			method: 'call',
-			params: {
-				service: service,
-				method: method,
-				args: args
-			},
-			id: Math.floor(Math.random() * 1000000)
-		})
-	});
+async function writeChecked(store, model, id, values, baseWriteDate) {
+	if (baseWriteDate) {
+		const fields = [...Object.keys(values), 'write_date'];
+		const [current] = await store.search(model, [['id', '=', id]], { fields });
 
-	const data = await response.json();
-
-	if (data.error) {
-		throw new Error(data.error.data?.message || data.error.message || 'Odoo API Error');
+		if (!current) {
+			return json({ success: false, code: 'not_found', error: 'Record no longer exists' }, { status: 404 });
+		}
+		if (current.write_date !== baseWriteDate) {
+			return json(
+				{ success: false, code: 'conflict', error: 'Record was changed by someone else', remote: current },
+				{ status: 409 }
+			);
+		}
 	}
 
-	return data.result;
+	const result = await store.update(model, [id], values);
+	const [written] = await store.search(model, [['id', '=', id]], { fields: ['write_date'] });
+	return json({ success: true, result, write_date: written?.write_date || null });
 }
 
 /**
- * Authenticate with Odoo and get UID
+ * Check the copies a write to many records was based on, as writeChecked does for one record.
+ * Any stale id rejects the whole write; the server copy of each stale record is returned by id.
+ * @param {import('$lib/server/backends').BackendConnection} store
+ * @param {string} model
+ * @param {number[]} ids
+ * @param {Record<string, any>} values
+ * @param {Record<number, string>|undefined} baseWriteDates - Per id; ids without one are not checked
+ * @returns {Promise<Response|null>} The error response, or null when the write may go ahead
  */
-async function authenticate() {
-	if (cachedUid) return cachedUid;
+async function findStale(store, model, ids, values, baseWriteDates) {
+	if (!baseWriteDates) return null;
+	const fields = [...Object.keys(values), 'write_date'];
+	const current = await store.search(model, [['id', 'in', ids]], { fields });
 
-	const authMethod = ODOO_API_KEY;
-	const uid = await callOdoo('common', 'login', [ODOO_DB, ODOO_USERNAME, authMethod]);
+	if (current.length < ids.length) {
+		return json({ success: false, code: 'not_found', error: 'Record no longer exists' }, { status: 404 });
+	}
+	/** @type {Record<number, any>} */
+	const remote = {};
+	for (const record of current) {
+		const base = baseWriteDates[record.id];
+		if (base && record.write_date !== base) remote[record.id] = record;
+	}
+	if (Object.keys(remote).length > 0) {
+		return json(
+			{ success: false, code: 'conflict', error: 'Records were changed by someone else', remote },
+			{ status: 409 }
+		);
+	}
+	return null;
+}
 
-	if (!uid) {
-		throw new Error('Authentication failed');
+/**
+ * Net balances of a group's settled expenses dated before a day, read page by page here so the
+ * client never has to download them
+ * @param {import('$lib/server/backends').BackendConnection} store
+ * @param {any[]} domain - Scoped to the expenses to add up
+ * @returns {Promise<{balances: Record<string, number>, count: number}>}
+ */
+async function summarizeExpenses(store, domain) {
+	/** @type {Record<string, number>} */
+	let balances = {};
+	let count = 0;
+	for (;;) {
+		const page = await store.search(ODOO_EXPENSE_MODEL, domain, { fields: BALANCE_FIELDS, limit: MAX_PAGE_SIZE, offset: count, order: 'id' });
+		balances = calculateBalances(page, [], balances);
+		count += page.length;
+		if (page.length < MAX_PAGE_SIZE) return { balances, count };
 	}
+}
 
-	cachedUid = uid;
-	return uid;
+/**
+ * Paging options of a search request
+ * @param {{limit?: any, offset?: any, order?: any}} data
+ * @returns {{limit?: number, offset?: number, order?: string}|null} null when an option is invalid
+ */
+function getPaging({ limit, offset, order }) {
+	if (limit !== undefined && !(Number.isInteger(limit) && limit > 0 && limit <= MAX_PAGE_SIZE)) return null;
+	if (offset !== undefined && !(Number.isInteger(offset) && offset >= 0)) return null;
+	if (order !== undefined && !(typeof order === 'string' && ORDER_PATTERN.test(order))) return null;
+	return { limit, offset, order };
 }
 
 /**
- * Execute a method on Odoo model
+ * Search one of the group models within the user's groups, optionally one page at a time:
+ * limit, offset and order, plus the total with count
+ * @param {import('$lib/server/backends').BackendConnection} store
+ * @param {import('$lib/server/accessPolicy').GroupScope} scope
  * @param {string} model
- * @param {string} method
- * @param {any[]} args
- * @param {Record<string, any>} kwargs
+ * @param {{domain?: any[], fields?: string[], count?: boolean, limit?: any, offset?: any, order?: any}} data
  */
-async function execute(model, method, args = [], kwargs = {}) {
-	const uid = await authenticate();
-	const authMethod = ODOO_API_KEY;
-
-	return await callOdoo('object', 'execute_kw', [
-		ODOO_DB,
-		uid,
-		authMethod,
-		model,
-		method,
-		args,
-		kwargs
-	]);
+async function searchScoped(store, scope, model, data) {
+	const { domain = [], fields = [], count = false } = data;
+	const paging = getPaging(data);
+	if (!paging) {
+		return json(
+			{ success: false, code: 'invalid', error: `limit must be 1 to ${MAX_PAGE_SIZE}, offset 0 or more and order a list of fields` },
+			{ status: 400 }
+		);
+	}
+	const scoped = await scope.restrict(model, domain);
+	const results = await store.search(model, scoped, { fields, ...paging });
+	if (!count) return json({ success: true, results });
+	return json({ success: true, results, count: await store.count(model, scoped) });
 }
 
 /** @type {import('./$types').RequestHandler} */
-export async function POST({ request }) {
+export async function POST({ request, locals, cookies }) {
+	const user = locals.user;
+	if (!user) {
+		return json({ success: false, code: 'unauthenticated', error: 'Sign in to continue' }, { status: 401 });
+	}
+
 	try {
+		const store = (await getBackend()).connect(user);
+		const scope = createGroupScope(store, user.partnerId);
 		const { action, data } = await request.json();
 
 		switch (action) {
 			case 'create': {
-						const id = await execute(ODOO_EXPENSE_MODEL, 'create', [data]);
+				await scope.checkValues(ODOO_EXPENSE_MODEL, data);
+				// Occurrences of recurring expenses may be generated by several devices;
+				// return the existing record instead of creating a duplicate
+				if (data.x_studio_recurring_key) {
+					const existing = await store.searchIds(
+						ODOO_EXPENSE_MODEL,
+						await scope.restrict(ODOO_EXPENSE_MODEL, [['x_studio_recurring_key', '=', data.x_studio_recurring_key]]),
+						{ limit: 1 }
+					);
+					if (existing.length > 0) {
+						return json({ success: true, id: existing[0] });
+					}
+				}
+				const id = await store.create(ODOO_EXPENSE_MODEL, data);
 				return json({ success: true, id });
 			}
 
-			// Search any model (used by frontend to load res.partner list)
+			// Search the models listed in SEARCH_MODEL_POLICY (partners, groups, currencies)
 			case 'search_model': {
 				const { model, domain = [], fields = [] } = data;
-						const results = await execute(model, 'search_read', [domain], { fields });
+				const allowed = await applySearchPolicy(scope, model, domain, fields);
+				const results = await store.search(model, allowed.domain, { fields: allowed.fields });
 				return json({ success: true, results });
 			}
 
-			case 'search': {
+			case 'search':
+				return await searchScoped(store, scope, ODOO_EXPENSE_MODEL, data);
+
+			// Opening balances of a group's settled expenses before a day; exclude lists the
+			// expenses the client counts itself
+			case 'balance_summary': {
+				const { group, before, exclude = [] } = data;
+				if (!Number.isInteger(group) || typeof before !== 'string' || !DATE_PATTERN.test(before) ||
+					!Array.isArray(exclude) || !exclude.every(id => Number.isInteger(id))) {
+					return json({ success: false, code: 'invalid', error: 'group must be a group id, before a YYYY-MM-DD date and exclude a list of ids' }, { status: 400 });
+				}
+				await scope.checkRecords(ODOO_GROUP_MODEL, [group]);
+				const domain = await scope.restrict(ODOO_EXPENSE_MODEL, [
+					['x_studio_expensegroup', '=', group],
+					['x_studio_is_done', '=', true],
+					['x_studio_date', '<', before],
+					...(exclude.length > 0 ? [['id', 'not in', exclude]] : [])
+				]);
+				return json({ success: true, ...(await summarizeExpenses(store, domain)) });
+			}
+
+			case 'update': {
+				const { id, values, baseWriteDate } = data;
+				await scope.checkRecords(ODOO_EXPENSE_MODEL, [id]);
+				await scope.checkValues(ODOO_EXPENSE_MODEL, values, [id]);
+				return await writeChecked(store, ODOO_EXPENSE_MODEL, id, values, baseWriteDate);
+			}
+
+			case 'delete': {
+				const { id } = data;
+				await scope.checkRecords(ODOO_EXPENSE_MODEL, [id]);
+				const result = await store.delete(ODOO_EXPENSE_MODEL, [id]);
+				return json({ success: true, result });
+			}
+
+			// One write for many expenses: the backend applies it to all of them or to none
+			case 'batch_update': {
+				const { ids, values, baseWriteDates } = data;
+				if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+					return json({ success: false, code: 'invalid', error: 'ids must be a list of record ids' }, { status: 400 });
+				}
+				await scope.checkRecords(ODOO_EXPENSE_MODEL, ids);
+				await scope.checkValues(ODOO_EXPENSE_MODEL, values, ids);
+				const stale = await findStale(store, ODOO_EXPENSE_MODEL, ids, values, baseWriteDates);
+				if (stale) return stale;
+				const result = await store.update(ODOO_EXPENSE_MODEL, ids, values);
+				const written = await store.search(ODOO_EXPENSE_MODEL, [['id', 'in', ids]], { fields: ['write_date'] });
+				/** @type {Record<number, string>} */
+				const writeDates = {};
+				for (const record of written) writeDates[record.id] = record.write_date;
+				return json({ success: true, result, write_dates: writeDates });
+			}
+
+			case 'create_payment': {
+				await scope.checkValues(ODOO_PAYMENT_MODEL, data);
+				const id = await store.create(ODOO_PAYMENT_MODEL, data);
+				return json({ success: true, id });
+			}
+
+			case 'search_payments':
+				return await searchScoped(store, scope, ODOO_PAYMENT_MODEL, data);
+
+			case 'update_payment': {
+				const { id, values, baseWriteDate } = data;
+				await scope.checkRecords(ODOO_PAYMENT_MODEL, [id]);
+				await scope.checkValues(ODOO_PAYMENT_MODEL, values, [id]);
+				return await writeChecked(store, ODOO_PAYMENT_MODEL, id, values, baseWriteDate);
+			}
+
+			case 'delete_payment': {
+				const { id } = data;
+				await scope.checkRecords(ODOO_PAYMENT_MODEL, [id]);
+				const result = await store.delete(ODOO_PAYMENT_MODEL, [id]);
+				return json({ success: true, result });
+			}
+
+			case 'create_recurring': {
+				await scope.checkValues(ODOO_RECURRING_MODEL, data);
+				const id = await store.create(ODOO_RECURRING_MODEL, data);
+				return json({ success: true, id });
+			}
+
+			case 'search_recurring': {
 				const { domain = [], fields = [] } = data;
-						const results = await execute(
-							ODOO_EXPENSE_MODEL,
-							'search_read',
-							[domain],
-							{ fields }
-						);
+				const results = await store.search(ODOO_RECURRING_MODEL, await scope.restrict(ODOO_RECURRING_MODEL, domain), { fields });
 				return json({ success: true, results });
 			}
 
-			case 'update': {
-				const { id, values } = data;
-						const result = await execute(ODOO_EXPENSE_MODEL, 'write', [[id], values]);
+			case 'update_recurring': {
+				const { id, values, baseWriteDate } = data;
+				await scope.checkRecords(ODOO_RECURRING_MODEL, [id]);
+				await scope.checkValues(ODOO_RECURRING_MODEL, values, [id]);
+				return await writeChecked(store, ODOO_RECURRING_MODEL, id, values, baseWriteDate);
+			}
+
+			case 'delete_recurring': {
+				const { id } = data;
+				await scope.checkRecords(ODOO_RECURRING_MODEL, [id]);
+				const result = await store.delete(ODOO_RECURRING_MODEL, [id]);
 				return json({ success: true, result });
 			}
 
-			case 'delete': {
+			case 'create_group': {
+				// The creator is always a member, or the new group would be hidden from them
+				const values = { ...data, x_studio_members: await scope.checkMembers(data.x_studio_members, null) };
+				const id = await store.create(ODOO_GROUP_MODEL, values);
+				return json({ success: true, id });
+			}
+
+			case 'update_group': {
+				const { id, baseWriteDate } = data;
+				await scope.checkRecords(ODOO_GROUP_MODEL, [id]);
+				const values = { ...data.values };
+				if ('x_studio_members' in values) {
+					const commands = await scope.checkMembers(values.x_studio_members, id);
+					// An empty list would clear the members in some backends
+					if (commands.length > 0) values.x_studio_members = commands;
+					else delete values.x_studio_members;
+				}
+				return await writeChecked(store, ODOO_GROUP_MODEL, id, values, baseWriteDate);
+			}
+
+			// Brings in someone the user shares no group with yet, such as a new user, by the
+			// login they sign in with; the member list only offers partners the user already knows
+			case 'add_member': {
+				const { id, login } = data;
+				if (!Number.isInteger(id) || typeof login !== 'string' || !login.trim()) {
+					return json({ success: false, code: 'invalid', error: 'Pick a group and enter a login' }, { status: 400 });
+				}
+				await scope.checkRecords(ODOO_GROUP_MODEL, [id]);
+				const partnerId = await store.findPartnerByLogin(login.trim());
+				if (!partnerId) {
+					return json({ success: false, code: 'not_found', error: `Nobody signs in as ${login.trim()}` }, { status: 404 });
+				}
+				await store.update(ODOO_GROUP_MODEL, [id], { x_studio_members: [[4, partnerId]] });
+				const [written] = await store.search(ODOO_GROUP_MODEL, [['id', '=', id]], { fields: ['write_date'] });
+				return json({ success: true, partner_id: partnerId, write_date: written?.write_date || null });
+			}
+
+			case 'delete_group': {
 				const { id } = data;
-						const result = await execute(ODOO_EXPENSE_MODEL, 'unlink', [[id]]);
+				await scope.checkRecords(ODOO_GROUP_MODEL, [id]);
+				const result = await store.delete(ODOO_GROUP_MODEL, [id]);
 				return json({ success: true, result });
 			}
 
@@ -128,6 +336,15 @@ export async function POST({ request }) {
 		}
 	} catch (error) {
 		console.error('Odoo API Error:', error);
+		if (error instanceof ForbiddenError) {
+			return json({ success: false, code: error.code, error: error.message }, { status: 403 });
+		}
+		// The code tells the client whether to retry: 4xx will fail again, 503 may succeed later.
+		// Credentials Odoo refused even after signing in again end the session.
+		if (error instanceof BackendError) {
+			if (error instanceof AuthenticationError) cookies.delete(SESSION_COOKIE, getCookieOptions());
+			return json({ success: false, code: error.code, error: error.message }, { status: error.status });
+		}
 		return json(
 			{
 				success: false,
@@ -0,0 +1,195 @@
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFileBackend } from '$lib/server/backends/file.js';
+import { POST } from './+server.js';
+
+// The route runs against a file backend in a temporary directory
+/** @type {ReturnType<typeof createFileBackend>} */
+let backend;
+vi.mock('$lib/server/backends', () => ({ getBackend: async () => backend }));
+
+/** @type {string} */
+let directory;
+
+beforeEach(async () => {
+	directory = await mkdtemp(join(tmpdir(), 'expense-split-'));
+	backend = createFileBackend(join(directory, 'data.json'));
+	// Refused requests are logged by the route
+	vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+	vi.restoreAllMocks();
+	await rm(directory, { recursive: true, force: true });
+});
+
+/**
+ * @param {string} login
+ */
+async function addUser(login) {
+	const { uid, partnerId } = await backend.addUser(login, login[0].toUpperCase() + login.slice(1), `${login}-password`);
+	return { uid, login, name: login, partnerId, password: `${login}-password`, expiresAt: Infinity };
+}
+
+/**
+ * POST an action to the route as a signed-in user
+ * @param {Awaited<ReturnType<typeof addUser>>} user
+ * @param {string} action
+ * @param {any} data
+ */
+async function call(user, action, data) {
+	const request = new Request('http://localhost/api/odoo', { method: 'POST', body: JSON.stringify({ action, data }) });
+	const response = await POST(/** @type {any} */ ({ request, locals: { user }, cookies: { delete: () => {} } }));
+	return { status: response.status, body: await response.json() };
+}
+
+describe('add_member', () => {
+	it('brings a new user into a group by login, after which they share it', async () => {
+		const alice = await addUser('alice');
+		const carol = await addUser('carol');
+		const { body: created } = await call(alice, 'create_group', { x_name: 'Flat', x_studio_members: [[6, 0, [alice.partnerId]]] });
+
+		// Carol shares no group with Alice, so the member list cannot add her
+		const refused = await call(alice, 'update_group', { id: created.id, values: { x_studio_members: [[4, carol.partnerId]] } });
+		expect(refused.status).toBe(403);
+
+		const added = await call(alice, 'add_member', { id: created.id, login: ' carol ' });
+		expect(added.body).toMatchObject({ success: true, partner_id: carol.partnerId });
+
+		const { body: carolGroups } = await call(carol, 'search_model', { model: 'x_expensegroup', fields: ['x_name', 'x_studio_members'] });
+		expect(carolGroups.results).toEqual([{ id: created.id, x_name: 'Flat', x_studio_members: [alice.partnerId, carol.partnerId] }]);
+		const { body: partners } = await call(alice, 'search_model', { model: 'res.partner', fields: ['display_name'] });
+		expect(partners.results.map((/** @type {any} */ partner) => partner.display_name).sort()).toEqual(['Alice', 'Carol']);
+
+		// Now an expense can be split with her
+		const expense = await call(alice, 'create', {
+			x_name: 'Milk',
+			x_studio_value: 4,
+			x_studio_who_paid: alice.partnerId,
+			x_studio_participants: [[6, 0, [alice.partnerId, carol.partnerId]]],
+			x_studio_expensegroup: created.id
+		});
+		expect(expense.body.success).toBe(true);
+	});
+
+	it('reports logins nobody signs in with', async () => {
+		const alice = await addUser('alice');
+		const { body: created } = await call(alice, 'create_group', { x_name: 'Flat', x_studio_members: [] });
+
+		const { status, body } = await call(alice, 'add_member', { id: created.id, login: 'nobody' });
+
+		expect(status).toBe(404);
+		expect(body).toMatchObject({ success: false, code: 'not_found' });
+	});
+
+	it('only adds to groups the user is a member of', async () => {
+		const alice = await addUser('alice');
+		const bob = await addUser('bob');
+		const { body: created } = await call(bob, 'create_group', { x_name: 'Bob only', x_studio_members: [] });
+
+		const { status } = await call(alice, 'add_member', { id: created.id, login: 'alice' });
+
+		expect(status).toBe(403);
+		const [group] = await backend.connect().search('x_expensegroup', [['id', '=', created.id]], { fields: ['x_studio_members'] });
+		expect(group.x_studio_members).toEqual([bob.partnerId]);
+	});
+
+	it('refuses requests without a group id or a login', async () => {
+		const alice = await addUser('alice');
+
+		expect((await call(alice, 'add_member', { id: 'local_1', login: 'bob' })).status).toBe(400);
+		expect((await call(alice, 'add_member', { id: 1, login: '  ' })).status).toBe(400);
+	});
+});
+
+describe('batch_update', () => {
+	it('refuses the whole write when a record changed since the client read it', async () => {
+		const alice = await addUser('alice');
+		const { body: flat } = await call(alice, 'create_group', { x_name: 'Flat', x_studio_members: [[6, 0, [alice.partnerId]]] });
+		const expense = { x_studio_value: 4, x_studio_who_paid: alice.partnerId, x_studio_expensegroup: flat.id };
+		const { body: milk } = await call(alice, 'create', { ...expense, x_name: 'Milk' });
+		const { body: bread } = await call(alice, 'create', { ...expense, x_name: 'Bread' });
+		const { body: read } = await call(alice, 'search', { fields: ['write_date'] });
+		/** @type {Record<number, string>} */
+		const baseWriteDates = Object.fromEntries(read.results.map((/** @type {any} */ record) => [record.id, record.write_date]));
+		// The bread was settled on a copy from before someone else's edit
+		baseWriteDates[bread.id] = '2000-01-01 00:00:00';
+
+		const stale = await call(alice, 'batch_update', { ids: [milk.id, bread.id], values: { x_studio_is_done: true }, baseWriteDates });
+		expect(stale).toMatchObject({ status: 409, body: { code: 'conflict', remote: { [bread.id]: { x_studio_is_done: false } } } });
+		expect(Object.keys(stale.body.remote)).toEqual([String(bread.id)]);
+		const { body: unchanged } = await call(alice, 'search', { fields: ['x_studio_is_done'] });
+		expect(unchanged.results.every((/** @type {any} */ record) => !record.x_studio_is_done)).toBe(true);
+
+		const written = await call(alice, 'batch_update', { ids: [milk.id], values: { x_studio_is_done: true }, baseWriteDates });
+		expect(written.body).toMatchObject({ success: true, write_dates: { [milk.id]: expect.any(String) } });
+	});
+});
+
+describe('balance_summary', () => {
+	it('adds up the settled expenses of a group before a day, without the excluded ones', async () => {
+		const alice = await addUser('alice');
+		const bob = await addUser('bob');
+		const { body: flat } = await call(alice, 'create_group', { x_name: 'Flat', x_studio_members: [] });
+		await call(alice, 'add_member', { id: flat.id, login: 'bob' });
+		/** @param {string} date @param {boolean} done */
+		const create = async (date, done) => (await call(alice, 'create', {
+			x_name: 'Rent',
+			x_studio_value: 10,
+			x_studio_who_paid: alice.partnerId,
+			x_studio_participants: [[6, 0, [alice.partnerId, bob.partnerId]]],
+			x_studio_expensegroup: flat.id,
+			x_studio_date: date,
+			x_studio_is_done: done
+		})).body.id;
+		await create('2024-01-01', true);
+		const excluded = await create('2024-01-02', true);
+		await create('2024-01-03', false);
+		await create('2024-06-01', true);
+
+		const { body } = await call(alice, 'balance_summary', { group: flat.id, before: '2024-02-01', exclude: [excluded] });
+
+		expect(body).toMatchObject({ success: true, count: 1, balances: { [alice.partnerId]: 5, [bob.partnerId]: -5 } });
+	});
+
+	it('only sums groups the user is a member of', async () => {
+		const alice = await addUser('alice');
+		const bob = await addUser('bob');
+		const { body: other } = await call(bob, 'create_group', { x_name: 'Bob only', x_studio_members: [] });
+
+		expect((await call(alice, 'balance_summary', { group: other.id, before: '2024-02-01' })).status).toBe(403);
+		expect((await call(alice, 'balance_summary', { group: other.id, before: 'soon' })).status).toBe(400);
+	});
+});
+
+describe('partner fields', () => {
+	it('keep expenses and payments to the members of their group', async () => {
+		const alice = await addUser('alice');
+		const bob = await addUser('bob');
+		const stranger = await addUser('stranger');
+		const { body: flat } = await call(alice, 'create_group', { x_name: 'Flat', x_studio_members: [] });
+		await call(alice, 'add_member', { id: flat.id, login: 'bob' });
+		const expense = { x_name: 'Milk', x_studio_value: 4, x_studio_who_paid: alice.partnerId, x_studio_expensegroup: flat.id };
+
+		// Booking a debt against someone outside the group, or reading their name back, is refused
+		const refused = await call(alice, 'create', { ...expense, x_studio_participants: [[6, 0, [alice.partnerId, stranger.partnerId]]] });
+		expect(refused).toMatchObject({ status: 403, body: { code: 'forbidden' } });
+		expect((await call(alice, 'create_payment', {
+			x_studio_from: stranger.partnerId, x_studio_to: alice.partnerId, x_studio_value: 4, x_studio_expensegroup: flat.id
+		})).status).toBe(403);
+
+		const { body: created } = await call(alice, 'create', { ...expense, x_studio_participants: [[6, 0, [alice.partnerId, bob.partnerId]]] });
+		expect((await call(alice, 'update', { id: created.id, values: { x_studio_who_paid: stranger.partnerId } })).status).toBe(403);
+		expect((await call(alice, 'batch_update', { ids: [created.id], values: { x_studio_participants: [[4, stranger.partnerId]] } })).status).toBe(403);
+		expect((await call(alice, 'batch_update', { ids: [created.id], values: { x_studio_is_done: true } })).body.success).toBe(true);
+
+		const { body } = await call(alice, 'search', { fields: ['x_studio_who_paid', 'x_studio_participants'] });
+		expect(body.results).toEqual([{
+			id: created.id,
+			x_studio_who_paid: [alice.partnerId, 'Alice'],
+			x_studio_participants: [alice.partnerId, bob.partnerId]
+		}]);
+	});
+});
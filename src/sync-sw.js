@@ -0,0 +1,206 @@
+// @ts-check
+/// <reference lib="webworker" />
+import { STORES } from './lib/dbMigrations.js';
+import { drainQueue, isPermanentFailure } from './lib/syncQueueCore.js';
+
+/*
+ * Service worker queue sync, next to the Workbox service worker that precaches the app.
+ *
+ * Bundled into one classic script, sync-sw.js, which the worker generated by vite-plugin-pwa loads
+ * with importScripts (see scripts/sync-worker-plugin.js and vite.config.js). When a Background Sync
+ * or Periodic Sync event fires it sends the `sync_queue` IndexedDB store with the same rules as
+ * src/lib/syncQueue.js (src/lib/syncQueueCore.js), so changes made just before the app was
+ * closed still reach Odoo. Open windows are told about the result.
+ */
+
+const sw = /** @type {ServiceWorkerGlobalScope} */ (/** @type {unknown} */ (self));
+
+// Tags shared with src/lib/backgroundSync.js
+const SYNC_TAG = 'sync-queue';
+const PERIODIC_SYNC_TAG = 'sync-queue-periodic';
+
+const DB_NAME = 'expense_split_db';
+
+/** @type {Record<string, Record<string, string>>} */
+const ACTIONS = {
+	create: { expense: 'create', payment: 'create_payment', recurring: 'create_recurring', group: 'create_group' },
+	update: { expense: 'update', payment: 'update_payment', recurring: 'update_recurring', group: 'update_group' },
+	delete: { expense: 'delete', payment: 'delete_payment', recurring: 'delete_recurring', group: 'delete_group' },
+	batch_update: { expense: 'batch_update' }
+};
+
+/**
+ * Open the app database. Resolves null when the app never created it: the worker must not
+ * create an empty database the app would then fail to upgrade.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDB() {
+	return new Promise((resolve) => {
+		const request = indexedDB.open(DB_NAME);
+		request.onupgradeneeded = () => request.transaction?.abort();
+		request.onsuccess = () => {
+			const db = request.result;
+			// The app is upgrading the schema: let it, the queue is sent again later
+			db.onversionchange = () => db.close();
+			resolve(db);
+		};
+		request.onerror = () => resolve(null);
+	});
+}
+
+/**
+ * Run a function inside one transaction and resolve once it has committed
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => any} fn
+ * @returns {Promise<any>}
+ */
+function withTransaction(db, storeName, mode, fn) {
+	return new Promise((resolve, reject) => {
+		const tx = db.transaction(storeName, mode);
+		/** @type {any} */
+		let result;
+		Promise.resolve(fn(tx.objectStore(storeName))).then((value) => { result = value; }, reject);
+		tx.oncomplete = () => resolve(result);
+		tx.onerror = () => reject(tx.error);
+		tx.onabort = () => reject(tx.error);
+	});
+}
+
+/**
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function requestResult(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * The queue storage of syncQueueCore.js on this worker's connection
+ * @param {IDBDatabase} db
+ * @returns {import('./lib/syncQueueCore.js').QueueStorage}
+ */
+function createStorage(db) {
+	return {
+		getAll: (storeName) => withTransaction(db, storeName, 'readonly', (store) => requestResult(store.getAll())),
+		getById: (storeName, id) => withTransaction(db, storeName, 'readonly', (store) => requestResult(store.get(id))),
+		put: (storeName, record) => withTransaction(db, storeName, 'readwrite', (store) => requestResult(store.put(record))),
+		remove: (storeName, id) => withTransaction(db, storeName, 'readwrite', (store) => requestResult(store.delete(id))),
+		updateIf: (storeName, id, updater) => withTransaction(db, storeName, 'readwrite', async (store) => {
+			const record = await requestResult(store.get(id));
+			const updated = record ? updater(record) : null;
+			if (updated) store.put(updated);
+			return updated;
+		})
+	};
+}
+
+/**
+ * POST an action to the API proxy
+ * @param {string} apiUrl
+ * @param {string} action
+ * @param {any} data
+ * @returns {Promise<{ok: boolean, status: number, body: any}>} status 0 on network errors
+ */
+async function callApi(apiUrl, action, data) {
+	try {
+		const response = await fetch(apiUrl, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			credentials: 'include',
+			body: JSON.stringify({ action, data })
+		});
+		const body = await response.json().catch(() => ({}));
+		return { ok: response.ok && body.success, status: response.status, body };
+	} catch (error) {
+		return { ok: false, status: 0, body: { error: error instanceof Error ? error.message : 'Network error' } };
+	}
+}
+
+/**
+ * Send one queue item to the API
+ * @param {string} apiUrl
+ * @param {import('./lib/syncQueueCore.js').SyncQueueItem} item
+ * @returns {Promise<import('./lib/syncQueueCore.js').SendResult>}
+ */
+async function sendItem(apiUrl, item) {
+	const action = ACTIONS[item.operation]?.[item.model];
+	if (!action) {
+		return { success: false, permanent: true, error: `Unknown operation: ${item.operation} ${item.model}` };
+	}
+
+	let data;
+	if (item.operation === 'create' || item.operation === 'batch_update') data = item.data;
+	else if (item.operation === 'update') data = { id: item.remoteId, values: item.data, baseWriteDate: item.baseWriteDate || undefined };
+	else data = { id: item.remoteId };
+
+	const { ok, status, body } = await callApi(apiUrl, action, data);
+	if (ok) {
+		return { success: true, remoteId: body.id ?? null, writeDate: body.write_date || null, writeDates: body.write_dates || {} };
+	}
+
+	const error = body?.error || `HTTP ${status}`;
+	if (body?.code === 'conflict') return { success: false, conflict: true, remote: body.remote, error };
+	if (status === 401) return { success: false, unauthenticated: true, error };
+	return { success: false, offline: status === 0, permanent: isPermanentFailure(status, body?.code), error };
+}
+
+/**
+ * Send every due queue item once
+ * @returns {Promise<import('./lib/syncQueueCore.js').DrainSummary>}
+ */
+async function drain() {
+	const db = await openDB();
+	if (!db) return { processed: 0, failed: 0, transient: 0, remapped: [], lastError: null };
+
+	try {
+		const storage = createStorage(db);
+		const apiMeta = await storage.getById(STORES.META, 'syncApiUrl');
+		const apiUrl = apiMeta?.value || new URL('api/odoo', sw.registration.scope).href;
+		return await drainQueue(storage, (item) => sendItem(apiUrl, item));
+	} finally {
+		db.close();
+	}
+}
+
+/**
+ * @param {import('./lib/syncQueueCore.js').DrainSummary} summary
+ */
+async function notifyClients(summary) {
+	const windows = await sw.clients.matchAll({ type: 'window', includeUncontrolled: true });
+	for (const client of windows) {
+		client.postMessage({
+			type: 'sync-queue-complete',
+			processed: summary.processed,
+			failed: summary.failed,
+			remapped: summary.remapped
+		});
+	}
+}
+
+/**
+ * @param {boolean} retryOnFailure - Reject on transient failures so the browser reschedules the one-off sync
+ */
+async function runSync(retryOnFailure) {
+	const summary = await drain();
+	await notifyClients(summary);
+	if (retryOnFailure && summary.transient > 0) {
+		throw new Error(`${summary.transient} queued change(s) could not be sent yet`);
+	}
+}
+
+sw.addEventListener('sync', (/** @type {any} */ event) => {
+	if (event.tag === SYNC_TAG) {
+		event.waitUntil(runSync(!event.lastChance));
+	}
+});
+
+sw.addEventListener('periodicsync', (/** @type {any} */ event) => {
+	if (event.tag === PERIODIC_SYNC_TAG) {
+		event.waitUntil(runSync(false));
+	}
+});
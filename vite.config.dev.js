@@ -1,14 +1,21 @@
 import { sveltekit } from '@sveltejs/kit/vite';
 import { defineConfig } from 'vite';
-import { VitePWA } from 'vite-plugin-pwa';
+import { SvelteKitPWA } from '@vite-pwa/sveltekit';
+import { SYNC_WORKER_FILE, syncWorker } from './scripts/sync-worker-plugin.js';
 
 export default defineConfig({
 	plugins: [
 		sveltekit(),
-		VitePWA({
+		syncWorker(),
+		// Precaches the prerendered pages too, so navigations work offline
+		SvelteKitPWA({
 			registerType: 'autoUpdate',
+			// Registered by src/routes/+layout.svelte
+			injectRegister: false,
 			workbox: {
-				globPatterns: ['**/*.{js,css,html,ico,png,svg,json,webp}']
+				globPatterns: ['client/**/*.{js,css,ico,png,svg,json,webp}', 'prerendered/**/*.{html,json}'],
+				// Drains the offline sync queue on Background Sync / Periodic Sync events
+				importScripts: [SYNC_WORKER_FILE]
 			},
 			manifest: false // Using static manifest.json
 		})